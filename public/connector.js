@@ -4,8 +4,13 @@
  * This file runs as a plain script (no ES modules) so we use
  * fetch() against the Supabase REST API to read time data for badges.
  *
- * IMPORTANT: SUPABASE_URL and SUPABASE_KEY are replaced at build time
- * or must be set here manually for local dev. See instructions below.
+ * IMPORTANT: SUPABASE_URL, SUPABASE_KEY and TRELLO_APP_KEY are replaced at
+ * build time or must be set here manually for local dev. See instructions below.
+ *
+ * Requests are signed with the same board-scoped token as the popups (see
+ * src/utils/auth.js), read from the shared "ttAuth:<boardId>" cache or
+ * exchanged with the trello-auth edge function. Until the member has given
+ * the Power-Up access to Trello, no time data is shown.
  */
 
 var BASE = window.location.origin;
@@ -15,22 +20,87 @@ var BASE = window.location.origin;
 // For local dev, replace these values with your actual Supabase credentials.
 var SUPABASE_URL = "%%VITE_SUPABASE_URL%%";
 var SUPABASE_KEY = "%%VITE_SUPABASE_ANON_KEY%%";
+var TRELLO_APP_KEY = "%%VITE_TRELLO_APP_KEY%%";
+
+var AUTH_CACHE_PREFIX = "ttAuth:";
+var AUTH_REFRESH_MARGIN_MS = 60000;
+
+// ---------------------------------------------------------------------------
+// Auth (mirrors src/utils/auth.js)
+// ---------------------------------------------------------------------------
+
+function readAuthCache(boardId) {
+  try {
+    var cached = JSON.parse(localStorage.getItem(AUTH_CACHE_PREFIX + boardId));
+    if (cached && cached.expiresAt - AUTH_REFRESH_MARGIN_MS > Date.now()) {
+      return cached.token;
+    }
+  } catch (e) {
+    // corrupt entry, fetch a new token
+  }
+  return null;
+}
+
+/**
+ * Supabase JWT for the board, or null if the member has not connected
+ * Trello yet or the exchange failed.
+ */
+function getSupabaseToken(t) {
+  return t.board("id").then(function (board) {
+    var cached = readAuthCache(board.id);
+    if (cached) return cached;
+
+    return t
+      .getRestApi()
+      .getToken()
+      .then(function (trelloToken) {
+        if (!trelloToken) return null;
+        return fetch(SUPABASE_URL + "/functions/v1/trello-auth", {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            apikey: SUPABASE_KEY,
+            Authorization: "Bearer " + SUPABASE_KEY,
+          },
+          body: JSON.stringify({ boardId: board.id, trelloToken: trelloToken }),
+        })
+          .then(function (res) {
+            return res.ok ? res.json() : null;
+          })
+          .then(function (session) {
+            if (!session) return null;
+            localStorage.setItem(
+              AUTH_CACHE_PREFIX + board.id,
+              JSON.stringify({
+                token: session.token,
+                expiresAt: session.expiresAt,
+              }),
+            );
+            return session.token;
+          });
+      })
+      .catch(function (err) {
+        console.error("[TimeTracker] auth error:", err);
+        return null;
+      });
+  });
+}
 
 // ---------------------------------------------------------------------------
 // Supabase REST helpers (no SDK needed)
 // ---------------------------------------------------------------------------
 
-function supabaseGet(table, params) {
+function supabaseGet(token, table, params) {
   var url = SUPABASE_URL + "/rest/v1/" + table + "?" + params;
   return fetch(url, {
     headers: {
       apikey: SUPABASE_KEY,
-      Authorization: "Bearer " + SUPABASE_KEY,
+      Authorization: "Bearer " + token,
       Accept: "application/json",
     },
   })
     .then(function (res) {
-      return res.json();
+      return res.ok ? res.json() : [];
     })
     .catch(function (err) {
       console.error("[TimeTracker] Supabase fetch error:", err);
@@ -38,15 +108,19 @@ function supabaseGet(table, params) {
     });
 }
 
-function getCardTimeData(cardId) {
+function getCardTimeData(token, cardId) {
   return Promise.all([
     supabaseGet(
+      token,
       "time_entries",
-      "select=member_id,member_name,duration_ms&card_id=eq." + cardId,
+      "select=member_id,member_name,duration_ms&deleted_at=is.null&card_id=eq." +
+        cardId,
     ),
     supabaseGet(
+      token,
       "active_timers",
-      "select=member_id,member_name,started_at&card_id=eq." + cardId,
+      "select=member_id,member_name,started_at,paused_at,paused_ms&card_id=eq." +
+        cardId,
     ),
   ]).then(function (results) {
     var entries = results[0] || [];
@@ -74,15 +148,21 @@ function getCardTimeData(cardId) {
           activeStart: null,
         };
       }
-      data[a.member_id].activeStart = new Date(a.started_at).getTime();
+      // Start moved past pauses, as in src/utils/storage.js
+      data[a.member_id].activeStart =
+        new Date(a.started_at).getTime() + (Number(a.paused_ms) || 0);
+      data[a.member_id].pausedAt = a.paused_at
+        ? new Date(a.paused_at).getTime()
+        : null;
     }
 
     return data;
   });
 }
 
-function getCardEstimateTotal(cardId) {
+function getCardEstimateTotal(token, cardId) {
   return supabaseGet(
+    token,
     "time_estimates",
     "select=estimated_ms&card_id=eq." + cardId,
   ).then(function (estimates) {
@@ -117,13 +197,16 @@ function formatDuration(ms, short) {
   return parts.join(" ");
 }
 
+// Worked time of a running or paused timer (see src/utils/time.js)
+function getActiveMs(memberData) {
+  if (!memberData || !memberData.activeStart) return 0;
+  var end = memberData.pausedAt != null ? memberData.pausedAt : Date.now();
+  return Math.max(0, end - memberData.activeStart);
+}
+
 function getTotalWithActive(memberData) {
   if (!memberData) return 0;
-  var total = memberData.totalMs || 0;
-  if (memberData.activeStart) {
-    total += Date.now() - memberData.activeStart;
-  }
-  return total;
+  return (memberData.totalMs || 0) + getActiveMs(memberData);
 }
 
 function cardTotalMs(timeData) {
@@ -135,14 +218,50 @@ function cardTotalMs(timeData) {
   return sum;
 }
 
+/** True if any timer is counting (running and not paused). */
 function hasActiveTimer(timeData) {
   var values = Object.values(timeData);
   for (var i = 0; i < values.length; i++) {
-    if (values[i].activeStart != null) return true;
+    if (values[i].activeStart != null && values[i].pausedAt == null) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function hasPausedTimer(timeData) {
+  var values = Object.values(timeData);
+  for (var i = 0; i < values.length; i++) {
+    if (values[i].pausedAt != null) return true;
+  }
+  return false;
+}
+
+/**
+ * True if any running timer has passed the board's max session length.
+ * maxSessionHours comes from the "ttSettings" board setting (0 = no limit).
+ */
+function hasOverdueTimer(timeData, maxSessionHours) {
+  var maxMs = (Number(maxSessionHours) || 0) * 3600000;
+  if (maxMs <= 0) return false;
+  var values = Object.values(timeData);
+  for (var i = 0; i < values.length; i++) {
+    if (getActiveMs(values[i]) > maxMs) return true;
   }
   return false;
 }
 
+function getBoardSettings(t) {
+  return t.get("board", "shared", "ttSettings").then(
+    function (settings) {
+      return settings || {};
+    },
+    function () {
+      return {};
+    },
+  );
+}
+
 // ---------------------------------------------------------------------------
 // Initialize Power-Up
 // ---------------------------------------------------------------------------
@@ -159,17 +278,23 @@ if (!window.TrelloPowerUp) {
   window.TrelloPowerUp.initialize(
     {
       "card-badges": function (t) {
-        return t
-          .card("id")
-          .then(function (card) {
+        return Promise.all([t.card("id"), getSupabaseToken(t)])
+          .then(function (found) {
+            var card = found[0];
+            var token = found[1];
+            if (!token) return [];
             return Promise.all([
-              getCardTimeData(card.id),
-              getCardEstimateTotal(card.id),
+              getCardTimeData(token, card.id),
+              getCardEstimateTotal(token, card.id),
+              getBoardSettings(t),
             ]).then(function (results) {
               var data = results[0];
               var estimateTotal = results[1];
+              var settings = results[2];
               var total = cardTotalMs(data);
               var active = hasActiveTimer(data);
+              var paused = hasPausedTimer(data);
+              var overdue = hasOverdueTimer(data, settings.maxSessionHours);
 
               var text =
                 formatDuration(total, true) +
@@ -179,8 +304,12 @@ if (!window.TrelloPowerUp) {
                   : "Ikke estimert");
 
               var color = null;
-              if (active) {
+              if (overdue) {
+                color = "orange";
+              } else if (active) {
                 color = "green";
+              } else if (paused) {
+                color = "yellow";
               } else if (estimateTotal > 0 && total > estimateTotal) {
                 color = "red";
               }
@@ -202,23 +331,51 @@ if (!window.TrelloPowerUp) {
       },
 
       "card-detail-badges": function (t) {
-        return t
-          .card("id")
-          .then(function (card) {
+        return Promise.all([t.card("id"), getSupabaseToken(t)])
+          .then(function (found) {
+            var card = found[0];
+            var token = found[1];
+            if (!token) {
+              // The timer popup asks the member to connect Trello
+              return [
+                {
+                  title: "Registrert tid",
+                  text: "Koble til",
+                  callback: function (tc) {
+                    return tc.modal({
+                      title: "Tidstracker",
+                      url: BASE + "/timer.html",
+                      height: 500,
+                      args: { tab: "timer" },
+                    });
+                  },
+                },
+              ];
+            }
             return Promise.all([
-              getCardTimeData(card.id),
-              getCardEstimateTotal(card.id),
+              getCardTimeData(token, card.id),
+              getCardEstimateTotal(token, card.id),
+              getBoardSettings(t),
             ]).then(function (results) {
               var data = results[0];
               var estimateTotal = results[1];
+              var settings = results[2];
               var total = cardTotalMs(data);
               var active = hasActiveTimer(data);
+              var paused = hasPausedTimer(data);
+              var overdue = hasOverdueTimer(data, settings.maxSessionHours);
 
               var badges = [
                 {
                   title: "Registrert tid",
                   text: formatDuration(total, false),
-                  color: active ? "green" : null,
+                  color: overdue
+                    ? "orange"
+                    : active
+                      ? "green"
+                      : paused
+                        ? "yellow"
+                        : null,
                   callback: function (tc) {
                     return tc.modal({
                       title: "Tidstracker",
@@ -294,11 +451,11 @@ if (!window.TrelloPowerUp) {
         return t.popup({
           title: "Tidstracker - Innstillinger",
           url: BASE + "/settings.html",
-          height: 300,
+          height: 480,
         });
       },
     },
-    { appKey: "", appName: "Time Tracker" },
+    { appKey: TRELLO_APP_KEY, appName: "Time Tracker" },
   );
 
   console.log("[TimeTracker] Initialization complete!");
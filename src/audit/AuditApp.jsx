@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import { getAuditLog, AUDIT_ACTIONS } from "../utils/audit.js";
+import { LOCK_STATUSES } from "../utils/lockStorage.js";
+import { formatDuration, formatDateTime } from "../utils/time.js";
+import Toast, { useToast } from "../components/Toast.jsx";
+import { useBoardChanges } from "../utils/realtime.js";
+
+/**
+ * AuditApp – "Endringslogg" tab: who changed whose time or estimates, newest
+ * first, filterable by person and card. Read-only; the log is append-only.
+ */
+
+const PAGE_SIZE = 50;
+
+// Subtractions are stored as negative durations
+function formatSigned(ms) {
+  return ms < 0 ? "−" + formatDuration(-ms, true) : formatDuration(ms, true);
+}
+
+/**
+ * Human-readable summary of a before/after snapshot from audit.js.
+ * @param {object|null} value
+ * @returns {string}
+ */
+function describeValue(value) {
+  if (!value) return "–";
+  const parts = [];
+  if (value.first && value.second) {
+    return `1: ${describeValue(value.first)} · 2: ${describeValue(value.second)}`;
+  }
+  if (value.startedAt && value.endedAt && value.startedAt !== value.endedAt) {
+    parts.push(
+      `${formatDateTime(value.startedAt)}–${formatDateTime(value.endedAt)}`,
+    );
+  } else if (value.startedAt) {
+    parts.push(`fra ${formatDateTime(value.startedAt)}`);
+  }
+  if (value.at) parts.push(formatDateTime(value.at));
+  if (value.durationMs != null) parts.push(formatSigned(value.durationMs));
+  if (value.pausedMs != null) {
+    parts.push(`pause ${formatDuration(value.pausedMs, true)}`);
+  }
+  if (value.requestedMs != null && value.requestedMs !== value.durationMs) {
+    parts.push(`(ønsket ${formatSigned(value.requestedMs)})`);
+  }
+  if (value.totalMs != null) {
+    parts.push(`totalt ${formatSigned(value.totalMs)}`);
+  }
+  if (value.entryCount) parts.push(`${value.entryCount} oppføringer`);
+  if (value.fileName) parts.push(`fra ${value.fileName}`);
+  if (value.activeSince) {
+    parts.push(`timer siden ${formatDateTime(value.activeSince)}`);
+  }
+  if (value.estimatedMs != null) {
+    parts.push(`estimat ${formatDuration(value.estimatedMs, true)}`);
+  }
+  if (value.billable != null && value.durationMs == null) {
+    parts.push(value.billable ? "fakturerbar" : "ikke fakturerbar");
+  }
+  if (value.period) parts.push(value.period);
+  if (value.status) parts.push(LOCK_STATUSES[value.status] || value.status);
+  if (value.note) parts.push(`«${value.note}»`);
+  if (value.reason) parts.push(`Årsak: ${value.reason}`);
+  return parts.join(", ") || "–";
+}
+
+export default function AuditApp({ t }) {
+  const [rows, setRows] = useState([]);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [memberId, setMemberId] = useState("");
+  const [cardId, setCardId] = useState("");
+  const [members, setMembers] = useState([]);
+  const [cards, setCards] = useState([]);
+  const { toast, showError, dismissToast } = useToast();
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    t.board("members")
+      .then((board) => setMembers(board.members || []))
+      .catch((e) => console.error("[TimeTracker] board members error:", e));
+    t.cards("id", "name")
+      .then((list) =>
+        setCards([...list].sort((a, b) => a.name.localeCompare(b.name))),
+      )
+      .catch((e) => console.error("[TimeTracker] cards error:", e));
+  }, [t]);
+
+  const load = useCallback(
+    async (nextPage = 0) => {
+      const request = ++requestRef.current;
+      setLoading(true);
+      try {
+        const result = await getAuditLog(
+          t,
+          { memberId: memberId || undefined, cardId: cardId || undefined },
+          { page: nextPage, pageSize: PAGE_SIZE },
+        );
+        if (request !== requestRef.current) return;
+        setRows((prev) =>
+          nextPage === 0 ? result.rows : [...prev, ...result.rows],
+        );
+        setHasMore(result.hasMore);
+        setPage(nextPage);
+      } catch (e) {
+        if (request === requestRef.current) showError(e, () => load(nextPage));
+      } finally {
+        if (request === requestRef.current) setLoading(false);
+      }
+    },
+    [t, memberId, cardId, showError],
+  );
+
+  useEffect(() => {
+    load(0);
+  }, [load]);
+
+  // New changes on the board add log rows; show them from the top
+  const reloadFirstPage = useCallback(() => load(0), [load]);
+  useBoardChanges(t, {
+    onChanges: reloadFirstPage,
+    onPoll: reloadFirstPage,
+  });
+
+  return (
+    <div>
+      <div style={styles.controls}>
+        <div style={styles.controlGroup}>
+          <label style={styles.controlLabel}>Person:</label>
+          <select
+            value={memberId}
+            onChange={(e) => setMemberId(e.target.value)}
+            style={styles.select}
+          >
+            <option value="">Alle</option>
+            {members.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.fullName}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div style={styles.controlGroup}>
+          <label style={styles.controlLabel}>Kort:</label>
+          <select
+            value={cardId}
+            onChange={(e) => setCardId(e.target.value)}
+            style={styles.select}
+          >
+            <option value="">Alle</option>
+            {cards.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {rows.length === 0 && !loading ? (
+        <div style={styles.empty}>Ingen endringer registrert.</div>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Tidspunkt</th>
+              <th style={styles.th}>Utført av</th>
+              <th style={styles.th}>Person</th>
+              <th style={styles.th}>Kort</th>
+              <th style={styles.th}>Endring</th>
+              <th style={styles.th}>Før</th>
+              <th style={styles.th}>Etter</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.id}>
+                <td style={styles.tdNowrap}>
+                  {formatDateTime(row.created_at)}
+                </td>
+                <td style={styles.td}>{row.actor_name || row.actor_id}</td>
+                <td style={styles.td}>
+                  {row.target_member_id
+                    ? row.target_member_name || row.target_member_id
+                    : "Kort (generelt)"}
+                </td>
+                <td style={styles.td}>
+                  {cards.find((c) => c.id === row.card_id)?.name ||
+                    row.card_name ||
+                    row.card_id}
+                </td>
+                <td style={styles.tdNowrap}>
+                  {AUDIT_ACTIONS[row.action] || row.action}
+                </td>
+                <td style={styles.tdMuted}>{describeValue(row.before)}</td>
+                <td style={styles.td}>{describeValue(row.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {loading && <div style={styles.center}>Laster…</div>}
+      {hasMore && !loading && (
+        <div style={styles.center}>
+          <button style={styles.moreBtn} onClick={() => load(page + 1)}>
+            Vis flere
+          </button>
+        </div>
+      )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
+    </div>
+  );
+}
+
+const styles = {
+  center: { textAlign: "center", padding: 16, color: "#5E6C84" },
+  empty: {
+    textAlign: "center",
+    padding: 32,
+    color: "#5E6C84",
+    fontSize: 15,
+  },
+
+  // Controls
+  controls: {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: 12,
+    alignItems: "flex-end",
+    marginBottom: 16,
+    paddingBottom: 12,
+    borderBottom: "1px solid #DFE1E6",
+  },
+  controlGroup: { display: "flex", flexDirection: "column", gap: 4 },
+  controlLabel: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+  },
+  select: {
+    padding: "6px 10px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 14,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    height: 34,
+    boxSizing: "border-box",
+    maxWidth: 260,
+  },
+
+  // Table
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: {
+    textAlign: "left",
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "8px 10px",
+    borderBottom: "2px solid #DFE1E6",
+    backgroundColor: "#fff",
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "8px 10px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+    verticalAlign: "top",
+  },
+  tdNowrap: {
+    padding: "8px 10px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+    verticalAlign: "top",
+    whiteSpace: "nowrap",
+  },
+  tdMuted: {
+    padding: "8px 10px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#5E6C84",
+    verticalAlign: "top",
+  },
+  moreBtn: {
+    padding: "6px 14px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 13,
+    color: "#172B4D",
+  },
+};
@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { initAuth, authorizeTrello } from "../utils/auth.js";
+import { errorMessage } from "../utils/errors.js";
+
+/**
+ * AuthGate – Renders its children once Supabase requests are signed for the
+ * board (see auth.js). Until then it shows a "Koble til Trello" prompt, or
+ * the reason access was refused.
+ *
+ * @param {{ t: object, children: React.ReactNode }} props
+ */
+export default function AuthGate({ t, children }) {
+  // checking | connect | ready | error
+  const [status, setStatus] = useState("checking");
+  const [error, setError] = useState(null);
+
+  const check = useCallback(async () => {
+    setStatus("checking");
+    setError(null);
+    try {
+      setStatus((await initAuth(t)) ? "ready" : "connect");
+    } catch (e) {
+      console.error("[TimeTracker] auth failed:", e);
+      setError(e);
+      setStatus("error");
+    }
+  }, [t]);
+
+  useEffect(() => {
+    check();
+  }, [check]);
+
+  const handleConnect = async () => {
+    try {
+      await authorizeTrello(t);
+      await check();
+    } catch (e) {
+      // Closing the Trello popup rejects; leave the prompt as it is
+      console.warn("[TimeTracker] Trello authorization cancelled:", e);
+    }
+  };
+
+  if (status === "ready") return children;
+
+  if (status === "checking") {
+    return <div style={styles.container}>Kobler til…</div>;
+  }
+
+  if (status === "connect") {
+    return (
+      <div style={styles.container}>
+        <p style={styles.text}>
+          Tidstrackeren trenger lesetilgang til Trello for å bekrefte at du er
+          medlem av tavlen.
+        </p>
+        <button style={styles.primaryBtn} onClick={handleConnect}>
+          Koble til Trello
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.container}>
+      <p style={styles.error}>
+        {error?.kind === "permission"
+          ? "Du har ikke tilgang til tidsdata på denne tavlen."
+          : errorMessage(error)}
+      </p>
+      <div style={styles.actions}>
+        <button style={styles.secondaryBtn} onClick={check}>
+          Prøv igjen
+        </button>
+        {error?.kind === "permission" && (
+          <button style={styles.secondaryBtn} onClick={handleConnect}>
+            Koble til på nytt
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    fontFamily:
+      "-apple-system, BlinkMacSystemFont, Segoe UI, Roboto, sans-serif",
+    padding: 24,
+    textAlign: "center",
+    color: "#5E6C84",
+    fontSize: 14,
+  },
+  text: { margin: "0 0 16px", color: "#172B4D", lineHeight: 1.4 },
+  error: { margin: "0 0 16px", color: "#DE350B", lineHeight: 1.4 },
+  actions: { display: "flex", gap: 8, justifyContent: "center" },
+  primaryBtn: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: 4,
+    backgroundColor: "#0079BF",
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: 600,
+    cursor: "pointer",
+  },
+  secondaryBtn: {
+    padding: "6px 12px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    color: "#172B4D",
+    fontSize: 13,
+    cursor: "pointer",
+  },
+};
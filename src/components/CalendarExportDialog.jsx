@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+
+/**
+ * CalendarExportDialog – Options for the iCalendar export ("Eksporter
+ * kalender").
+ *
+ * Pure UI: ReportApp fetches the sessions for the current date filter and
+ * builds the .ics file (see downloadEntriesICS in export.js).
+ *
+ * @param {{
+ *   members: Array<{ id: string, fullName: string }>,  // board members
+ *   initialMemberId: string|null,  // preselected person, null = everyone
+ *   rangeLabel: string,            // current date filter, e.g. "Forrige måned"
+ *   busy: boolean,
+ *   onCancel: () => void,
+ *   onExport: (memberId: string|null) => void,
+ * }} props
+ */
+export default function CalendarExportDialog({
+  members,
+  initialMemberId,
+  rangeLabel,
+  busy,
+  onCancel,
+  onExport,
+}) {
+  const [memberId, setMemberId] = useState(initialMemberId || "");
+
+  return (
+    <div style={styles.overlay}>
+      <div style={styles.dialog}>
+        <div style={styles.title}>Eksporter kalender</div>
+        <p style={styles.hint}>
+          Én hendelse per økt for {rangeLabel.toLowerCase()}, med kortnavnet som
+          tittel. Importer .ics-filen i Google Kalender, Outlook eller Apple
+          Kalender for å se tiden ved siden av møtene. Manuelle justeringer har
+          ikke start og slutt og tas ikke med.
+        </p>
+
+        <label style={styles.fieldLabel}>
+          Person
+          <select
+            value={memberId}
+            onChange={(e) => setMemberId(e.target.value)}
+            style={styles.select}
+          >
+            <option value="">Alle</option>
+            {members.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.fullName}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <div style={styles.buttons}>
+          <button onClick={onCancel} style={styles.cancelBtn}>
+            Avbryt
+          </button>
+          <button
+            onClick={() => onExport(memberId || null)}
+            disabled={busy}
+            style={styles.exportBtn}
+          >
+            {busy ? "Henter…" : "Last ned .ics"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+  dialog: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 24,
+    maxWidth: 400,
+    width: "90%",
+    boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 600,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: "#5E6C84",
+    lineHeight: 1.5,
+    margin: "0 0 12px 0",
+  },
+  fieldLabel: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    fontSize: 13,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+  select: {
+    padding: "4px 8px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 13,
+    minWidth: 220,
+  },
+  buttons: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: 8,
+    marginTop: 16,
+  },
+  cancelBtn: {
+    padding: "8px 16px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#172B4D",
+  },
+  exportBtn: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: 4,
+    backgroundColor: "#0079BF",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#fff",
+    fontWeight: 600,
+  },
+};
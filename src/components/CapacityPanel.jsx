@@ -0,0 +1,170 @@
+import React from "react";
+import { formatDuration } from "../utils/time.js";
+
+// Tracked time below this share of the expected hours counts as under-allocated
+const UNDER_THRESHOLD = 0.8;
+
+function percent(ms, capacityMs) {
+  return capacityMs > 0 ? Math.round((ms / capacityMs) * 100) : null;
+}
+
+/**
+ * CapacityPanel – Tracked time and remaining estimates per member compared
+ * against their weekly capacity.
+ *
+ * Tracked time is compared against the hours expected so far in the week
+ * (workdays elapsed / 5), so a half-finished week is not flagged as under.
+ * Remaining estimate is compared against one full week of capacity.
+ *
+ * @param {{
+ *   rows: Array<{ memberId: string, label: string, capacityMs: number|null,
+ *                 trackedMs: number, remainingMs: number }>,
+ *   weekFraction: number,   // 0..1 share of the work week that has passed
+ * }} props
+ */
+export default function CapacityPanel({ rows, weekFraction }) {
+  const withCapacity = rows.filter((r) => r.capacityMs > 0);
+
+  if (withCapacity.length === 0) {
+    return (
+      <div style={styles.panel}>
+        <div style={styles.title}>Kapasitet</div>
+        <div style={styles.hint}>
+          Ingen ukentlig kapasitet er satt. Legg den inn under Power-Up
+          innstillingene.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div style={styles.panel}>
+      <div style={styles.title}>Kapasitet</div>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.thLeft}>Person</th>
+            <th style={styles.th}>Kapasitet</th>
+            <th style={styles.th}>Registrert</th>
+            <th style={styles.th}>Gjenstående estimat</th>
+          </tr>
+        </thead>
+        <tbody>
+          {withCapacity.map((row) => {
+            const expectedMs = row.capacityMs * weekFraction;
+            const trackedStatus =
+              row.trackedMs > row.capacityMs
+                ? "over"
+                : row.trackedMs < expectedMs * UNDER_THRESHOLD
+                  ? "under"
+                  : null;
+            const remainingStatus =
+              row.remainingMs > row.capacityMs
+                ? "over"
+                : row.remainingMs < row.capacityMs * UNDER_THRESHOLD
+                  ? "under"
+                  : null;
+
+            return (
+              <tr key={row.memberId}>
+                <td style={styles.tdLeft}>{row.label}</td>
+                <td style={styles.td}>{formatDuration(row.capacityMs)}</td>
+                <td style={{ ...styles.td, ...statusStyle(trackedStatus) }}>
+                  {formatDuration(row.trackedMs)}{" "}
+                  <span style={styles.pct}>
+                    ({percent(row.trackedMs, row.capacityMs)}%)
+                  </span>
+                </td>
+                <td style={{ ...styles.td, ...statusStyle(remainingStatus) }}>
+                  {formatDuration(row.remainingMs)}{" "}
+                  <span style={styles.pct}>
+                    ({percent(row.remainingMs, row.capacityMs)}%)
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={styles.legend}>
+        <span style={{ ...styles.swatch, ...styles.over }} />
+        Overallokert
+        <span style={{ ...styles.swatch, ...styles.under, marginLeft: 12 }} />
+        Underallokert
+      </div>
+    </div>
+  );
+}
+
+function statusStyle(status) {
+  if (status === "over") return styles.over;
+  if (status === "under") return styles.under;
+  return {};
+}
+
+const styles = {
+  panel: {
+    marginBottom: 16,
+    padding: 12,
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+  hint: { fontSize: 12, color: "#5E6C84" },
+  table: { borderCollapse: "collapse", width: "100%" },
+  th: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "6px 8px",
+    borderBottom: "2px solid #DFE1E6",
+    textAlign: "right",
+  },
+  thLeft: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "6px 8px",
+    borderBottom: "2px solid #DFE1E6",
+    textAlign: "left",
+  },
+  td: {
+    padding: "6px 8px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    textAlign: "right",
+    whiteSpace: "nowrap",
+    fontFamily: "monospace, sans-serif",
+    color: "#172B4D",
+  },
+  tdLeft: {
+    padding: "6px 8px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+  },
+  pct: { color: "#5E6C84", fontSize: 11 },
+  over: { backgroundColor: "#FFEBE6", color: "#BF2600" },
+  under: { backgroundColor: "#FFFAE6", color: "#974F0C" },
+  legend: {
+    display: "flex",
+    alignItems: "center",
+    gap: 4,
+    marginTop: 8,
+    fontSize: 11,
+    color: "#5E6C84",
+  },
+  swatch: {
+    display: "inline-block",
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+  },
+};
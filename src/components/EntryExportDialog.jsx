@@ -0,0 +1,241 @@
+import React, { useState } from "react";
+import {
+  ENTRY_COLUMNS,
+  ENTRY_DATE_FORMATS,
+  DEFAULT_ENTRY_EXPORT,
+} from "../utils/export.js";
+
+const SEPARATORS = {
+  ";": "Semikolon (;)",
+  ",": "Komma (,)",
+  "\t": "Tabulator",
+};
+
+const DECIMALS = {
+  ",": "Komma (1,50)",
+  ".": "Punktum (1.50)",
+};
+
+/**
+ * EntryExportDialog – Options for the per-session export ("Eksporter økter").
+ *
+ * Pure UI: ReportApp loads the sessions for the current date filter and
+ * downloads them with the chosen options (see downloadEntriesCSV).
+ *
+ * @param {{
+ *   initialOptions: typeof DEFAULT_ENTRY_EXPORT,
+ *   rangeLabel: string,            // current date filter, e.g. "Denne uken"
+ *   busy: boolean,
+ *   onCancel: () => void,
+ *   onExport: (options) => void,
+ * }} props
+ */
+export default function EntryExportDialog({
+  initialOptions,
+  rangeLabel,
+  busy,
+  onCancel,
+  onExport,
+}) {
+  const [options, setOptions] = useState({
+    ...DEFAULT_ENTRY_EXPORT,
+    ...initialOptions,
+  });
+  // Comma-separated files need a point as decimal mark
+  const decimalClash = options.separator === options.decimal;
+
+  const set = (key, value) => setOptions((prev) => ({ ...prev, [key]: value }));
+
+  const toggleColumn = (key) =>
+    set(
+      "columns",
+      options.columns.includes(key)
+        ? options.columns.filter((c) => c !== key)
+        : [...options.columns, key],
+    );
+
+  return (
+    <div style={styles.overlay}>
+      <div style={styles.dialog}>
+        <div style={styles.title}>Eksporter økter</div>
+        <p style={styles.hint}>
+          Én rad per økt for {rangeLabel.toLowerCase()}. Økter som krysser
+          periodens start eller slutt tas med for delen innenfor perioden.
+        </p>
+
+        <div style={styles.sectionTitle}>Kolonner</div>
+        <div style={styles.columns}>
+          {Object.entries(ENTRY_COLUMNS).map(([key, label]) => (
+            <label key={key} style={styles.checkLabel}>
+              <input
+                type="checkbox"
+                checked={options.columns.includes(key)}
+                onChange={() => toggleColumn(key)}
+                style={{ margin: 0 }}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <label style={styles.fieldLabel}>
+          Skilletegn
+          <select
+            value={options.separator}
+            onChange={(e) => set("separator", e.target.value)}
+            style={styles.select}
+          >
+            {Object.entries(SEPARATORS).map(([value, label]) => (
+              <option key={label} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.fieldLabel}>
+          Desimaltegn
+          <select
+            value={options.decimal}
+            onChange={(e) => set("decimal", e.target.value)}
+            style={styles.select}
+          >
+            {Object.entries(DECIMALS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.fieldLabel}>
+          Datoformat
+          <select
+            value={options.dateFormat}
+            onChange={(e) => set("dateFormat", e.target.value)}
+            style={styles.select}
+          >
+            {Object.entries(ENTRY_DATE_FORMATS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {decimalClash && (
+          <p style={styles.warning}>
+            Skilletegn og desimaltegn kan ikke være like.
+          </p>
+        )}
+
+        <div style={styles.buttons}>
+          <button onClick={onCancel} style={styles.cancelBtn}>
+            Avbryt
+          </button>
+          <button
+            onClick={() => onExport(options)}
+            disabled={busy || decimalClash || options.columns.length === 0}
+            style={styles.exportBtn}
+          >
+            {busy ? "Henter…" : "Last ned CSV"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+  dialog: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 24,
+    maxWidth: 440,
+    width: "90%",
+    boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 600,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: "#5E6C84",
+    lineHeight: 1.5,
+    margin: "0 0 12px 0",
+  },
+  sectionTitle: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    marginBottom: 6,
+  },
+  columns: {
+    display: "grid",
+    gridTemplateColumns: "repeat(3, 1fr)",
+    gap: "4px 12px",
+    marginBottom: 12,
+  },
+  checkLabel: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 13,
+    color: "#172B4D",
+    cursor: "pointer",
+  },
+  fieldLabel: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    fontSize: 13,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+  select: {
+    padding: "4px 8px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 13,
+    minWidth: 220,
+  },
+  warning: { fontSize: 12, color: "#DE350B", margin: "0 0 8px 0" },
+  buttons: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: 8,
+    marginTop: 16,
+  },
+  cancelBtn: {
+    padding: "8px 16px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#172B4D",
+  },
+  exportBtn: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: 4,
+    backgroundColor: "#0079BF",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#fff",
+    fontWeight: 600,
+  },
+};
@@ -0,0 +1,218 @@
+import React from "react";
+import { LOCK_STATUSES } from "../utils/lockStorage.js";
+import { formatDateTime } from "../utils/time.js";
+
+/**
+ * LockPanel – Submitted/approved status per member for one week or month.
+ *
+ * Locked periods reject back-dated adjustments, entry edits and resets (see
+ * lockStorage.js). Members can submit their own period; approving and
+ * reopening need the lockPeriods permission. A lock on the surrounding
+ * month (or a week inside the month) is shown with its own label.
+ *
+ * @param {{
+ *   period: { type: "week"|"month", startsAt: string, label: string },
+ *   members: Array<{ id: string, fullName: string }>,
+ *   locks: Array,                  // getPeriodLocks rows overlapping the period
+ *   memberId: string|null,         // current member
+ *   canApprove: boolean,
+ *   busy: boolean,
+ *   onPeriodType: (type) => void,
+ *   onShift: (steps: number) => void,
+ *   onLock: (member, status) => void,
+ *   onUnlock: (lock) => void,
+ * }} props
+ */
+export default function LockPanel({
+  period,
+  members,
+  locks,
+  memberId,
+  canApprove,
+  busy,
+  onPeriodType,
+  onShift,
+  onLock,
+  onUnlock,
+}) {
+  return (
+    <div style={styles.panel}>
+      <div style={styles.header}>
+        <div style={styles.title}>Låsing</div>
+        <select
+          value={period.type}
+          onChange={(e) => onPeriodType(e.target.value)}
+          style={styles.select}
+        >
+          <option value="week">Uke</option>
+          <option value="month">Måned</option>
+        </select>
+        <button style={styles.navBtn} onClick={() => onShift(-1)}>
+          ‹
+        </button>
+        <span style={styles.periodLabel}>{period.label}</span>
+        <button style={styles.navBtn} onClick={() => onShift(1)}>
+          ›
+        </button>
+      </div>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>Person</th>
+            <th style={styles.th}>Status</th>
+            <th style={styles.th}>Satt av</th>
+            <th style={styles.th}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {members.map((m) => {
+            const own = locks.filter((l) => l.memberId === m.id);
+            // Postgres formats timestamps differently, so compare the times
+            const lock = own.find(
+              (l) =>
+                l.type === period.type &&
+                new Date(l.startsAt).getTime() ===
+                  new Date(period.startsAt).getTime(),
+            );
+            const other = lock ? null : own[0];
+            const shown = lock || other;
+            return (
+              <tr key={m.id}>
+                <td style={styles.td}>{m.fullName}</td>
+                <td style={styles.td}>
+                  {lock ? (
+                    <span style={styles[lock.status]}>
+                      🔒 {LOCK_STATUSES[lock.status]}
+                    </span>
+                  ) : other ? (
+                    <span style={styles[other.status]}>
+                      🔒 {LOCK_STATUSES[other.status]} ({other.label})
+                    </span>
+                  ) : (
+                    <span style={styles.open}>Åpen</span>
+                  )}
+                </td>
+                <td style={styles.tdMuted}>
+                  {shown &&
+                    `${shown.lockedByName || shown.lockedBy}, ${formatDateTime(shown.lockedAt)}`}
+                </td>
+                <td style={styles.tdActions}>
+                  {!shown && (canApprove || m.id === memberId) && (
+                    <button
+                      style={styles.btn}
+                      disabled={busy}
+                      onClick={() => onLock(m, "submitted")}
+                    >
+                      Lever
+                    </button>
+                  )}
+                  {!other && lock?.status !== "approved" && canApprove && (
+                    <button
+                      style={styles.btn}
+                      disabled={busy}
+                      onClick={() => onLock(m, "approved")}
+                    >
+                      Godkjenn
+                    </button>
+                  )}
+                  {lock && canApprove && (
+                    <button
+                      style={styles.btn}
+                      disabled={busy}
+                      onClick={() => onUnlock(lock)}
+                    >
+                      Åpne
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    marginBottom: 16,
+    padding: 12,
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+  },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "#172B4D",
+    marginRight: 4,
+  },
+  select: {
+    padding: "2px 6px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 12,
+  },
+  navBtn: {
+    padding: "0 8px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#172B4D",
+  },
+  periodLabel: {
+    fontSize: 13,
+    color: "#172B4D",
+    minWidth: 110,
+    textAlign: "center",
+  },
+  table: { borderCollapse: "collapse", width: "100%" },
+  th: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "6px 8px",
+    borderBottom: "2px solid #DFE1E6",
+    textAlign: "left",
+  },
+  td: {
+    padding: "6px 8px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+  },
+  tdMuted: {
+    padding: "6px 8px",
+    fontSize: 12,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#5E6C84",
+  },
+  tdActions: {
+    padding: "4px 8px",
+    borderBottom: "1px solid #F4F5F7",
+    textAlign: "right",
+    whiteSpace: "nowrap",
+  },
+  btn: {
+    padding: "3px 10px",
+    marginLeft: 6,
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    color: "#172B4D",
+  },
+  open: { color: "#5E6C84" },
+  submitted: { color: "#974F0C" },
+  approved: { color: "#006644", fontWeight: 600 },
+};
@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+
+/**
+ * PrintDialog – Options for the printable report ("Skriv ut / PDF").
+ *
+ * Pure UI: ReportApp builds the page from its current grouping and opens the
+ * browser's print dialog (see print.js), where it can be saved as PDF.
+ *
+ * @param {{
+ *   rangeLabel: string,            // current date filter, e.g. "Forrige måned"
+ *   hasRates: boolean,             // offer the Timepris/Beløp columns
+ *   busy: boolean,
+ *   onCancel: () => void,
+ *   onPrint: (options: { includeChart: boolean, includeAmounts: boolean }) => void,
+ * }} props
+ */
+export default function PrintDialog({
+  rangeLabel,
+  hasRates,
+  busy,
+  onCancel,
+  onPrint,
+}) {
+  const [includeChart, setIncludeChart] = useState(true);
+  const [includeAmounts, setIncludeAmounts] = useState(hasRates);
+
+  return (
+    <div style={styles.overlay}>
+      <div style={styles.dialog}>
+        <div style={styles.title}>Skriv ut / PDF</div>
+        <p style={styles.hint}>
+          Tabellen slik den er gruppert nå, for {rangeLabel.toLowerCase()}. Velg
+          «Lagre som PDF» i utskriftsdialogen for å legge rapporten ved en
+          faktura.
+        </p>
+
+        <label style={styles.checkLabel}>
+          <input
+            type="checkbox"
+            checked={includeChart}
+            onChange={(e) => setIncludeChart(e.target.checked)}
+            style={{ margin: 0 }}
+          />
+          Ta med diagram
+        </label>
+        {hasRates && (
+          <label style={styles.checkLabel}>
+            <input
+              type="checkbox"
+              checked={includeAmounts}
+              onChange={(e) => setIncludeAmounts(e.target.checked)}
+              style={{ margin: 0 }}
+            />
+            Ta med timepris og beløp
+          </label>
+        )}
+
+        <div style={styles.buttons}>
+          <button onClick={onCancel} style={styles.cancelBtn}>
+            Avbryt
+          </button>
+          <button
+            onClick={() => onPrint({ includeChart, includeAmounts })}
+            disabled={busy}
+            style={styles.printBtn}
+          >
+            {busy ? "Henter…" : "Skriv ut"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+  dialog: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 24,
+    maxWidth: 400,
+    width: "90%",
+    boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 600,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: "#5E6C84",
+    lineHeight: 1.5,
+    margin: "0 0 12px 0",
+  },
+  checkLabel: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 13,
+    color: "#172B4D",
+    cursor: "pointer",
+    marginBottom: 8,
+  },
+  buttons: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: 8,
+    marginTop: 16,
+  },
+  cancelBtn: {
+    padding: "8px 16px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#172B4D",
+  },
+  printBtn: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: 4,
+    backgroundColor: "#0079BF",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#fff",
+    fontWeight: 600,
+  },
+};
@@ -1,26 +1,46 @@
 import React, { useMemo } from "react";
-import { Bar, Pie } from "react-chartjs-2";
+import { Bar, Line, Pie } from "react-chartjs-2";
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   BarElement,
   ArcElement,
+  LineElement,
+  PointElement,
+  BarController,
+  PieController,
+  Filler,
   Tooltip,
   Legend,
 } from "chart.js";
-import { formatDuration } from "../utils/time.js";
+import {
+  formatDuration,
+  periodKey,
+  listPeriods,
+  getPeriodRange,
+  getActiveMs,
+} from "../utils/time.js";
+import { formatAmount } from "../utils/rateStorage.js";
 
-// Register Chart.js components
+// Register Chart.js components (the controllers are for renderChartImage)
 ChartJS.register(
   CategoryScale,
   LinearScale,
   BarElement,
   ArcElement,
+  LineElement,
+  PointElement,
+  BarController,
+  PieController,
+  Filler,
   Tooltip,
   Legend,
 );
 
+// Max number of series in the time-series chart; the rest become "Andre"
+const MAX_SERIES = 10;
+
 // Color palette for chart segments
 const PALETTE = [
   "#0079BF",
@@ -86,34 +106,35 @@ function trelloLabelColor(color) {
   return map[color] || "#8C8F97";
 }
 
-/**
- * ReportChart – Renders either a bar or pie chart for aggregated time data.
- *
- * @param {{ data: Array<{ label: string, totalMs: number }>, chartType: 'bar'|'pie' }} props
- */
-export default function ReportChart({ data, chartType }) {
-  const chartData = useMemo(() => {
-    const labels = data.map((d) => d.label);
-    const values = data.map((d) => Math.round(d.totalMs / 60000)); // convert to minutes
-    const colors = data.map((d, i) =>
-      d.color ? trelloLabelColor(d.color) : PALETTE[i % PALETTE.length],
-    );
+// Bar/pie data: minutes or amount per row, label colours for label grouping
+function buildChartData(data, chartType, isAmount) {
+  const labels = data.map((d) => d.label);
+  const values = data.map(
+    (d) =>
+      isAmount
+        ? Math.round((d.amount || 0) * 100) / 100
+        : Math.round(d.totalMs / 60000), // convert to minutes
+  );
+  const colors = data.map((d, i) =>
+    d.color ? trelloLabelColor(d.color) : PALETTE[i % PALETTE.length],
+  );
 
-    return {
-      labels,
-      datasets: [
-        {
-          label: "Tid (minutter)",
-          data: values,
-          backgroundColor: colors,
-          borderColor: chartType === "bar" ? colors.map((c) => c) : "#fff",
-          borderWidth: chartType === "bar" ? 0 : 2,
-          borderRadius: chartType === "bar" ? 4 : 0,
-        },
-      ],
-    };
-  }, [data, chartType]);
+  return {
+    labels,
+    datasets: [
+      {
+        label: isAmount ? "Beløp (kr)" : "Tid (minutter)",
+        data: values,
+        backgroundColor: colors,
+        borderColor: chartType === "bar" ? colors.map((c) => c) : "#fff",
+        borderWidth: chartType === "bar" ? 0 : 2,
+        borderRadius: chartType === "bar" ? 4 : 0,
+      },
+    ],
+  };
+}
 
+function buildChartOptions(data, chartType, isAmount) {
   const commonOptions = {
     responsive: true,
     maintainAspectRatio: false,
@@ -125,20 +146,22 @@ export default function ReportChart({ data, chartType }) {
       tooltip: {
         callbacks: {
           label: (ctx) => {
-            const ms = data[ctx.dataIndex]?.totalMs || 0;
-            return ` ${ctx.label}: ${formatDuration(ms)}`;
+            const row = data[ctx.dataIndex];
+            if (isAmount) return ` ${ctx.label}: ${formatAmount(row?.amount)}`;
+            return ` ${ctx.label}: ${formatDuration(row?.totalMs || 0)}`;
           },
         },
       },
     },
   };
+  if (chartType !== "bar") return commonOptions;
 
-  const barOptions = {
+  return {
     ...commonOptions,
     scales: {
       y: {
         beginAtZero: true,
-        title: { display: true, text: "Minutter" },
+        title: { display: true, text: isAmount ? "Kroner" : "Minutter" },
       },
       x: {
         ticks: {
@@ -148,6 +171,22 @@ export default function ReportChart({ data, chartType }) {
       },
     },
   };
+}
+
+/**
+ * ReportChart – Renders either a bar or pie chart for aggregated time data.
+ * With valueMode "amount" the chart shows billable amount instead of minutes.
+ *
+ * @param {{ data: Array<{ label: string, totalMs: number, amount?: number }>, chartType: 'bar'|'pie', valueMode?: 'time'|'amount' }} props
+ */
+export default function ReportChart({ data, chartType, valueMode = "time" }) {
+  const isAmount = valueMode === "amount";
+
+  const chartData = useMemo(
+    () => buildChartData(data, chartType, isAmount),
+    [data, chartType, isAmount],
+  );
+  const options = buildChartOptions(data, chartType, isAmount);
 
   if (data.length === 0) {
     return (
@@ -160,9 +199,210 @@ export default function ReportChart({ data, chartType }) {
   return (
     <div style={{ height: 380 }}>
       {chartType === "bar" ? (
-        <Bar data={chartData} options={barOptions} />
+        <Bar data={chartData} options={options} />
+      ) : (
+        <Pie data={chartData} options={options} />
+      )}
+    </div>
+  );
+}
+
+/**
+ * The ReportChart bar or pie chart as a PNG data URL, for the print view.
+ * @param {Array} data – same rows as ReportChart
+ * @param {'bar'|'pie'} chartType
+ * @param {'time'|'amount'} [valueMode]
+ * @returns {string|null} null when there is nothing to draw
+ */
+export function renderChartImage(data, chartType, valueMode = "time") {
+  if (data.length === 0) return null;
+  const isAmount = valueMode === "amount";
+  const width = 900;
+  const height = 380;
+
+  // Chart.js measures the canvas, so it has to be in the document
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.style.cssText = `position:fixed;left:-10000px;top:0;width:${width}px;height:${height}px`;
+  document.body.appendChild(canvas);
+  const chart = new ChartJS(canvas, {
+    type: chartType === "pie" ? "pie" : "bar",
+    data: buildChartData(data, chartType, isAmount),
+    options: {
+      ...buildChartOptions(data, chartType, isAmount),
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 2,
+    },
+  });
+  try {
+    return chart.toBase64Image();
+  } finally {
+    chart.destroy();
+    canvas.remove();
+  }
+}
+
+/**
+ * TimeSeriesChart – Tracked time per day/week/month across the selected range,
+ * stacked by card, person or label.
+ *
+ * @param {{
+ *   entries: Array,               // getBoardTimeReport().entries
+ *   cards: Array,                 // getBoardTimeReport().cards (names, labels)
+ *   groupBy: 'card'|'person'|'label',
+ *   period: 'day'|'week'|'month',
+ *   chartType: 'bar'|'line',
+ *   from: string|null,
+ *   to: string|null,
+ *   now: number,
+ * }} props
+ */
+export function TimeSeriesChart({
+  entries,
+  cards,
+  groupBy,
+  period,
+  chartType,
+  from,
+  to,
+  now,
+}) {
+  const chartData = useMemo(() => {
+    const cardMap = Object.fromEntries(cards.map((c) => [c.cardId, c]));
+    const withDuration = entries
+      .map((e) => ({
+        ...e,
+        ms: e.activeStart != null ? getActiveMs(e, now) : e.durationMs,
+      }))
+      .filter((e) => e.ms !== 0);
+
+    const range = getPeriodRange(
+      from,
+      to,
+      withDuration.map((e) => e.startedAt),
+      now,
+    );
+    const periods = listPeriods(range.fromMs, range.toMs, period);
+    const periodIndex = Object.fromEntries(periods.map((p, i) => [p.key, i]));
+
+    // series key -> { label, color, values[] }
+    const series = new Map();
+    const add = (key, label, color, index, ms) => {
+      if (!series.has(key)) {
+        series.set(key, {
+          label,
+          color,
+          values: new Array(periods.length).fill(0),
+          totalMs: 0,
+        });
+      }
+      const s = series.get(key);
+      s.values[index] += ms;
+      s.totalMs += ms;
+    };
+
+    for (const e of withDuration) {
+      const index = periodIndex[periodKey(e.startedAt, period)];
+      if (index === undefined) continue;
+      const card = cardMap[e.cardId];
+      if (groupBy === "person") {
+        add(e.memberId, e.memberName || e.memberId, null, index, e.ms);
+      } else if (groupBy === "label") {
+        const labels = card?.labels?.length
+          ? card.labels
+          : [{ name: "Uten label", color: "gray" }];
+        for (const lbl of labels) {
+          const key = lbl.name || lbl.color;
+          add(key, key, lbl.color, index, e.ms);
+        }
+      } else {
+        add(e.cardId, card?.cardName || e.cardId, null, index, e.ms);
+      }
+    }
+
+    // Largest series first; fold the tail into "Andre"
+    let list = Array.from(series.values()).sort(
+      (a, b) => b.totalMs - a.totalMs,
+    );
+    if (list.length > MAX_SERIES) {
+      const rest = list.slice(MAX_SERIES - 1);
+      list = list.slice(0, MAX_SERIES - 1);
+      list.push({
+        label: "Andre",
+        color: null,
+        values: periods.map((_, i) =>
+          rest.reduce((s, r) => s + r.values[i], 0),
+        ),
+        totalMs: rest.reduce((s, r) => s + r.totalMs, 0),
+      });
+    }
+
+    return {
+      labels: periods.map((p) => p.label),
+      datasets: list.map((s, i) => {
+        const color = s.color
+          ? trelloLabelColor(s.color)
+          : PALETTE[i % PALETTE.length];
+        return {
+          label: s.label,
+          data: s.values.map((ms) => Math.round((ms / 3600000) * 100) / 100),
+          msValues: s.values,
+          backgroundColor: color,
+          borderColor: color,
+          borderWidth: chartType === "line" ? 2 : 0,
+          borderRadius: chartType === "line" ? 0 : 2,
+          fill: chartType === "line",
+          tension: 0.2,
+          pointRadius: 2,
+        };
+      }),
+    };
+  }, [entries, cards, groupBy, period, chartType, from, to, now]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: "index", intersect: false },
+    plugins: {
+      legend: { display: true, position: "bottom" },
+      tooltip: {
+        callbacks: {
+          label: (ctx) => {
+            const ms = ctx.dataset.msValues[ctx.dataIndex] || 0;
+            return ` ${ctx.dataset.label}: ${formatDuration(ms, true)}`;
+          },
+        },
+      },
+    },
+    scales: {
+      x: {
+        stacked: true,
+        ticks: { maxRotation: 45, minRotation: 0 },
+      },
+      y: {
+        stacked: true,
+        beginAtZero: true,
+        title: { display: true, text: "Timer" },
+      },
+    },
+  };
+
+  if (chartData.datasets.length === 0) {
+    return (
+      <div style={{ textAlign: "center", color: "#5E6C84", padding: 32 }}>
+        Ingen data å vise.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ height: 380 }}>
+      {chartType === "line" ? (
+        <Line data={chartData} options={options} />
       ) : (
-        <Pie data={chartData} options={commonOptions} />
+        <Bar data={chartData} options={options} />
       )}
     </div>
   );
@@ -0,0 +1,443 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { errorMessage } from "../utils/errors.js";
+import {
+  formatDuration,
+  formatDateTime,
+  periodKey,
+  listPeriods,
+  getPeriodRange,
+  getActiveMs,
+} from "../utils/time.js";
+
+const DRILLDOWN_PAGE_SIZE = 50;
+
+// Manual subtractions can make a cell negative
+function formatSigned(ms) {
+  return ms < 0 ? "−" + formatDuration(-ms, true) : formatDuration(ms, true);
+}
+
+/**
+ * Timesheet – Grid of tracked time with members (or cards) as rows and
+ * days (or ISO weeks) as columns. Entries are placed by their start time.
+ * Clicking a cell lists the underlying sessions below the grid; completed
+ * sessions are loaded page by page through loadEntries since `entries` only
+ * holds daily totals for them.
+ *
+ * @param {{
+ *   entries: Array,          // getBoardTimeReport().entries
+ *   cards: Array,            // getBoardTimeReport().cards (for card names)
+ *   rowBy: 'person'|'card',
+ *   period: 'day'|'week',
+ *   from: string|null,       // ISO start of the selected range
+ *   to: string|null,         // ISO end of the selected range
+ *   now: number,
+ *   loadEntries: (filters: object, paging: object) =>
+ *     Promise<{ rows: Array, hasMore: boolean }>,  // getBoardTimeEntries
+ * }} props
+ */
+export default function Timesheet({
+  entries,
+  cards,
+  rowBy,
+  period,
+  from,
+  to,
+  now,
+  loadEntries,
+}) {
+  const [selected, setSelected] = useState(null); // { rowKey, colKey }
+  const [loaded, setLoaded] = useState({
+    rows: [],
+    hasMore: false,
+    page: 0,
+    loading: false,
+    error: null,
+  });
+  const requestRef = useRef(0); // ignores responses for a previous cell
+
+  const cardNames = useMemo(
+    () => Object.fromEntries(cards.map((c) => [c.cardId, c.cardName])),
+    [cards],
+  );
+
+  const columnKey = (ms) => periodKey(ms, period);
+
+  const sheet = useMemo(() => {
+    const withDuration = entries
+      .map((e) => ({
+        ...e,
+        ms: e.activeStart != null ? getActiveMs(e, now) : e.durationMs,
+      }))
+      .filter((e) => e.ms !== 0);
+
+    // Column range: selected period, or the span of the data for "Totalt"
+    const range = getPeriodRange(
+      from,
+      to,
+      withDuration.map((e) => e.startedAt),
+      now,
+    );
+    const columns = listPeriods(range.fromMs, range.toMs, period);
+
+    const rows = new Map();
+    const colTotals = {};
+    for (const e of withDuration) {
+      const rowKey = rowBy === "card" ? e.cardId : e.memberId;
+      const colKey = columnKey(e.startedAt);
+      if (!rows.has(rowKey)) {
+        rows.set(rowKey, {
+          key: rowKey,
+          label:
+            rowBy === "card"
+              ? cardNames[e.cardId] || e.cardId
+              : e.memberName || e.memberId,
+          cells: {},
+          totalMs: 0,
+        });
+      }
+      const row = rows.get(rowKey);
+      row.cells[colKey] = (row.cells[colKey] || 0) + e.ms;
+      row.totalMs += e.ms;
+      colTotals[colKey] = (colTotals[colKey] || 0) + e.ms;
+    }
+
+    return {
+      columns,
+      rows: Array.from(rows.values()).sort((a, b) =>
+        a.label.localeCompare(b.label),
+      ),
+      colTotals,
+      grandTotal: withDuration.reduce((s, e) => s + e.ms, 0),
+      entries: withDuration,
+    };
+  }, [entries, cardNames, rowBy, period, from, to, now]);
+
+  // Time range of the selected cell, clipped to the selected period
+  const cellRange = useMemo(() => {
+    const column = selected
+      ? sheet.columns.find((c) => c.key === selected.colKey)
+      : null;
+    if (!column) return null;
+    const end = new Date(column.start);
+    end.setDate(end.getDate() + (period === "week" ? 7 : 1));
+    const fromMs = from
+      ? Math.max(column.start, new Date(from).getTime())
+      : column.start;
+    // Presets ending "now" move on every render; only a past end clips
+    const toLimit = to ? new Date(to).getTime() : Infinity;
+    const toMs = Math.min(
+      end.getTime() - 1,
+      toLimit < now - 60000 ? toLimit : Infinity,
+    );
+    return {
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+    };
+  }, [selected, sheet.columns, period, from, to, now]);
+
+  const loadPage = async (page) => {
+    const request = requestRef.current;
+    setLoaded((prev) => ({ ...prev, loading: true, error: null }));
+    try {
+      const { rows, hasMore } = await loadEntries(
+        {
+          ...cellRange,
+          [rowBy === "card" ? "cardId" : "memberId"]: selected.rowKey,
+        },
+        { page, pageSize: DRILLDOWN_PAGE_SIZE },
+      );
+      if (request !== requestRef.current) return;
+      setLoaded((prev) => ({
+        rows: page === 0 ? rows : [...prev.rows, ...rows],
+        hasMore,
+        page,
+        loading: false,
+        error: null,
+      }));
+    } catch (e) {
+      if (request !== requestRef.current) return;
+      setLoaded((prev) => ({ ...prev, loading: false, error: e, page }));
+    }
+  };
+
+  useEffect(() => {
+    requestRef.current += 1;
+    setLoaded({
+      rows: [],
+      hasMore: false,
+      page: 0,
+      loading: false,
+      error: null,
+    });
+    if (cellRange) loadPage(0);
+  }, [cellRange?.from, cellRange?.to, selected?.rowKey, rowBy]);
+
+  // Running timers are not in time_entries yet, take them from the report
+  const drilldown = selected
+    ? [
+        ...loaded.rows.map((e) => ({ ...e, ms: e.durationMs })),
+        ...sheet.entries.filter(
+          (e) =>
+            !e.day &&
+            (rowBy === "card" ? e.cardId : e.memberId) === selected.rowKey &&
+            columnKey(e.startedAt) === selected.colKey,
+        ),
+      ]
+        .filter((e) => e.ms !== 0)
+        .sort((a, b) => a.startedAt - b.startedAt)
+    : [];
+
+  if (sheet.rows.length === 0) {
+    return <div style={styles.empty}>Ingen tidsdata å vise.</div>;
+  }
+
+  return (
+    <div>
+      <div style={styles.scroll}>
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.thRow}>
+                {rowBy === "card" ? "Kort" : "Person"}
+              </th>
+              {sheet.columns.map((c) => (
+                <th
+                  key={c.key}
+                  style={{
+                    ...styles.th,
+                    ...(c.weekend ? styles.weekend : {}),
+                  }}
+                >
+                  {c.label}
+                </th>
+              ))}
+              <th style={styles.th}>Sum</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sheet.rows.map((row) => (
+              <tr key={row.key}>
+                <td style={styles.tdRow} title={row.label}>
+                  {row.label}
+                </td>
+                {sheet.columns.map((c) => {
+                  const ms = row.cells[c.key] || 0;
+                  const isSelected =
+                    selected?.rowKey === row.key && selected?.colKey === c.key;
+                  return (
+                    <td
+                      key={c.key}
+                      onClick={() =>
+                        ms !== 0 &&
+                        setSelected(
+                          isSelected
+                            ? null
+                            : { rowKey: row.key, colKey: c.key },
+                        )
+                      }
+                      style={{
+                        ...styles.td,
+                        ...(c.weekend ? styles.weekend : {}),
+                        ...(ms !== 0 ? styles.tdFilled : {}),
+                        ...(isSelected ? styles.tdSelected : {}),
+                      }}
+                    >
+                      {ms !== 0 ? formatSigned(ms) : ""}
+                    </td>
+                  );
+                })}
+                <td style={{ ...styles.td, fontWeight: 700 }}>
+                  {formatSigned(row.totalMs)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr>
+              <td
+                style={{ ...styles.tdRow, ...styles.tdTotal, fontWeight: 700 }}
+              >
+                Sum
+              </td>
+              {sheet.columns.map((c) => (
+                <td key={c.key} style={{ ...styles.td, ...styles.tdTotal }}>
+                  {sheet.colTotals[c.key]
+                    ? formatSigned(sheet.colTotals[c.key])
+                    : ""}
+                </td>
+              ))}
+              <td style={{ ...styles.td, ...styles.tdTotal }}>
+                {formatSigned(sheet.grandTotal)}
+              </td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+
+      {selected && (
+        <div style={styles.drilldown}>
+          <div style={styles.drilldownTitle}>
+            {sheet.rows.find((r) => r.key === selected.rowKey)?.label} –{" "}
+            {sheet.columns.find((c) => c.key === selected.colKey)?.label}
+          </div>
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.thLeft}>
+                  {rowBy === "card" ? "Person" : "Kort"}
+                </th>
+                <th style={styles.thLeft}>Start</th>
+                <th style={styles.thLeft}>Slutt</th>
+                <th style={styles.th}>Tid</th>
+                <th style={styles.thLeft}>Notat</th>
+              </tr>
+            </thead>
+            <tbody>
+              {drilldown.map((e) => (
+                <tr key={e.id}>
+                  <td style={styles.tdLeft}>
+                    {rowBy === "card"
+                      ? e.memberName || e.memberId
+                      : cardNames[e.cardId] || e.cardId}
+                  </td>
+                  <td style={styles.tdLeft}>
+                    {e.endedAt === e.startedAt
+                      ? "Manuell"
+                      : formatDateTime(new Date(e.startedAt).toISOString())}
+                  </td>
+                  <td style={styles.tdLeft}>
+                    {e.pausedAt != null
+                      ? "Pause"
+                      : e.activeStart != null
+                        ? "Pågår"
+                        : e.endedAt === e.startedAt
+                          ? ""
+                          : formatDateTime(new Date(e.endedAt).toISOString())}
+                  </td>
+                  <td style={styles.td}>{formatSigned(e.ms)}</td>
+                  <td style={{ ...styles.tdLeft, color: "#5E6C84" }}>
+                    {e.note || ""}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {loaded.loading && <div style={styles.drilldownNote}>Laster…</div>}
+          {loaded.error && (
+            <div style={styles.drilldownError}>
+              {errorMessage(loaded.error)}{" "}
+              <button
+                style={styles.moreBtn}
+                onClick={() => loadPage(loaded.page)}
+              >
+                Prøv igjen
+              </button>
+            </div>
+          )}
+          {loaded.hasMore && !loaded.loading && !loaded.error && (
+            <button
+              style={styles.moreBtn}
+              onClick={() => loadPage(loaded.page + 1)}
+            >
+              Vis flere
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  empty: { textAlign: "center", color: "#5E6C84", padding: 32 },
+  scroll: { overflowX: "auto" },
+  table: { borderCollapse: "collapse", width: "100%" },
+  th: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "6px 8px",
+    borderBottom: "2px solid #DFE1E6",
+    textAlign: "right",
+    whiteSpace: "nowrap",
+  },
+  thLeft: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "6px 8px",
+    borderBottom: "2px solid #DFE1E6",
+    textAlign: "left",
+  },
+  thRow: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "6px 8px",
+    borderBottom: "2px solid #DFE1E6",
+    textAlign: "left",
+    position: "sticky",
+    left: 0,
+    backgroundColor: "#fff",
+  },
+  td: {
+    padding: "6px 8px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    textAlign: "right",
+    whiteSpace: "nowrap",
+    fontVariantNumeric: "tabular-nums",
+    fontFamily: "monospace, sans-serif",
+    color: "#172B4D",
+  },
+  tdLeft: {
+    padding: "6px 8px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+  },
+  tdRow: {
+    padding: "6px 8px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+    maxWidth: 220,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+    position: "sticky",
+    left: 0,
+    backgroundColor: "#fff",
+  },
+  tdFilled: { cursor: "pointer", backgroundColor: "#E4F0F6" },
+  tdSelected: { outline: "2px solid #0079BF", outlineOffset: -2 },
+  tdTotal: { fontWeight: 700, borderTop: "2px solid #DFE1E6" },
+  weekend: { backgroundColor: "#FAFBFC" },
+  drilldown: {
+    marginTop: 16,
+    padding: 12,
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+  },
+  drilldownNote: { fontSize: 12, color: "#5E6C84", padding: "8px 0" },
+  drilldownError: { fontSize: 12, color: "#DE350B", padding: "8px 0" },
+  moreBtn: {
+    marginTop: 8,
+    padding: "4px 10px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    color: "#172B4D",
+    fontSize: 12,
+    cursor: "pointer",
+  },
+  drilldownTitle: {
+    fontSize: 13,
+    fontWeight: 600,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+};
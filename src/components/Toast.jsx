@@ -0,0 +1,128 @@
+import React, { useState, useCallback, useRef, useEffect } from "react";
+import { errorMessage } from "../utils/errors.js";
+
+// Non-error toasts hide themselves after this long
+const AUTO_DISMISS_MS = 6000;
+
+/**
+ * useToast – State for a single toast/banner.
+ *
+ *   const { toast, showToast, showError, dismissToast } = useToast();
+ *   try { await save(); } catch (e) { showError(e, save); }
+ *   <Toast toast={toast} onDismiss={dismissToast} />
+ *
+ * showError turns a StorageError into a Norwegian message and, when given a
+ * retry callback, adds a "Prøv igjen" button. Errors stay until dismissed;
+ * other toasts hide after a few seconds.
+ */
+export function useToast() {
+  const [toast, setToast] = useState(null);
+  const timerRef = useRef(null);
+
+  const dismissToast = useCallback(() => {
+    clearTimeout(timerRef.current);
+    setToast(null);
+  }, []);
+
+  /**
+   * @param {{ type?: "error"|"info"|"success", message: string,
+   *           action?: { label: string, onClick: () => any } }} next
+   */
+  const showToast = useCallback((next) => {
+    clearTimeout(timerRef.current);
+    const type = next.type || "info";
+    setToast({ ...next, type, key: Date.now() });
+    if (type !== "error") {
+      timerRef.current = setTimeout(() => setToast(null), AUTO_DISMISS_MS);
+    }
+  }, []);
+
+  // Invalid input fails the same way every time, so it gets no retry button
+  const showError = useCallback(
+    (error, retry) =>
+      showToast({
+        type: "error",
+        message: errorMessage(error),
+        action:
+          retry && error?.kind !== "validation"
+            ? { label: "Prøv igjen", onClick: retry }
+            : null,
+      }),
+    [showToast],
+  );
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return { toast, showToast, showError, dismissToast };
+}
+
+/**
+ * Toast – Banner pinned to the bottom of the popup/modal.
+ * @param {{ toast: object|null, onDismiss: () => void }} props
+ */
+export default function Toast({ toast, onDismiss }) {
+  if (!toast) return null;
+
+  const handleAction = () => {
+    onDismiss();
+    toast.action.onClick();
+  };
+
+  return (
+    <div
+      key={toast.key}
+      role={toast.type === "error" ? "alert" : "status"}
+      style={{ ...styles.toast, ...styles[toast.type] }}
+    >
+      <span style={styles.message}>{toast.message}</span>
+      {toast.action && (
+        <button style={styles.actionBtn} onClick={handleAction}>
+          {toast.action.label}
+        </button>
+      )}
+      <button style={styles.closeBtn} onClick={onDismiss} title="Lukk">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  toast: {
+    position: "fixed",
+    left: 12,
+    right: 12,
+    bottom: 12,
+    zIndex: 1000,
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    padding: "8px 10px",
+    borderRadius: 4,
+    fontSize: 13,
+    color: "#172B4D",
+    boxShadow: "0 4px 8px rgba(9, 30, 66, 0.25)",
+  },
+  error: { backgroundColor: "#FFEBE6", border: "1px solid #DE350B" },
+  info: { backgroundColor: "#E4F0F6", border: "1px solid #0079BF" },
+  success: { backgroundColor: "#E3FCEF", border: "1px solid #00875A" },
+  message: { flex: 1 },
+  actionBtn: {
+    padding: "4px 10px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    color: "#172B4D",
+    fontSize: 12,
+    fontWeight: 600,
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  },
+  closeBtn: {
+    border: "none",
+    backgroundColor: "transparent",
+    color: "#5E6C84",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+};
@@ -12,6 +12,12 @@ import {
   parseDuration,
   getTotalWithActive,
 } from "../utils/time.js";
+import { getPermissionContext, hasPermission } from "../utils/permissions.js";
+import Toast, { useToast } from "../components/Toast.jsx";
+import { useBoardChanges, affectsCard } from "../utils/realtime.js";
+
+// Tables behind the "Faktisk" column; the rest are estimate tables
+const TIME_TABLES = ["time_entries", "active_timers"];
 
 /**
  * EstimateCardApp – Card-level estimate popup.
@@ -21,16 +27,18 @@ import {
 export default function EstimateCardApp({ t }) {
   const [timeData, setTimeData] = useState({});
   const [memberId, setMemberId] = useState(null);
+  const [cardId, setCardId] = useState(null);
   const [memberName, setMemberName] = useState("");
   const [selectedMembers, setSelectedMembers] = useState(["self"]);
   const [boardMembers, setBoardMembers] = useState([]);
+  const [canChangeOthers, setCanChangeOthers] = useState(false);
   const [loading, setLoading] = useState(true);
   const [estimates, setEstimates] = useState({});
   const [estimateInput, setEstimateInput] = useState("");
   const [savingEstimate, setSavingEstimate] = useState(false);
   const [now, setNow] = useState(Date.now());
+  const { toast, showError, dismissToast } = useToast();
   const tickRef = useRef(null);
-  const pollRef = useRef(null);
 
   const toggleMember = useCallback((id) => {
     setSelectedMembers((prev) => {
@@ -81,6 +89,14 @@ export default function EstimateCardApp({ t }) {
       const member = await t.member("id", "fullName");
       setMemberId(member.id);
       setMemberName(member.fullName);
+      setCardId((await t.card("id")).id);
+      try {
+        setCanChangeOthers(
+          hasPermission(await getPermissionContext(t), "changeEstimates"),
+        );
+      } catch (e) {
+        console.error("[TimeTracker] permissions error:", e);
+      }
       try {
         const board = await t.board("members");
         setBoardMembers(board.members || []);
@@ -107,34 +123,22 @@ export default function EstimateCardApp({ t }) {
     return () => clearInterval(tickRef.current);
   }, [timeData]);
 
-  // Poll every 5s
-  useEffect(() => {
-    const POLL_INTERVAL = 5000;
-    const startPolling = () => {
-      clearInterval(pollRef.current);
-      pollRef.current = setInterval(() => {
-        if (document.visibilityState === "visible") {
-          refreshData();
-          refreshEstimates();
-        }
-      }, POLL_INTERVAL);
-    };
-    const handleVisibility = () => {
-      if (document.visibilityState === "visible") {
-        refreshData();
+  // Live updates for this card (polls only while realtime is down)
+  useBoardChanges(t, {
+    onChanges: (changes) => {
+      const tables = changes
+        .filter((c) => affectsCard(c, cardId))
+        .map((c) => c.table);
+      if (tables.some((table) => TIME_TABLES.includes(table))) refreshData();
+      if (tables.some((table) => !TIME_TABLES.includes(table))) {
         refreshEstimates();
-        startPolling();
-      } else {
-        clearInterval(pollRef.current);
       }
-    };
-    startPolling();
-    document.addEventListener("visibilitychange", handleVisibility);
-    return () => {
-      clearInterval(pollRef.current);
-      document.removeEventListener("visibilitychange", handleVisibility);
-    };
-  }, [refreshData, refreshEstimates]);
+    },
+    onPoll: () => {
+      refreshData();
+      refreshEstimates();
+    },
+  });
 
   const handleSetEstimate = useCallback(
     async (input) => {
@@ -186,11 +190,12 @@ export default function EstimateCardApp({ t }) {
         }
 
         setEstimateInput("");
-        await refreshEstimates();
-        await touchBadges();
       } catch (e) {
-        console.error("[TimeTracker] handleSetEstimate error:", e);
+        // Setting the same estimate again is a no-op, so retry the whole save
+        showError(e, () => handleSetEstimate(input));
       } finally {
+        await refreshEstimates();
+        await touchBadges();
         setSavingEstimate(false);
       }
     },
@@ -202,6 +207,7 @@ export default function EstimateCardApp({ t }) {
       boardMembers,
       refreshEstimates,
       touchBadges,
+      showError,
     ],
   );
 
@@ -219,12 +225,12 @@ export default function EstimateCardApp({ t }) {
         await refreshEstimates();
         await touchBadges();
       } catch (e) {
-        console.error("[TimeTracker] handleRemoveEstimate error:", e);
+        showError(e, () => handleRemoveEstimate(targetMemberId));
       } finally {
         setSavingEstimate(false);
       }
     },
-    [t, memberId, refreshEstimates, touchBadges],
+    [t, memberId, refreshEstimates, touchBadges, showError],
   );
 
   if (loading) {
@@ -246,6 +252,9 @@ export default function EstimateCardApp({ t }) {
   if (hasCardSelection) {
     helperText =
       "Settes for hele kortet. Erstatter eventuelle personestimater.";
+  } else if (personCount > 0 && !canChangeOthers && estimates["_card"]) {
+    helperText =
+      "Kortet har et felles estimat som bare kan erstattes av de som har tilgang til å endre estimater.";
   } else if (personCount > 0) {
     helperText = "Settes for valgte person(er).";
   } else {
@@ -260,7 +269,18 @@ export default function EstimateCardApp({ t }) {
         <div style={styles.leftCol}>
           <div style={styles.sectionTitle}>Estimat for</div>
           <div style={styles.memberCheckboxList}>
-            {boardMembers.length > 1 && (
+            {!canChangeOthers && (
+              <label style={styles.memberCheckbox}>
+                <input
+                  type="checkbox"
+                  checked={selectedMembers.includes("self")}
+                  onChange={() => toggleMember("self")}
+                  style={{ margin: 0 }}
+                />
+                <span>Meg selv</span>
+              </label>
+            )}
+            {canChangeOthers && boardMembers.length > 1 && (
               <>
                 <label style={styles.memberCheckbox}>
                   <input
@@ -311,17 +331,19 @@ export default function EstimateCardApp({ t }) {
                 <div style={styles.checkboxDivider} />
               </>
             )}
-            <label style={styles.memberCheckbox}>
-              <input
-                type="checkbox"
-                checked={selectedMembers.includes("_card")}
-                onChange={() => toggleMember("_card")}
-                style={{ margin: 0 }}
-              />
-              <span style={{ fontStyle: "italic", color: "#5E6C84" }}>
-                Kort (generelt)
-              </span>
-            </label>
+            {canChangeOthers && (
+              <label style={styles.memberCheckbox}>
+                <input
+                  type="checkbox"
+                  checked={selectedMembers.includes("_card")}
+                  onChange={() => toggleMember("_card")}
+                  style={{ margin: 0 }}
+                />
+                <span style={{ fontStyle: "italic", color: "#5E6C84" }}>
+                  Kort (generelt)
+                </span>
+              </label>
+            )}
           </div>
         </div>
 
@@ -447,14 +469,16 @@ export default function EstimateCardApp({ t }) {
                         padding: "2px",
                       }}
                     >
-                      <button
-                        onClick={() => handleRemoveEstimate(mId)}
-                        disabled={savingEstimate}
-                        style={styles.removeBtn}
-                        title="Fjern estimat"
-                      >
-                        ✕
-                      </button>
+                      {(canChangeOthers || mId === memberId) && (
+                        <button
+                          onClick={() => handleRemoveEstimate(mId)}
+                          disabled={savingEstimate}
+                          style={styles.removeBtn}
+                          title="Fjern estimat"
+                        >
+                          ✕
+                        </button>
+                      )}
                     </td>
                   </tr>
                 );
@@ -543,6 +567,8 @@ export default function EstimateCardApp({ t }) {
           </table>
         </div>
       )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
     </div>
   );
 }
@@ -1,7 +1,13 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import EstimateCardApp from "./EstimateCardApp.jsx";
+import AuthGate from "../components/AuthGate.jsx";
+import { TRELLO_APP } from "../utils/auth.js";
 
-const t = window.TrelloPowerUp.iframe();
+const t = window.TrelloPowerUp.iframe(TRELLO_APP);
 const root = createRoot(document.getElementById("root"));
-root.render(<EstimateCardApp t={t} />);
+root.render(
+  <AuthGate t={t}>
+    <EstimateCardApp t={t} />
+  </AuthGate>,
+);
@@ -6,7 +6,10 @@ import React, {
   useRef,
 } from "react";
 import { getBoardEstimateReport } from "../utils/estimateStorage.js";
-import { formatDuration } from "../utils/time.js";
+import { formatDuration, getActiveMs } from "../utils/time.js";
+import { downloadEstimateXLSX } from "../utils/export.js";
+import Toast, { useToast } from "../components/Toast.jsx";
+import { useBoardChanges } from "../utils/realtime.js";
 
 /**
  * EstimateApp – Estimation report tab showing estimated vs actual time.
@@ -101,11 +104,7 @@ function getPresetRange(preset) {
 // ── Helpers ───────────────────────────────────────────────────────
 
 function getActualMs(member) {
-  let total = member.actualMs || 0;
-  if (member.activeStart) {
-    total += Date.now() - member.activeStart;
-  }
-  return total;
+  return (member.actualMs || 0) + getActiveMs(member);
 }
 
 /** Gjenstående: always auto-calculated (estimated − actual), min 0 */
@@ -233,8 +232,9 @@ export default function EstimateApp({ t }) {
   const [customFrom, setCustomFrom] = useState("");
   const [customTo, setCustomTo] = useState("");
 
+  const { toast, showError, dismissToast } = useToast();
+  const reloadFailedRef = useRef(false);
   const tickRef = useRef(null);
-  const pollRef = useRef(null);
 
   const getFilters = useCallback(() => {
     if (datePreset === "custom") {
@@ -267,10 +267,14 @@ export default function EstimateApp({ t }) {
       const filters = getFilters();
       const result = await getBoardEstimateReport(t, filters);
       setReportData(result.cards);
+      reloadFailedRef.current = false;
     } catch (err) {
       console.error("Silent reload error:", err);
+      // Tell the user once, not on every poll
+      if (!reloadFailedRef.current) showError(err, silentReload);
+      reloadFailedRef.current = true;
     }
-  }, [t, getFilters]);
+  }, [t, getFilters, showError]);
 
   useEffect(() => {
     loadData();
@@ -289,30 +293,8 @@ export default function EstimateApp({ t }) {
     return () => clearInterval(tickRef.current);
   }, [reportData]);
 
-  // Poll every 5s
-  useEffect(() => {
-    const POLL_INTERVAL = 5000;
-    const startPolling = () => {
-      clearInterval(pollRef.current);
-      pollRef.current = setInterval(() => {
-        if (document.visibilityState === "visible") silentReload();
-      }, POLL_INTERVAL);
-    };
-    const handleVisibility = () => {
-      if (document.visibilityState === "visible") {
-        silentReload();
-        startPolling();
-      } else {
-        clearInterval(pollRef.current);
-      }
-    };
-    startPolling();
-    document.addEventListener("visibilitychange", handleVisibility);
-    return () => {
-      clearInterval(pollRef.current);
-      document.removeEventListener("visibilitychange", handleVisibility);
-    };
-  }, [silentReload]);
+  // Live updates from other users (polls only while realtime is down)
+  useBoardChanges(t, { onChanges: silentReload, onPoll: silentReload });
 
   const handlePresetChange = (preset) => {
     setDatePreset(preset);
@@ -704,13 +686,25 @@ export default function EstimateApp({ t }) {
           </select>
         </div>
 
-        <div style={{ ...styles.controlGroup, marginLeft: "auto" }}>
+        <div
+          style={{
+            ...styles.controlGroup,
+            marginLeft: "auto",
+            flexDirection: "row",
+          }}
+        >
           <button
             onClick={() => downloadEstimateCSV(aggregated, groupBy)}
             style={styles.exportBtn}
           >
             Eksporter CSV
           </button>
+          <button
+            onClick={() => downloadEstimateXLSX(aggregated, groupBy)}
+            style={styles.exportBtn}
+          >
+            Eksporter Excel
+          </button>
         </div>
       </div>
 
@@ -852,6 +846,8 @@ export default function EstimateApp({ t }) {
           </tfoot>
         </table>
       )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
     </div>
   );
 }
@@ -0,0 +1,636 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  importTimeEntries,
+  findExistingSessions,
+  getImportBatches,
+  rollbackImport,
+  restoreDeletedBatch,
+} from "../utils/storage.js";
+import {
+  IMPORT_FIELDS,
+  parseCSV,
+  guessMapping,
+  prepareImportRows,
+  markDuplicates,
+} from "../utils/csvImport.js";
+import { formatDuration, formatDateTime, toDateKey } from "../utils/time.js";
+import Toast, { useToast } from "../components/Toast.jsx";
+import { useBoardChanges } from "../utils/realtime.js";
+
+/**
+ * ImportApp – "Import" tab: bring in time from CSV exports of other tools.
+ *
+ * 1. Pick a file; the columns are mapped from their headers where possible.
+ * 2. Adjust the mapping and preview: every row is matched to a card and a
+ *    board member without writing anything, and rows that cannot be matched
+ *    are listed with the reason. Rows that repeat a session already on the
+ *    board (or earlier in the file) are listed as likely duplicates and
+ *    skipped unless the user includes them.
+ * 3. Import the rows that are ready. Each import is one batch that can be
+ *    rolled back from the list below (the entries go to the trash).
+ */
+
+// Rows shown in each preview table
+const PREVIEW_LIMIT = 50;
+
+function formatSpan(row) {
+  if (row.startedAt === row.endedAt) return toDateKey(row.startedAt);
+  return `${formatDateTime(row.startedAt)}–${formatDateTime(row.endedAt).slice(-5)}`;
+}
+
+export default function ImportApp({ t }) {
+  const [board, setBoard] = useState(null); // { cards, members, currentMember }
+  const [file, setFile] = useState(null); // { name, parsed }
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [confirmRollback, setConfirmRollback] = useState(null); // batch
+  const { toast, showToast, showError, dismissToast } = useToast();
+  const fileInputRef = useRef(null);
+  const requestRef = useRef(0);
+  const previewRef = useRef(0);
+
+  // Cards and members the rows are matched against
+  useEffect(() => {
+    Promise.all([
+      t.cards("id", "name", "shortLink"),
+      t.board("members"),
+      t.member("id", "fullName"),
+    ])
+      .then(([cards, boardData, currentMember]) =>
+        setBoard({ cards, members: boardData.members || [], currentMember }),
+      )
+      .catch((e) => {
+        console.error("[TimeTracker] Could not load cards and members:", e);
+        showError(e);
+      });
+  }, [t, showError]);
+
+  const loadBatches = useCallback(async () => {
+    const request = ++requestRef.current;
+    try {
+      const result = await getImportBatches(t);
+      if (request === requestRef.current) setBatches(result);
+    } catch (e) {
+      if (request === requestRef.current) showError(e, loadBatches);
+    }
+  }, [t, showError]);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  useBoardChanges(t, {
+    tables: ["time_entries"],
+    onChanges: loadBatches,
+    onPoll: loadBatches,
+  });
+
+  const reset = () => {
+    previewRef.current++;
+    setFile(null);
+    setPreview(null);
+    if (fileInputRef.current) fileInputRef.current.value = "";
+  };
+
+  const handleFile = async (e) => {
+    const picked = e.target.files?.[0];
+    if (!picked) return;
+    const parsed = parseCSV(await picked.text());
+    if (parsed.rows.length === 0) {
+      showToast({ type: "error", message: "Fant ingen rader i filen." });
+      reset();
+      return;
+    }
+    setFile({ name: picked.name, parsed });
+    setMapping(guessMapping(parsed.headers));
+    previewRef.current++;
+    setPreview(null);
+  };
+
+  const handleMapping = (field, value) => {
+    setMapping((prev) => ({
+      ...prev,
+      [field]: value === "" ? null : Number(value),
+    }));
+    previewRef.current++;
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    const request = ++previewRef.current;
+    const rows = prepareImportRows(file.parsed, mapping, board);
+    setChecking(true);
+    try {
+      const existing = await findExistingSessions(
+        t,
+        rows.filter((r) => !r.error),
+      );
+      if (request === previewRef.current) {
+        setPreview(markDuplicates(rows, existing));
+        setIncludeDuplicates(false);
+      }
+    } catch (e) {
+      if (request === previewRef.current) showError(e, handlePreview);
+    }
+    setChecking(false);
+  };
+
+  const duplicates = preview
+    ? preview.filter((r) => !r.error && r.duplicate)
+    : [];
+  const ready = preview
+    ? preview.filter((r) => !r.error && (!r.duplicate || includeDuplicates))
+    : [];
+  const failed = preview ? preview.filter((r) => r.error) : [];
+  const readyMs = ready.reduce((s, r) => s + r.durationMs, 0);
+
+  const refreshBadges = () =>
+    t.set("board", "shared", "lastUpdate", Date.now()).catch(() => {});
+
+  const handleUndoRollback = async (deleteBatchId) => {
+    try {
+      await restoreDeletedBatch(deleteBatchId);
+      refreshBadges();
+    } catch (e) {
+      showError(e, () => handleUndoRollback(deleteBatchId));
+    }
+    await loadBatches();
+  };
+
+  const handleRollback = async (batch) => {
+    setConfirmRollback(null);
+    setBusyId(batch.batchId);
+    try {
+      const { batchId, entryCount } = await rollbackImport(t, batch.batchId);
+      showToast({
+        type: "success",
+        message: `Importen er rullet tilbake (${entryCount} økter).`,
+        action: { label: "Angre", onClick: () => handleUndoRollback(batchId) },
+      });
+      refreshBadges();
+    } catch (e) {
+      showError(e, () => handleRollback(batch));
+    }
+    setBusyId(null);
+    await loadBatches();
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const { batchId, entryCount } = await importTimeEntries(
+        t,
+        ready,
+        file.name,
+      );
+      showToast({
+        type: "success",
+        message: `${entryCount} økter importert.`,
+        action: {
+          label: "Angre",
+          onClick: () => handleRollback({ batchId }),
+        },
+      });
+      reset();
+      refreshBadges();
+    } catch (e) {
+      showError(e, handleImport);
+    } finally {
+      setImporting(false);
+    }
+    await loadBatches();
+  };
+
+  const headers = file?.parsed.headers || [];
+
+  return (
+    <div>
+      <div style={styles.section}>
+        <div style={styles.sectionTitle}>Importer fra CSV</div>
+        <p style={styles.hint}>
+          Eksporter tiden fra Toggl, Harvest, Clockify eller et regneark som
+          CSV. Hver rad trenger et kort og enten start og slutt, eller dato og
+          varighet. Ingenting lagres før du har sett forhåndsvisningen.
+        </p>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.tsv,.txt,text/csv"
+          onChange={handleFile}
+          disabled={!board}
+          style={styles.fileInput}
+        />
+      </div>
+
+      {file && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>
+            Kolonner i {file.name} ({file.parsed.rows.length} rader)
+          </div>
+          <div style={styles.mappingGrid}>
+            {Object.entries(IMPORT_FIELDS).map(([field, label]) => (
+              <label key={field} style={styles.mappingLabel}>
+                <span>{label}</span>
+                <select
+                  value={mapping[field] ?? ""}
+                  onChange={(e) => handleMapping(field, e.target.value)}
+                  style={styles.select}
+                >
+                  <option value="">
+                    {field === "member"
+                      ? "— Ikke i filen (meg) —"
+                      : "— Ikke i filen —"}
+                  </option>
+                  {headers.map((h, i) => (
+                    <option key={i} value={i}>
+                      {h || `Kolonne ${i + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          <div style={styles.buttons}>
+            <button onClick={reset} style={styles.cancelBtn}>
+              Avbryt
+            </button>
+            <button
+              onClick={handlePreview}
+              disabled={mapping.card == null || checking}
+              style={styles.primaryBtn}
+            >
+              {checking ? "Sjekker…" : "Forhåndsvis"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {preview && (
+        <div style={styles.section}>
+          <div style={styles.sectionTitle}>Forhåndsvisning</div>
+          <p style={styles.summary}>
+            <strong>{ready.length}</strong> av {preview.length} rader er klare (
+            {formatDuration(readyMs, true)}).
+            {failed.length > 0 &&
+              ` ${failed.length} rader kan ikke importeres og hoppes over.`}
+            {duplicates.length > 0 &&
+              !includeDuplicates &&
+              ` ${duplicates.length} rader finnes trolig allerede og hoppes over.`}
+          </p>
+
+          {failed.length > 0 && (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Linje</th>
+                  <th style={styles.th}>Problem</th>
+                  <th style={styles.th}>Verdier</th>
+                </tr>
+              </thead>
+              <tbody>
+                {failed.slice(0, PREVIEW_LIMIT).map((row) => (
+                  <tr key={row.line}>
+                    <td style={styles.tdNowrap}>{row.line}</td>
+                    <td style={styles.tdError}>{row.error}</td>
+                    <td style={styles.tdMuted}>{row.values.join(" · ")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {failed.length > PREVIEW_LIMIT && (
+            <div style={styles.more}>
+              … og {failed.length - PREVIEW_LIMIT} rader til med problemer
+            </div>
+          )}
+
+          {duplicates.length > 0 && (
+            <>
+              <table style={{ ...styles.table, marginTop: 12 }}>
+                <thead>
+                  <tr>
+                    <th style={styles.th}>Linje</th>
+                    <th style={styles.th}>Mulig duplikat</th>
+                    <th style={styles.th}>Når</th>
+                    <th style={styles.th}>Kort</th>
+                    <th style={styles.th}>Person</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {duplicates.slice(0, PREVIEW_LIMIT).map((row) => (
+                    <tr key={row.line}>
+                      <td style={styles.tdNowrap}>{row.line}</td>
+                      <td style={styles.tdWarning}>{row.duplicate}</td>
+                      <td style={styles.tdNowrap}>{formatSpan(row)}</td>
+                      <td style={styles.td}>{row.cardName}</td>
+                      <td style={styles.td}>{row.memberName}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {duplicates.length > PREVIEW_LIMIT && (
+                <div style={styles.more}>
+                  … og {duplicates.length - PREVIEW_LIMIT} mulige duplikater til
+                </div>
+              )}
+              <label style={styles.checkboxLabel}>
+                <input
+                  type="checkbox"
+                  checked={includeDuplicates}
+                  onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                />
+                Importer de mulige duplikatene også
+              </label>
+            </>
+          )}
+
+          {ready.length > 0 && (
+            <table style={{ ...styles.table, marginTop: 12 }}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Når</th>
+                  <th style={styles.th}>Kort</th>
+                  <th style={styles.th}>Person</th>
+                  <th style={styles.thRight}>Tid</th>
+                  <th style={styles.th}>Notat</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ready.slice(0, PREVIEW_LIMIT).map((row) => (
+                  <tr key={row.line}>
+                    <td style={styles.tdNowrap}>{formatSpan(row)}</td>
+                    <td style={styles.td}>{row.cardName}</td>
+                    <td style={styles.td}>{row.memberName}</td>
+                    <td style={styles.tdRight}>
+                      {formatDuration(row.durationMs, true)}
+                    </td>
+                    <td style={styles.tdMuted}>
+                      {row.note}
+                      {!row.billable && " (ikke fakturerbar)"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {ready.length > PREVIEW_LIMIT && (
+            <div style={styles.more}>
+              … og {ready.length - PREVIEW_LIMIT} rader til
+            </div>
+          )}
+
+          <div style={styles.buttons}>
+            <button
+              onClick={handleImport}
+              disabled={ready.length === 0 || importing}
+              style={styles.primaryBtn}
+            >
+              {importing ? "Importerer…" : `Importer ${ready.length} rader`}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div style={styles.section}>
+        <div style={styles.sectionTitle}>Tidligere importer</div>
+        {batches.length === 0 ? (
+          <div style={styles.empty}>Ingen importer på denne tavla.</div>
+        ) : (
+          <table style={styles.table}>
+            <thead>
+              <tr>
+                <th style={styles.th}>Importert</th>
+                <th style={styles.th}>Periode</th>
+                <th style={styles.th}>Personer</th>
+                <th style={styles.thRight}>Økter</th>
+                <th style={styles.thRight}>Tid</th>
+                <th style={styles.th}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.map((batch) => (
+                <tr key={batch.batchId}>
+                  <td style={styles.tdNowrap}>
+                    {formatDateTime(batch.importedAt)}
+                  </td>
+                  <td style={styles.tdNowrap}>
+                    {toDateKey(batch.firstAt)} – {toDateKey(batch.lastAt)}
+                  </td>
+                  <td style={styles.td}>{batch.memberNames.join(", ")}</td>
+                  <td style={styles.tdRight}>{batch.entryCount}</td>
+                  <td style={styles.tdRight}>
+                    {formatDuration(batch.totalMs, true)}
+                  </td>
+                  <td style={styles.tdActions}>
+                    <button
+                      style={styles.rollbackBtn}
+                      disabled={busyId === batch.batchId}
+                      onClick={() => setConfirmRollback(batch)}
+                    >
+                      Rull tilbake
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Rollback confirmation dialog */}
+      {confirmRollback && (
+        <div style={styles.overlay}>
+          <div style={styles.dialog}>
+            <p style={styles.dialogText}>
+              Rulle tilbake importen fra{" "}
+              {formatDateTime(confirmRollback.importedAt)}? De{" "}
+              {confirmRollback.entryCount} øktene (
+              {formatDuration(confirmRollback.totalMs, true)}) flyttes til
+              papirkurven.
+            </p>
+            <div style={styles.dialogButtons}>
+              <button
+                onClick={() => setConfirmRollback(null)}
+                style={styles.cancelBtn}
+              >
+                Avbryt
+              </button>
+              <button
+                onClick={() => handleRollback(confirmRollback)}
+                style={styles.dialogConfirm}
+              >
+                Rull tilbake
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
+    </div>
+  );
+}
+
+const cell = {
+  padding: "6px 10px",
+  fontSize: 13,
+  borderBottom: "1px solid #F4F5F7",
+  color: "#172B4D",
+  verticalAlign: "top",
+};
+
+const styles = {
+  section: { marginBottom: 24 },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: 600,
+    color: "#172B4D",
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: "#5E6C84",
+    lineHeight: 1.5,
+    margin: "0 0 8px 0",
+  },
+  fileInput: { fontSize: 13 },
+  mappingGrid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(2, minmax(0, 1fr))",
+    gap: "8px 24px",
+  },
+  mappingLabel: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 8,
+    fontSize: 13,
+    color: "#172B4D",
+  },
+  select: {
+    padding: "4px 8px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 13,
+    width: 200,
+  },
+  summary: { fontSize: 13, color: "#172B4D", margin: "0 0 12px 0" },
+  checkboxLabel: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 13,
+    color: "#172B4D",
+    marginTop: 8,
+  },
+  more: { fontSize: 12, color: "#5E6C84", padding: "6px 10px" },
+  empty: { fontSize: 13, color: "#5E6C84" },
+  buttons: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: 8,
+    marginTop: 16,
+  },
+  cancelBtn: {
+    padding: "8px 16px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#172B4D",
+  },
+  primaryBtn: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: 4,
+    backgroundColor: "#0079BF",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#fff",
+    fontWeight: 600,
+  },
+
+  // Tables
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: {
+    textAlign: "left",
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "8px 10px",
+    borderBottom: "2px solid #DFE1E6",
+    whiteSpace: "nowrap",
+  },
+  thRight: {
+    textAlign: "right",
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "8px 10px",
+    borderBottom: "2px solid #DFE1E6",
+    whiteSpace: "nowrap",
+  },
+  td: cell,
+  tdNowrap: { ...cell, whiteSpace: "nowrap" },
+  tdRight: { ...cell, textAlign: "right", whiteSpace: "nowrap" },
+  tdMuted: { ...cell, color: "#5E6C84", fontSize: 12 },
+  tdError: { ...cell, color: "#DE350B" },
+  tdWarning: { ...cell, color: "#974F0C" },
+  tdActions: { ...cell, textAlign: "right", whiteSpace: "nowrap" },
+  rollbackBtn: {
+    padding: "4px 10px",
+    border: "1px solid #FFBDAD",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    color: "#DE350B",
+  },
+
+  // Dialog
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+  dialog: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 24,
+    maxWidth: 400,
+    width: "90%",
+    boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+  },
+  dialogText: {
+    fontSize: 15,
+    color: "#172B4D",
+    margin: "0 0 16px 0",
+    lineHeight: 1.5,
+  },
+  dialogButtons: { display: "flex", justifyContent: "flex-end", gap: 8 },
+  dialogConfirm: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: 4,
+    backgroundColor: "#EB5A46",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#fff",
+    fontWeight: 600,
+  },
+};
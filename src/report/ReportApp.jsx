@@ -7,12 +7,57 @@ import React, {
 } from "react";
 import {
   getBoardTimeReport,
+  getBoardTimeEntries,
+  getAllBoardTimeEntries,
   resetCardTimeById,
+  restoreDeletedBatch,
   stopActiveTimersByIds,
 } from "../utils/storage.js";
-import { formatDuration, getTotalWithActive } from "../utils/time.js";
-import { downloadCSV } from "../utils/export.js";
-import ReportChart from "../components/ReportChart.jsx";
+import { getBoardEstimateReport } from "../utils/estimateStorage.js";
+import { getPermissionContext, hasPermission } from "../utils/permissions.js";
+import {
+  getLockPeriod,
+  getPeriodLocks,
+  lockPeriod,
+  unlockPeriod,
+} from "../utils/lockStorage.js";
+import {
+  formatDuration,
+  getActiveMs,
+  getTotalWithActive,
+} from "../utils/time.js";
+import {
+  downloadCSV,
+  downloadEntriesCSV,
+  downloadEntriesICS,
+  downloadReportXLSX,
+  DEFAULT_ENTRY_EXPORT,
+} from "../utils/export.js";
+import { printReport } from "../utils/print.js";
+import {
+  getSettings,
+  getMaxSessionMs,
+  getCapacityMs,
+} from "../utils/settings.js";
+import {
+  getBoardRates,
+  hasRates,
+  getEffectiveRate,
+  calcAmount,
+  formatAmount,
+} from "../utils/rateStorage.js";
+import ReportChart, {
+  TimeSeriesChart,
+  renderChartImage,
+} from "../components/ReportChart.jsx";
+import Timesheet from "../components/Timesheet.jsx";
+import CapacityPanel from "../components/CapacityPanel.jsx";
+import LockPanel from "../components/LockPanel.jsx";
+import EntryExportDialog from "../components/EntryExportDialog.jsx";
+import PrintDialog from "../components/PrintDialog.jsx";
+import CalendarExportDialog from "../components/CalendarExportDialog.jsx";
+import Toast, { useToast } from "../components/Toast.jsx";
+import { useBoardChanges } from "../utils/realtime.js";
 
 /**
  * ReportApp – Full-screen modal showing time data aggregated across all board cards.
@@ -21,8 +66,16 @@ import ReportChart from "../components/ReportChart.jsx";
  * - Date range filtering (presets + custom)
  * - Grouping by card / person / label
  * - Sorting by name or time
- * - Bar and pie chart visualization
+ * - Bar and pie chart visualization (time or billable amount)
+ * - Stacked time-series chart per day/week/month
+ * - "Beløp" column when hourly rates are configured
+ * - Timesheet grid (members/cards × days/weeks) with drill-down
+ * - Weekly capacity panel (person grouping, this/last week)
  * - CSV & JSON export (respects active filters)
+ * - Per-session CSV export with selectable columns and formats
+ * - Excel export with a summary sheet and a sheet of every session
+ * - Printable report ("Skriv ut / PDF") with optional chart and amounts
+ * - iCalendar (.ics) export of sessions, for everyone or one person
  */
 
 // ── Date range presets ────────────────────────────────────────────
@@ -112,6 +165,20 @@ function getPresetRange(preset) {
   }
 }
 
+const CAPACITY_PRESETS = ["this-week", "last-week"];
+const MONTH_PRESETS = ["this-month", "last-month"];
+
+// Last used per-session export options, kept per member
+const ENTRY_EXPORT_KEY = "ttEntryExport";
+
+// Share of the Monday–Friday work week that has started (1 for past weeks)
+function getWeekFraction(preset) {
+  if (preset !== "this-week") return 1;
+  const day = new Date().getDay();
+  const index = day === 0 ? 6 : day - 1;
+  return Math.min(index + 1, 5) / 5;
+}
+
 function formatDateInput(isoString) {
   if (!isoString) return "";
   return isoString.slice(0, 10); // YYYY-MM-DD
@@ -119,12 +186,18 @@ function formatDateInput(isoString) {
 
 export default function ReportApp({ t, hideHeader }) {
   const [reportData, setReportData] = useState([]);
+  const [entries, setEntries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [groupBy, setGroupBy] = useState("card");
   const [sortBy, setSortBy] = useState("time");
   const [chartType, setChartType] = useState("bar");
   const [view, setView] = useState("table");
+  const [valueMode, setValueMode] = useState("time"); // chart: "time" | "amount"
+  const [sheetRows, setSheetRows] = useState("person"); // timesheet: "person" | "card"
+  const [sheetPeriod, setSheetPeriod] = useState("day"); // timesheet: "day" | "week"
+  const [seriesPeriod, setSeriesPeriod] = useState("day"); // chart: "day" | "week" | "month"
+  const [rates, setRates] = useState(null);
 
   // Date filtering
   const [datePreset, setDatePreset] = useState("all");
@@ -133,10 +206,31 @@ export default function ReportApp({ t, hideHeader }) {
   const [activeLabel, setActiveLabel] = useState("Totalt");
   const [confirmReset, setConfirmReset] = useState(null); // { cardId, cardName }
   const [confirmStop, setConfirmStop] = useState(null); // { activeMembers, label }
+  const [stopNote, setStopNote] = useState("");
+  const [capOverflow, setCapOverflow] = useState(true);
+  const [maxSessionMs, setMaxSessionMs] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [permissions, setPermissions] = useState(null);
+  const [lockType, setLockType] = useState("week");
+  const [lockAnchor, setLockAnchor] = useState(() => Date.now());
+  const [locks, setLocks] = useState([]);
+  const [lockBusy, setLockBusy] = useState(false);
+  const [boardMembers, setBoardMembers] = useState([]);
+  const [estimateCards, setEstimateCards] = useState([]);
+  const [showEntryExport, setShowEntryExport] = useState(false);
+  const [entryExportOptions, setEntryExportOptions] =
+    useState(DEFAULT_ENTRY_EXPORT);
+  const [entryExportBusy, setEntryExportBusy] = useState(false);
+  const [xlsxBusy, setXlsxBusy] = useState(false);
+  const [showPrint, setShowPrint] = useState(false);
+  const [printBusy, setPrintBusy] = useState(false);
+  const [showCalendarExport, setShowCalendarExport] = useState(false);
+  const [calendarBusy, setCalendarBusy] = useState(false);
+  const { toast, showToast, showError, dismissToast } = useToast();
+  const reloadFailedRef = useRef(false);
   const [cardInfoMap, setCardInfoMap] = useState({});
   const [now, setNow] = useState(Date.now());
   const tickRef = useRef(null);
-  const pollRef = useRef(null);
 
   // Build filters from state
   const getFilters = useCallback(() => {
@@ -150,6 +244,12 @@ export default function ReportApp({ t, hideHeader }) {
     return { from: range.from, to: range.to };
   }, [datePreset, customFrom, customTo]);
 
+  // Period shown on exports and printouts
+  const periodLabel =
+    datePreset === "custom"
+      ? `${customFrom || "…"} – ${customTo || "…"}`
+      : activeLabel;
+
   // Fetch data
   const loadData = useCallback(async () => {
     setLoading(true);
@@ -158,6 +258,7 @@ export default function ReportApp({ t, hideHeader }) {
       const filters = getFilters();
       const result = await getBoardTimeReport(t, filters);
       setReportData(result.cards);
+      setEntries(result.entries);
       setCardInfoMap(result.cardInfoMap);
     } catch (err) {
       console.error("Report load error:", err);
@@ -173,11 +274,100 @@ export default function ReportApp({ t, hideHeader }) {
       const filters = getFilters();
       const result = await getBoardTimeReport(t, filters);
       setReportData(result.cards);
+      setEntries(result.entries);
       setCardInfoMap(result.cardInfoMap);
+      reloadFailedRef.current = false;
     } catch (err) {
       console.error("Silent reload error:", err);
+      // Tell the user once, not on every poll
+      if (!reloadFailedRef.current) showError(err, silentReload);
+      reloadFailedRef.current = true;
     }
-  }, [t, getFilters]);
+  }, [t, getFilters, showError]);
+
+  // Individual sessions for the timesheet drilldown
+  const loadEntries = useCallback(
+    (filters, paging) => getBoardTimeEntries(t, filters, paging),
+    [t],
+  );
+
+  // Board settings (max session length, capacity) and hourly rates
+  useEffect(() => {
+    getSettings(t).then((loaded) => {
+      setSettings(loaded);
+      setMaxSessionMs(getMaxSessionMs(loaded));
+    });
+    // Without rates the report still works, just without amounts
+    getBoardRates(t)
+      .then(setRates)
+      .catch((e) => showError(e));
+    getPermissionContext(t)
+      .then(setPermissions)
+      .catch((e) => console.error("[TimeTracker] permissions error:", e));
+    t.board("members")
+      .then((board) => setBoardMembers(board.members || []))
+      .catch((e) =>
+        console.warn("[TimeTracker] Could not fetch board members:", e),
+      );
+    t.get("member", "private", ENTRY_EXPORT_KEY)
+      .then((saved) => {
+        if (saved) setEntryExportOptions({ ...DEFAULT_ENTRY_EXPORT, ...saved });
+      })
+      .catch((e) =>
+        console.warn("[TimeTracker] Could not load export options:", e),
+      );
+  }, [t, showError]);
+
+  const handleEntryExport = async (options) => {
+    setEntryExportBusy(true);
+    try {
+      const rows = await getAllBoardTimeEntries(t, getFilters());
+      downloadEntriesCSV(rows, options, "time-entries.csv");
+      setEntryExportOptions(options);
+      setShowEntryExport(false);
+      t.set("member", "private", ENTRY_EXPORT_KEY, options).catch((e) =>
+        console.warn("[TimeTracker] Could not save export options:", e),
+      );
+    } catch (e) {
+      showError(e, () => handleEntryExport(options));
+    } finally {
+      setEntryExportBusy(false);
+    }
+  };
+
+  const handleCalendarExport = async (memberId) => {
+    setCalendarBusy(true);
+    try {
+      const [board, rows] = await Promise.all([
+        t.board("name"),
+        getAllBoardTimeEntries(t, { ...getFilters(), memberId }),
+      ]);
+      const member = boardMembers.find((m) => m.id === memberId);
+      downloadEntriesICS(
+        rows,
+        `${board.name} – ${member ? member.fullName : "tidsføring"}`,
+        "time-entries.ics",
+      );
+      setShowCalendarExport(false);
+    } catch (e) {
+      showError(e, () => handleCalendarExport(memberId));
+    } finally {
+      setCalendarBusy(false);
+    }
+  };
+
+  const showCapacity =
+    groupBy === "person" && CAPACITY_PRESETS.includes(datePreset);
+
+  // Remaining estimates are not tied to the selected period
+  useEffect(() => {
+    if (!showCapacity) return;
+    getBoardEstimateReport(t)
+      .then((result) => setEstimateCards(result.cards))
+      .catch((err) => console.error("Estimate load error:", err));
+  }, [t, showCapacity]);
+
+  const showAmounts = hasRates(rates);
 
   // Load on mount and when filters change
   useEffect(() => {
@@ -197,42 +387,21 @@ export default function ReportApp({ t, hideHeader }) {
     return () => clearInterval(tickRef.current);
   }, [reportData]);
 
-  // Poll Supabase every 5s to detect changes from other users
-  useEffect(() => {
-    const POLL_INTERVAL = 5000;
-
-    const startPolling = () => {
-      clearInterval(pollRef.current);
-      pollRef.current = setInterval(() => {
-        if (document.visibilityState === "visible") {
-          silentReload();
-        }
-      }, POLL_INTERVAL);
-    };
-
-    const handleVisibility = () => {
-      if (document.visibilityState === "visible") {
-        silentReload(); // Refresh immediately when tab becomes visible
-        startPolling();
-      } else {
-        clearInterval(pollRef.current);
-      }
-    };
-
-    startPolling();
-    document.addEventListener("visibilitychange", handleVisibility);
-
-    return () => {
-      clearInterval(pollRef.current);
-      document.removeEventListener("visibilitychange", handleVisibility);
-    };
-  }, [silentReload]);
+  // Live updates from other users (polls only while realtime is down)
+  useBoardChanges(t, {
+    tables: ["time_entries", "active_timers"],
+    onChanges: silentReload,
+    onPoll: silentReload,
+  });
 
   // Handle preset change
   const handlePresetChange = (preset) => {
     setDatePreset(preset);
     const range = getPresetRange(preset);
     setActiveLabel(range.label);
+    // Show locks for the period being looked at
+    setLockType(MONTH_PRESETS.includes(preset) ? "month" : "week");
+    setLockAnchor(range.from ? new Date(range.from).getTime() : Date.now());
     if (preset !== "custom") {
       setCustomFrom("");
       setCustomTo("");
@@ -248,6 +417,19 @@ export default function ReportApp({ t, hideHeader }) {
         const ms = getTotalWithActive(mData);
         if (ms === 0) continue;
 
+        const notes = mData.notes || [];
+        // Live ticking time of a running timer counts as billable
+        const billableMs =
+          (mData.billableMs ?? mData.totalMs ?? 0) +
+          (ms - (mData.totalMs || 0));
+        const amount = calcAmount(
+          billableMs,
+          getEffectiveRate(rates, {
+            cardId: card.cardId,
+            labels: card.labels,
+            memberId,
+          }),
+        );
         const activeMember = mData.activeTimerId
           ? {
               timerId: mData.activeTimerId,
@@ -255,8 +437,19 @@ export default function ReportApp({ t, hideHeader }) {
               memberName: mData.name || memberId,
               cardId: card.cardId,
               cardName: card.cardName,
+              startedAt: mData.activeTimerStartedAt,
+              pausedAt: mData.pausedAt ?? null,
             }
           : null;
+        // Focus blocks, broken down by the dimension not grouped on
+        const focusBlocks = mData.focusBlocks || 0;
+        const addFocus = (row) => {
+          if (!focusBlocks) return;
+          const key =
+            groupBy === "person" ? card.cardName : mData.name || memberId;
+          row.focusBlocks += focusBlocks;
+          row.focusDetail[key] = (row.focusDetail[key] || 0) + focusBlocks;
+        };
 
         if (groupBy === "card") {
           const key = card.cardId;
@@ -266,18 +459,37 @@ export default function ReportApp({ t, hideHeader }) {
             totalMs: 0,
             sublabel: card.listName,
             activeMembers: [],
+            notes: [],
+            amount: 0,
+            billableMs: 0,
+            focusBlocks: 0,
+            focusDetail: {},
           };
           existing.totalMs += ms;
+          existing.amount += amount;
+          existing.billableMs += billableMs;
+          existing.notes.push(...notes);
+          addFocus(existing);
           if (activeMember) existing.activeMembers.push(activeMember);
           map.set(key, existing);
         } else if (groupBy === "person") {
           const key = memberId;
           const existing = map.get(key) || {
+            memberId,
             label: mData.name || memberId,
             totalMs: 0,
             activeMembers: [],
+            notes: [],
+            amount: 0,
+            billableMs: 0,
+            focusBlocks: 0,
+            focusDetail: {},
           };
           existing.totalMs += ms;
+          existing.amount += amount;
+          existing.billableMs += billableMs;
+          existing.notes.push(...notes);
+          addFocus(existing);
           if (activeMember) existing.activeMembers.push(activeMember);
           map.set(key, existing);
         } else if (groupBy === "label") {
@@ -292,8 +504,17 @@ export default function ReportApp({ t, hideHeader }) {
               totalMs: 0,
               color: lbl.color,
               activeMembers: [],
+              notes: [],
+              amount: 0,
+              billableMs: 0,
+              focusBlocks: 0,
+              focusDetail: {},
             };
             existing.totalMs += ms;
+            existing.amount += amount;
+            existing.billableMs += billableMs;
+            existing.notes.push(...notes);
+            addFocus(existing);
             if (activeMember) existing.activeMembers.push(activeMember);
             map.set(key, existing);
           }
@@ -304,28 +525,149 @@ export default function ReportApp({ t, hideHeader }) {
     let results = Array.from(map.values());
     if (sortBy === "time") {
       results.sort((a, b) => b.totalMs - a.totalMs);
+    } else if (sortBy === "amount") {
+      results.sort((a, b) => b.amount - a.amount);
     } else {
       results.sort((a, b) => a.label.localeCompare(b.label));
     }
     return results;
-  }, [reportData, groupBy, sortBy, now]);
+  }, [reportData, groupBy, sortBy, rates, now]);
 
   const grandTotal = aggregated.reduce((s, r) => s + r.totalMs, 0);
+  const grandAmount = aggregated.reduce((s, r) => s + r.amount, 0);
+  const grandFocus = aggregated.reduce((s, r) => s + r.focusBlocks, 0);
+  const showFocus = grandFocus > 0;
+
+  const handlePrint = async ({ includeChart, includeAmounts }) => {
+    setPrintBusy(true);
+    try {
+      const board = await t.board("name");
+      const withAmounts = showAmounts && includeAmounts;
+      printReport({
+        boardName: board.name,
+        periodLabel,
+        groupBy,
+        rows: aggregated,
+        showAmounts: withAmounts,
+        chartImage: includeChart
+          ? renderChartImage(
+              aggregated,
+              chartType === "pie" ? "pie" : "bar",
+              withAmounts ? valueMode : "time",
+            )
+          : null,
+      });
+      setShowPrint(false);
+    } catch (e) {
+      showError(e, () => handlePrint({ includeChart, includeAmounts }));
+    } finally {
+      setPrintBusy(false);
+    }
+  };
+
+  const handleXlsxExport = async () => {
+    setXlsxBusy(true);
+    try {
+      const rows = await getAllBoardTimeEntries(t, getFilters());
+      downloadReportXLSX(
+        { rows: aggregated, groupBy, showAmounts, showFocus },
+        rows,
+      );
+    } catch (e) {
+      showError(e, handleXlsxExport);
+    } finally {
+      setXlsxBusy(false);
+    }
+  };
+
+  // ── Capacity rows: board members plus anyone with tracked time ───
+  const capacityRows = useMemo(() => {
+    if (!showCapacity || !settings) return [];
+
+    const remaining = {};
+    for (const card of estimateCards) {
+      for (const [memberId, m] of Object.entries(card.members)) {
+        if (!(m.estimatedMs > 0)) continue;
+        const actual = getTotalWithActive({
+          totalMs: m.actualMs,
+          activeStart: m.activeStart,
+          pausedAt: m.pausedAt,
+        });
+        remaining[memberId] =
+          (remaining[memberId] || 0) + Math.max(0, m.estimatedMs - actual);
+      }
+    }
+
+    const rows = new Map(
+      boardMembers.map((m) => [
+        m.id,
+        { memberId: m.id, label: m.fullName, trackedMs: 0 },
+      ]),
+    );
+    for (const r of aggregated) {
+      const row = rows.get(r.memberId) || {
+        memberId: r.memberId,
+        label: r.label,
+      };
+      rows.set(r.memberId, { ...row, trackedMs: r.totalMs });
+    }
+
+    return Array.from(rows.values())
+      .map((row) => ({
+        ...row,
+        capacityMs: getCapacityMs(settings, row.memberId),
+        remainingMs: remaining[row.memberId] || 0,
+      }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+  }, [showCapacity, settings, estimateCards, boardMembers, aggregated]);
+
+  const handleUndoReset = useCallback(
+    async (batchId) => {
+      try {
+        await restoreDeletedBatch(batchId);
+      } catch (err) {
+        showError(err, () => handleUndoReset(batchId));
+      }
+      await loadData();
+    },
+    [loadData, showError],
+  );
 
   const handleReset = useCallback(
     async (cardId) => {
-      await resetCardTimeById(cardId);
+      try {
+        const { batchId } = await resetCardTimeById(t, cardId, cardInfoMap);
+        showToast({
+          type: "success",
+          message: "Tiden er tilbakestilt.",
+          action: { label: "Angre", onClick: () => handleUndoReset(batchId) },
+        });
+      } catch (err) {
+        showError(err, () => handleReset(cardId));
+      }
       setConfirmReset(null);
       await loadData();
     },
-    [loadData],
+    [t, loadData, cardInfoMap, showToast, showError, handleUndoReset],
   );
 
   const handleStop = useCallback(
     async (activeMembers) => {
       const timerIds = activeMembers.map((m) => m.timerId);
-      await stopActiveTimersByIds(timerIds, cardInfoMap);
+      try {
+        await stopActiveTimersByIds(
+          t,
+          timerIds,
+          cardInfoMap,
+          stopNote,
+          capOverflow ? maxSessionMs : null,
+        );
+      } catch (err) {
+        // Timers already stopped are skipped, so retrying is safe
+        showError(err, () => handleStop(activeMembers));
+      }
       setConfirmStop(null);
+      setStopNote("");
       await loadData();
       // Signal Trello to refresh card badges
       try {
@@ -334,9 +676,80 @@ export default function ReportApp({ t, hideHeader }) {
         // ignore – best effort
       }
     },
-    [t, loadData, cardInfoMap],
+    [t, loadData, cardInfoMap, stopNote, capOverflow, maxSessionMs, showError],
+  );
+
+  // ── Period locks (submitted/approved weeks and months) ───────────
+  const showLocks = groupBy === "person" && view === "table";
+  const lockPeriodInfo = useMemo(
+    () => getLockPeriod(lockAnchor, lockType),
+    [lockAnchor, lockType],
+  );
+
+  const loadLocks = useCallback(async () => {
+    try {
+      setLocks(
+        await getPeriodLocks(t, {
+          from: lockPeriodInfo.startsAt,
+          to: lockPeriodInfo.endsAt,
+        }),
+      );
+    } catch (err) {
+      showError(err, loadLocks);
+    }
+  }, [t, lockPeriodInfo, showError]);
+
+  useEffect(() => {
+    if (showLocks) loadLocks();
+  }, [showLocks, loadLocks]);
+
+  const shiftLockPeriod = (steps) => {
+    const start = new Date(lockPeriodInfo.startsAt);
+    if (lockType === "month") start.setMonth(start.getMonth() + steps);
+    else start.setDate(start.getDate() + steps * 7);
+    setLockAnchor(start.getTime());
+  };
+
+  const handleLock = useCallback(
+    async (member, status) => {
+      setLockBusy(true);
+      try {
+        await lockPeriod(t, member, lockPeriodInfo, status);
+      } catch (err) {
+        showError(err, () => handleLock(member, status));
+      }
+      await loadLocks();
+      setLockBusy(false);
+    },
+    [t, lockPeriodInfo, loadLocks, showError],
+  );
+
+  const handleUnlock = useCallback(
+    async (lock) => {
+      setLockBusy(true);
+      try {
+        await unlockPeriod(t, lock);
+      } catch (err) {
+        showError(err, () => handleUnlock(lock));
+      }
+      await loadLocks();
+      setLockBusy(false);
+    },
+    [t, loadLocks, showError],
   );
 
+  // Hide actions the storage layer would refuse (see permissions.js)
+  const canReset = hasPermission(permissions, "resetCards");
+  const canStop = (activeMembers) =>
+    hasPermission(permissions, "editOthersTime") ||
+    activeMembers.every((m) => m.memberId === permissions?.memberId);
+
+  // startedAt is moved past pauses, so this is the worked time
+  const sessionMs = (m) =>
+    getActiveMs({ activeStart: m.startedAt, pausedAt: m.pausedAt }, now);
+  const isOverdue = (m) =>
+    maxSessionMs != null && m.startedAt != null && sessionMs(m) > maxSessionMs;
+
   if (loading) {
     return <div style={styles.center}>Laster rapport...</div>;
   }
@@ -433,6 +846,7 @@ export default function ReportApp({ t, hideHeader }) {
             style={styles.select}
           >
             <option value="time">Tid (mest først)</option>
+            {showAmounts && <option value="amount">Beløp (mest først)</option>}
             <option value="name">Navn (A-Å)</option>
           </select>
         </div>
@@ -454,9 +868,42 @@ export default function ReportApp({ t, hideHeader }) {
             >
               Graf
             </button>
+            <button
+              onClick={() => setView("timesheet")}
+              style={view === "timesheet" ? styles.toggleActive : styles.toggle}
+            >
+              Timeliste
+            </button>
           </div>
         </div>
 
+        {view === "timesheet" && (
+          <>
+            <div style={{ ...styles.controlGroup, marginLeft: -4 }}>
+              <label style={styles.label}>Rader:</label>
+              <select
+                value={sheetRows}
+                onChange={(e) => setSheetRows(e.target.value)}
+                style={styles.select}
+              >
+                <option value="person">Person</option>
+                <option value="card">Kort</option>
+              </select>
+            </div>
+            <div style={styles.controlGroup}>
+              <label style={styles.label}>Kolonner:</label>
+              <select
+                value={sheetPeriod}
+                onChange={(e) => setSheetPeriod(e.target.value)}
+                style={styles.select}
+              >
+                <option value="day">Dager</option>
+                <option value="week">Uker</option>
+              </select>
+            </div>
+          </>
+        )}
+
         {view === "chart" && (
           <div style={{ ...styles.controlGroup, marginLeft: -4 }}>
             <label style={styles.label}>Graftype:</label>
@@ -467,20 +914,107 @@ export default function ReportApp({ t, hideHeader }) {
             >
               <option value="bar">Stolpediagram</option>
               <option value="pie">Sektordiagram</option>
+              <option value="series-bar">Over tid (stolper)</option>
+              <option value="series-line">Over tid (linje)</option>
             </select>
           </div>
         )}
 
-        <div style={{ ...styles.controlGroup, marginLeft: "auto" }}>
+        {view === "chart" && chartType.startsWith("series-") && (
+          <div style={{ ...styles.controlGroup, marginLeft: -4 }}>
+            <label style={styles.label}>Intervall:</label>
+            <select
+              value={seriesPeriod}
+              onChange={(e) => setSeriesPeriod(e.target.value)}
+              style={styles.select}
+            >
+              <option value="day">Dag</option>
+              <option value="week">Uke</option>
+              <option value="month">Måned</option>
+            </select>
+          </div>
+        )}
+
+        {view === "chart" &&
+          showAmounts &&
+          !chartType.startsWith("series-") && (
+            <div style={{ ...styles.controlGroup, marginLeft: -4 }}>
+              <label style={styles.label}>Verdi:</label>
+              <select
+                value={valueMode}
+                onChange={(e) => setValueMode(e.target.value)}
+                style={styles.select}
+              >
+                <option value="time">Tid</option>
+                <option value="amount">Beløp</option>
+              </select>
+            </div>
+          )}
+
+        <div
+          style={{
+            ...styles.controlGroup,
+            marginLeft: "auto",
+            flexDirection: "row",
+          }}
+        >
           <button
-            onClick={() => downloadCSV(reportData)}
+            onClick={() => downloadCSV(reportData, "time-report.csv", rates)}
             style={styles.exportBtn}
           >
             Eksporter CSV
           </button>
+          <button
+            onClick={() => setShowEntryExport(true)}
+            style={styles.exportBtn}
+          >
+            Eksporter økter
+          </button>
+          <button
+            onClick={handleXlsxExport}
+            disabled={xlsxBusy}
+            style={styles.exportBtn}
+          >
+            {xlsxBusy ? "Henter…" : "Eksporter Excel"}
+          </button>
+          <button
+            onClick={() => setShowCalendarExport(true)}
+            style={styles.exportBtn}
+          >
+            Eksporter kalender
+          </button>
+          <button
+            onClick={() => setShowPrint(true)}
+            disabled={aggregated.length === 0}
+            style={styles.exportBtn}
+          >
+            Skriv ut / PDF
+          </button>
         </div>
       </div>
 
+      {showCapacity && view === "table" && (
+        <CapacityPanel
+          rows={capacityRows}
+          weekFraction={getWeekFraction(datePreset)}
+        />
+      )}
+
+      {showLocks && (
+        <LockPanel
+          period={lockPeriodInfo}
+          members={boardMembers}
+          locks={locks}
+          memberId={permissions?.memberId ?? null}
+          canApprove={hasPermission(permissions, "lockPeriods")}
+          busy={lockBusy}
+          onPeriodType={setLockType}
+          onShift={shiftLockPeriod}
+          onLock={handleLock}
+          onUnlock={handleUnlock}
+        />
+      )}
+
       {/* Content */}
       {aggregated.length === 0 ? (
         <div style={styles.empty}>
@@ -500,7 +1034,10 @@ export default function ReportApp({ t, hideHeader }) {
               </th>
               {groupBy === "card" && <th style={styles.th}>Liste</th>}
               {groupBy === "person" && <th style={styles.th}>Aktive kort</th>}
+              <th style={styles.th}>Notater</th>
               <th style={styles.thTime}>Tid</th>
+              {showAmounts && <th style={styles.thTime}>Beløp</th>}
+              {showFocus && <th style={styles.thTime}>Fokusøkter</th>}
               <th
                 style={{
                   ...styles.th,
@@ -549,12 +1086,22 @@ export default function ReportApp({ t, hideHeader }) {
                 {groupBy === "person" && (
                   <td style={styles.tdSub}>
                     {row.activeMembers?.length > 0
-                      ? row.activeMembers.map((m) => m.cardName).join(", ")
+                      ? row.activeMembers
+                          .map((m) =>
+                            m.pausedAt != null
+                              ? `${m.cardName} (pause)`
+                              : m.cardName,
+                          )
+                          .join(", ")
                       : "—"}
                   </td>
                 )}
+                <td style={styles.tdNotes} title={row.notes.join("\n")}>
+                  {row.notes.length > 0 ? row.notes.join("; ") : ""}
+                </td>
                 <td style={styles.tdTime}>
-                  {row.activeMembers?.length > 0 ? (
+                  {row.activeMembers?.length > 0 &&
+                  canStop(row.activeMembers) ? (
                     <span
                       onClick={() =>
                         setConfirmStop({
@@ -567,10 +1114,27 @@ export default function ReportApp({ t, hideHeader }) {
                     >
                       {formatDuration(row.totalMs)}
                     </span>
+                  ) : row.activeMembers?.length > 0 ? (
+                    <span style={styles.activeTimeTextStatic}>
+                      {formatDuration(row.totalMs)}
+                    </span>
                   ) : (
                     formatDuration(row.totalMs)
                   )}
                 </td>
+                {showAmounts && (
+                  <td style={styles.tdTime}>{formatAmount(row.amount)}</td>
+                )}
+                {showFocus && (
+                  <td
+                    style={styles.tdTime}
+                    title={Object.entries(row.focusDetail)
+                      .map(([name, n]) => `${name}: ${n}`)
+                      .join("\n")}
+                  >
+                    {row.focusBlocks || ""}
+                  </td>
+                )}
                 <td
                   style={{
                     ...styles.td,
@@ -594,17 +1158,19 @@ export default function ReportApp({ t, hideHeader }) {
                       whiteSpace: "nowrap",
                     }}
                   >
-                    <button
-                      onClick={() =>
-                        setConfirmReset({
-                          cardId: row.cardId,
-                          cardName: row.label,
-                        })
-                      }
-                      style={styles.resetBtn}
-                    >
-                      Tilbakestill tid
-                    </button>
+                    {canReset && (
+                      <button
+                        onClick={() =>
+                          setConfirmReset({
+                            cardId: row.cardId,
+                            cardName: row.label,
+                          })
+                        }
+                        style={styles.resetBtn}
+                      >
+                        Tilbakestill tid
+                      </button>
+                    )}
                   </td>
                 )}
               </tr>
@@ -620,17 +1186,56 @@ export default function ReportApp({ t, hideHeader }) {
               <td style={{ ...styles.td, fontWeight: 700 }}>Totalt</td>
               {groupBy === "card" && <td />}
               {groupBy === "person" && <td style={styles.td} />}
+              <td style={styles.td} />
               <td style={{ ...styles.tdTime, fontWeight: 700 }}>
                 {formatDuration(grandTotal)}
               </td>
+              {showAmounts && (
+                <td style={{ ...styles.tdTime, fontWeight: 700 }}>
+                  {formatAmount(grandAmount)}
+                </td>
+              )}
+              {showFocus && (
+                <td style={{ ...styles.tdTime, fontWeight: 700 }}>
+                  {grandFocus}
+                </td>
+              )}
               <td style={{ ...styles.td, textAlign: "right" }}>100%</td>
               {groupBy === "card" && <td />}
             </tr>
           </tfoot>
         </table>
+      ) : view === "timesheet" ? (
+        <Timesheet
+          entries={entries}
+          cards={reportData}
+          rowBy={sheetRows}
+          period={sheetPeriod}
+          from={getFilters().from}
+          to={getFilters().to}
+          now={now}
+          loadEntries={loadEntries}
+        />
       ) : (
         <div style={styles.chartContainer}>
-          <ReportChart data={aggregated} chartType={chartType} />
+          {chartType.startsWith("series-") ? (
+            <TimeSeriesChart
+              entries={entries}
+              cards={reportData}
+              groupBy={groupBy}
+              period={seriesPeriod}
+              chartType={chartType === "series-line" ? "line" : "bar"}
+              from={getFilters().from}
+              to={getFilters().to}
+              now={now}
+            />
+          ) : (
+            <ReportChart
+              data={aggregated}
+              chartType={chartType}
+              valueMode={showAmounts ? valueMode : "time"}
+            />
+          )}
         </div>
       )}
       {/* Reset confirmation dialog */}
@@ -639,7 +1244,8 @@ export default function ReportApp({ t, hideHeader }) {
           <div style={styles.dialog}>
             <p style={styles.dialogText}>
               Er du sikker på at du vil tilbakestille all tid for{" "}
-              <strong>{confirmReset.cardName}</strong>? Dette kan ikke angres.
+              <strong>{confirmReset.cardName}</strong>? Tiden flyttes til
+              papirkurven og kan gjenopprettes.
             </p>
             <div style={styles.dialogButtons}>
               <button
@@ -659,6 +1265,37 @@ export default function ReportApp({ t, hideHeader }) {
         </div>
       )}
 
+      {showEntryExport && (
+        <EntryExportDialog
+          initialOptions={entryExportOptions}
+          rangeLabel={periodLabel}
+          busy={entryExportBusy}
+          onCancel={() => setShowEntryExport(false)}
+          onExport={handleEntryExport}
+        />
+      )}
+
+      {showCalendarExport && (
+        <CalendarExportDialog
+          members={boardMembers}
+          initialMemberId={permissions?.memberId ?? null}
+          rangeLabel={periodLabel}
+          busy={calendarBusy}
+          onCancel={() => setShowCalendarExport(false)}
+          onExport={handleCalendarExport}
+        />
+      )}
+
+      {showPrint && (
+        <PrintDialog
+          rangeLabel={periodLabel}
+          hasRates={showAmounts}
+          busy={printBusy}
+          onCancel={() => setShowPrint(false)}
+          onPrint={handlePrint}
+        />
+      )}
+
       {/* Stop timer confirmation dialog */}
       {confirmStop && (
         <div style={styles.overlay}>
@@ -674,12 +1311,38 @@ export default function ReportApp({ t, hideHeader }) {
                   {groupBy !== "card" && (
                     <span style={styles.activeCardName}> – {m.cardName}</span>
                   )}
+                  {isOverdue(m) && (
+                    <span style={styles.overdueTag}>
+                      {formatDuration(sessionMs(m), true)}
+                    </span>
+                  )}
                 </div>
               ))}
             </div>
+            {confirmStop.activeMembers.some(isOverdue) && (
+              <label style={styles.capLabel}>
+                <input
+                  type="checkbox"
+                  checked={capOverflow}
+                  onChange={(e) => setCapOverflow(e.target.checked)}
+                />
+                Forkast tid utover maks øktlengde (
+                {formatDuration(maxSessionMs, true)})
+              </label>
+            )}
+            <input
+              type="text"
+              placeholder="Hva ble gjort? (valgfritt)"
+              value={stopNote}
+              onChange={(e) => setStopNote(e.target.value)}
+              style={styles.noteInput}
+            />
             <div style={styles.dialogButtons}>
               <button
-                onClick={() => setConfirmStop(null)}
+                onClick={() => {
+                  setConfirmStop(null);
+                  setStopNote("");
+                }}
                 style={styles.dialogCancel}
               >
                 Avbryt
@@ -694,6 +1357,8 @@ export default function ReportApp({ t, hideHeader }) {
           </div>
         </div>
       )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
     </div>
   );
 }
@@ -943,6 +1608,17 @@ const styles = {
     color: "#5E6C84",
     backgroundColor: "inherit",
   },
+  tdNotes: {
+    padding: "8px 10px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#5E6C84",
+    backgroundColor: "inherit",
+    maxWidth: 280,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
   chartContainer: { padding: "16px 0", maxHeight: 420 },
 
   resetBtn: {
@@ -985,6 +1661,15 @@ const styles = {
     lineHeight: 1.5,
   },
   dialogButtons: { display: "flex", justifyContent: "flex-end", gap: 8 },
+  noteInput: {
+    width: "100%",
+    padding: "6px 10px",
+    marginBottom: 16,
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 14,
+    boxSizing: "border-box",
+  },
   dialogCancel: {
     padding: "8px 16px",
     border: "1px solid #DFE1E6",
@@ -1023,6 +1708,7 @@ const styles = {
     borderBottom: "1px dashed #61BD4F",
     paddingBottom: 1,
   },
+  activeTimeTextStatic: { color: "#61BD4F" },
   activeList: {
     margin: "12px 0",
     padding: "8px 12px",
@@ -1048,4 +1734,21 @@ const styles = {
     color: "#5E6C84",
     fontSize: 13,
   },
+  overdueTag: {
+    marginLeft: "auto",
+    padding: "1px 6px",
+    borderRadius: 3,
+    backgroundColor: "#FFF7E6",
+    color: "#B04632",
+    fontSize: 12,
+    fontWeight: 600,
+  },
+  capLabel: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 13,
+    color: "#172B4D",
+    marginBottom: 12,
+  },
 };
@@ -2,9 +2,15 @@ import React, { useState } from "react";
 import { createRoot } from "react-dom/client";
 import ReportApp from "./ReportApp.jsx";
 import EstimateApp from "../estimate/EstimateApp.jsx";
+import AuditApp from "../audit/AuditApp.jsx";
+import TrashApp from "../trash/TrashApp.jsx";
+import ImportApp from "../import/ImportApp.jsx";
+import AuthGate from "../components/AuthGate.jsx";
+import { TRELLO_APP, isBoardAdmin } from "../utils/auth.js";
 
 /**
- * ReportPage – Tabbed wrapper that shows either Tidsrapport or Tidsestimering.
+ * ReportPage – Tabbed wrapper that shows Tidsrapport, Tidsestimering,
+ * Endringslogg, Import or, for board admins, Papirkurv.
  */
 function ReportPage({ t }) {
   const [activeTab, setActiveTab] = useState("report");
@@ -26,6 +32,26 @@ function ReportPage({ t }) {
           >
             Tidsestimering
           </button>
+          <button
+            onClick={() => setActiveTab("audit")}
+            style={activeTab === "audit" ? styles.tabActive : styles.tab}
+          >
+            Endringslogg
+          </button>
+          <button
+            onClick={() => setActiveTab("import")}
+            style={activeTab === "import" ? styles.tabActive : styles.tab}
+          >
+            Import
+          </button>
+          {isBoardAdmin() && (
+            <button
+              onClick={() => setActiveTab("trash")}
+              style={activeTab === "trash" ? styles.tabActive : styles.tab}
+            >
+              Papirkurv
+            </button>
+          )}
         </div>
       </div>
 
@@ -33,8 +59,14 @@ function ReportPage({ t }) {
       <div style={styles.content}>
         {activeTab === "report" ? (
           <ReportApp t={t} hideHeader />
-        ) : (
+        ) : activeTab === "estimate" ? (
           <EstimateApp t={t} />
+        ) : activeTab === "audit" ? (
+          <AuditApp t={t} />
+        ) : activeTab === "import" ? (
+          <ImportApp t={t} />
+        ) : (
+          <TrashApp t={t} />
         )}
       </div>
     </div>
@@ -87,6 +119,10 @@ const styles = {
   },
 };
 
-const t = window.TrelloPowerUp.iframe();
+const t = window.TrelloPowerUp.iframe(TRELLO_APP);
 const root = createRoot(document.getElementById("root"));
-root.render(<ReportPage t={t} />);
+root.render(
+  <AuthGate t={t}>
+    <ReportPage t={t} />
+  </AuthGate>,
+);
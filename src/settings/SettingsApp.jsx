@@ -1,38 +1,223 @@
 import React, { useState, useEffect } from "react";
+import {
+  DEFAULT_SETTINGS,
+  getSettings,
+  saveSettings,
+} from "../utils/settings.js";
+import { getBoardRates, setRate } from "../utils/rateStorage.js";
+import {
+  PERMISSIONS,
+  getPermissionContext,
+  savePermissionRules,
+} from "../utils/permissions.js";
+import Toast, { useToast } from "../components/Toast.jsx";
+
+// "scope:targetId" key used for rate inputs
+const rateKey = (scope, id) => `${scope}:${id || ""}`;
+
+function parseNumber(value) {
+  const n = parseFloat(String(value ?? "").replace(",", "."));
+  return n > 0 ? n : 0;
+}
 
 /**
  * SettingsApp – Power-Up settings panel.
  *
  * Current settings:
  * - Show badge on card front (default: on)
- * - Badge refresh interval
+ * - Maximum session length (timers running longer are flagged)
+ * - Single active timer per person (starting one stops the others)
+ * - Focus mode work block and break length
+ * - Weekly capacity per board default and member (used by the report)
+ * - Hourly rates per board default, member, label and card (board admins
+ *   only)
+ * - Permissions for changing other members' time and estimates (board
+ *   admins only)
  *
  * Settings are stored at board level, shared scope, so they apply to all members.
+ * Rates and permissions are stored in Supabase (hourly_rates,
+ * board_permissions): rates can outgrow pluginData, and both must be
+ * enforced by the database, which cannot read pluginData.
  */
 export default function SettingsApp({ t }) {
   const [showBadge, setShowBadge] = useState(true);
+  const [maxSessionHours, setMaxSessionHours] = useState("");
+  const [singleActiveTimer, setSingleActiveTimer] = useState(false);
+  const [focusWork, setFocusWork] = useState("");
+  const [focusBreak, setFocusBreak] = useState("");
+  const [defaultCapacity, setDefaultCapacity] = useState("");
+  const [capacityInputs, setCapacityInputs] = useState({}); // { memberId: string }
+  const [boardMembers, setBoardMembers] = useState([]);
+  const [boardLabels, setBoardLabels] = useState([]);
+  const [boardCards, setBoardCards] = useState([]);
+  const [rateInputs, setRateInputs] = useState({}); // { "scope:id": string }
+  const [savedRates, setSavedRates] = useState({}); // { "scope:id": number }
+  const [cardToAdd, setCardToAdd] = useState("");
+  const [permissions, setPermissions] = useState({}); // { key: { allow, memberIds } }
+  const [isAdmin, setIsAdmin] = useState(false);
   const [loaded, setLoaded] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const { toast, showError, dismissToast } = useToast();
 
   useEffect(() => {
     async function load() {
+      const settings = await getSettings(t);
+      setShowBadge(settings.showBadge !== false);
+      setMaxSessionHours(
+        settings.maxSessionHours > 0 ? String(settings.maxSessionHours) : "",
+      );
+      setSingleActiveTimer(settings.singleActiveTimer === true);
+      setFocusWork(String(settings.focusWorkMinutes));
+      setFocusBreak(String(settings.focusBreakMinutes));
+      setDefaultCapacity(
+        settings.defaultCapacityHours > 0
+          ? String(settings.defaultCapacityHours)
+          : "",
+      );
+      setCapacityInputs(
+        Object.fromEntries(
+          Object.entries(settings.capacityHours || {}).map(([id, h]) => [
+            id,
+            String(h),
+          ]),
+        ),
+      );
+
+      try {
+        const ctx = await getPermissionContext(t);
+        // Rules saved in pluginData by earlier versions are offered until
+        // an admin saves them to Supabase
+        setPermissions(
+          ctx.rulesSaved || !settings.permissions
+            ? ctx.rules
+            : { ...ctx.rules, ...settings.permissions },
+        );
+        setIsAdmin(ctx.isAdmin);
+      } catch (e) {
+        console.warn("[TimeTracker] Could not load permissions:", e);
+      }
+
+      try {
+        const board = await t.board("members", "labels");
+        setBoardMembers(board.members || []);
+        setBoardLabels((board.labels || []).filter((l) => l.name || l.color));
+        setBoardCards(await t.cards("id", "name"));
+      } catch (e) {
+        console.warn("[TimeTracker] Could not fetch board data:", e);
+      }
+
       try {
-        const settings = await t.get("board", "shared", "ttSettings");
-        if (settings) {
-          setShowBadge(settings.showBadge !== false);
+        const rates = await getBoardRates(t);
+        const flat = {};
+        if (rates.default > 0) flat[rateKey("default")] = rates.default;
+        for (const scope of ["member", "label", "card"]) {
+          for (const [id, rate] of Object.entries(rates[scope])) {
+            flat[rateKey(scope, id)] = rate;
+          }
         }
-      } catch {
-        // defaults are fine
+        setSavedRates(flat);
+        setRateInputs(
+          Object.fromEntries(
+            Object.entries(flat).map(([k, v]) => [k, String(v)]),
+          ),
+        );
+      } catch (e) {
+        showError(e);
       }
       setLoaded(true);
     }
     load();
-  }, [t]);
+  }, [t, showError]);
 
   const handleSave = async () => {
-    await t.set("board", "shared", "ttSettings", { showBadge });
-    t.closePopup();
+    setSaving(true);
+    try {
+      await saveAll();
+      t.closePopup();
+    } catch (e) {
+      // Keep the panel open so nothing typed is lost
+      showError(e, handleSave);
+    }
+    setSaving(false);
+  };
+
+  const saveAll = async () => {
+    const hours = parseFloat(String(maxSessionHours).replace(",", "."));
+    await saveSettings(t, {
+      showBadge,
+      maxSessionHours: hours > 0 ? hours : 0,
+      singleActiveTimer,
+      focusWorkMinutes:
+        parseNumber(focusWork) || DEFAULT_SETTINGS.focusWorkMinutes,
+      focusBreakMinutes: parseNumber(focusBreak),
+      defaultCapacityHours: parseNumber(defaultCapacity),
+      capacityHours: Object.fromEntries(
+        Object.entries(capacityInputs)
+          .map(([id, value]) => [id, parseNumber(value)])
+          .filter(([, hours]) => hours > 0),
+      ),
+    });
+
+    // Only admins may change who is allowed to do what, and rates
+    if (!isAdmin) return;
+    await savePermissionRules(t, permissions);
+
+    // Only write rates that changed
+    const names = {
+      member: Object.fromEntries(boardMembers.map((m) => [m.id, m.fullName])),
+      label: Object.fromEntries(
+        boardLabels.map((l) => [l.id, l.name || l.color]),
+      ),
+      card: Object.fromEntries(boardCards.map((c) => [c.id, c.name])),
+    };
+    const keys = new Set([
+      ...Object.keys(rateInputs),
+      ...Object.keys(savedRates),
+    ]);
+    for (const key of keys) {
+      const rate = parseNumber(rateInputs[key]);
+      if (rate === (savedRates[key] || 0)) continue;
+      const [scope, id] = key.split(":");
+      await setRate(t, scope, id, rate, names[scope]?.[id]);
+      setSavedRates((prev) => ({ ...prev, [key]: rate }));
+    }
+  };
+
+  const rateInput = (scope, id) => (
+    <input
+      type="number"
+      min="0"
+      step="50"
+      placeholder="—"
+      disabled={!isAdmin}
+      value={rateInputs[rateKey(scope, id)] ?? ""}
+      onChange={(e) =>
+        setRateInputs((prev) => ({
+          ...prev,
+          [rateKey(scope, id)]: e.target.value,
+        }))
+      }
+      style={styles.numberInput}
+    />
+  );
+
+  const setRule = (key, changes) =>
+    setPermissions((prev) => ({
+      ...prev,
+      [key]: { ...prev[key], ...changes },
+    }));
+
+  const toggleRuleMember = (key, id) => {
+    const ids = permissions[key]?.memberIds || [];
+    setRule(key, {
+      memberIds: ids.includes(id) ? ids.filter((m) => m !== id) : [...ids, id],
+    });
   };
 
+  const cardRateIds = Object.keys(rateInputs)
+    .filter((k) => k.startsWith("card:"))
+    .map((k) => k.slice(5));
+
   if (!loaded) return <div style={{ padding: 16 }}>Laster...</div>;
 
   return (
@@ -51,9 +236,232 @@ export default function SettingsApp({ t }) {
         Vis tids-badge på kortoversikten
       </label>
 
-      <button onClick={handleSave} style={styles.saveBtn}>
-        Lagre innstillinger
+      <label style={styles.checkLabel}>
+        <input
+          type="checkbox"
+          checked={singleActiveTimer}
+          onChange={(e) => setSingleActiveTimer(e.target.checked)}
+          style={{ marginRight: 8 }}
+        />
+        Én aktiv timer per person
+      </label>
+      <p style={{ ...styles.hint, marginTop: -8 }}>
+        Når en person starter en timer, stoppes timeren de har gående på et
+        annet kort automatisk.
+      </p>
+
+      <label style={styles.fieldLabel}>
+        Maks øktlengde (timer)
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          placeholder="Ingen grense"
+          value={maxSessionHours}
+          onChange={(e) => setMaxSessionHours(e.target.value)}
+          style={styles.numberInput}
+        />
+      </label>
+      <p style={styles.hint}>
+        Timere som går lenger enn dette markeres med oransje badge, og du får
+        valget om å forkaste overtiden når timeren stoppes.
+      </p>
+
+      <h4 style={styles.subheading}>Fokusmodus (minutter)</h4>
+      <p style={{ ...styles.hint, marginTop: 0 }}>
+        Med fokusmodus på i timeren stoppes timeren automatisk etter hver
+        arbeidsøkt, og det varsles når pausen er over.
+      </p>
+
+      <label style={styles.fieldLabel}>
+        Arbeidsøkt
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={focusWork}
+          onChange={(e) => setFocusWork(e.target.value)}
+          style={styles.numberInput}
+        />
+      </label>
+      <label style={styles.fieldLabel}>
+        Pause
+        <input
+          type="number"
+          min="0"
+          step="1"
+          value={focusBreak}
+          onChange={(e) => setFocusBreak(e.target.value)}
+          style={styles.numberInput}
+        />
+      </label>
+
+      <h4 style={styles.subheading}>Ukentlig kapasitet (timer)</h4>
+      <p style={{ ...styles.hint, marginTop: 0 }}>
+        Brukes av kapasitetsoversikten i rapporten (gruppert per person, denne
+        eller forrige uke). Tomt felt betyr standardkapasiteten.
+      </p>
+
+      <label style={styles.fieldLabel}>
+        Standard
+        <input
+          type="number"
+          min="0"
+          step="1"
+          placeholder="—"
+          value={defaultCapacity}
+          onChange={(e) => setDefaultCapacity(e.target.value)}
+          style={styles.numberInput}
+        />
+      </label>
+
+      {boardMembers.length > 0 && (
+        <div style={styles.rateGroup}>
+          <div style={styles.rateGroupTitle}>Per person</div>
+          {boardMembers.map((m) => (
+            <label key={m.id} style={styles.fieldLabel}>
+              {m.fullName}
+              <input
+                type="number"
+                min="0"
+                step="1"
+                placeholder={defaultCapacity || "—"}
+                value={capacityInputs[m.id] ?? ""}
+                onChange={(e) =>
+                  setCapacityInputs((prev) => ({
+                    ...prev,
+                    [m.id]: e.target.value,
+                  }))
+                }
+                style={styles.numberInput}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      <h4 style={styles.subheading}>Timepriser (kr/t)</h4>
+      <p style={{ ...styles.hint, marginTop: 0 }}>
+        Kortpris går foran labelpris, som går foran personpris. Står ingenting,
+        brukes standardprisen.
+        {!isAdmin && " Bare tavleadministratorer kan endre timeprisene."}
+      </p>
+
+      <label style={styles.fieldLabel}>
+        Standard
+        {rateInput("default")}
+      </label>
+
+      {boardMembers.length > 0 && (
+        <div style={styles.rateGroup}>
+          <div style={styles.rateGroupTitle}>Per person</div>
+          {boardMembers.map((m) => (
+            <label key={m.id} style={styles.fieldLabel}>
+              {m.fullName}
+              {rateInput("member", m.id)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {boardLabels.length > 0 && (
+        <div style={styles.rateGroup}>
+          <div style={styles.rateGroupTitle}>Per label</div>
+          {boardLabels.map((l) => (
+            <label key={l.id} style={styles.fieldLabel}>
+              {l.name || l.color}
+              {rateInput("label", l.id)}
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div style={styles.rateGroup}>
+        <div style={styles.rateGroupTitle}>Per kort</div>
+        {cardRateIds.map((id) => (
+          <label key={id} style={styles.fieldLabel}>
+            {boardCards.find((c) => c.id === id)?.name || id}
+            {rateInput("card", id)}
+          </label>
+        ))}
+        <div style={styles.fieldLabel}>
+          <select
+            value={cardToAdd}
+            disabled={!isAdmin}
+            onChange={(e) => setCardToAdd(e.target.value)}
+            style={styles.cardSelect}
+          >
+            <option value="">Velg kort…</option>
+            {boardCards
+              .filter((c) => !cardRateIds.includes(c.id))
+              .map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+          </select>
+          <button
+            style={styles.addBtn}
+            disabled={!cardToAdd}
+            onClick={() => {
+              setRateInputs((prev) => ({
+                ...prev,
+                [rateKey("card", cardToAdd)]: "",
+              }));
+              setCardToAdd("");
+            }}
+          >
+            Legg til
+          </button>
+        </div>
+      </div>
+
+      <h4 style={styles.subheading}>Tilganger</h4>
+      <p style={{ ...styles.hint, marginTop: 0 }}>
+        Alle kan alltid registrere og endre sin egen tid og sine egne estimater.
+        Tavleadministratorer kan alltid alt.
+        {!isAdmin && " Bare tavleadministratorer kan endre tilgangene."}
+      </p>
+
+      {Object.entries(PERMISSIONS).map(([key, label]) => {
+        const rule = permissions[key] || { allow: "admins" };
+        return (
+          <div key={key} style={styles.rateGroup}>
+            <label style={styles.fieldLabel}>
+              {label}
+              <select
+                value={rule.allow}
+                disabled={!isAdmin}
+                onChange={(e) => setRule(key, { allow: e.target.value })}
+                style={styles.ruleSelect}
+              >
+                <option value="admins">Administratorer</option>
+                <option value="selected">Administratorer og valgte</option>
+                <option value="everyone">Alle medlemmer</option>
+              </select>
+            </label>
+            {rule.allow === "selected" &&
+              boardMembers.map((m) => (
+                <label key={m.id} style={styles.ruleMember}>
+                  <input
+                    type="checkbox"
+                    checked={(rule.memberIds || []).includes(m.id)}
+                    disabled={!isAdmin}
+                    onChange={() => toggleRuleMember(key, m.id)}
+                    style={{ marginRight: 8 }}
+                  />
+                  {m.fullName}
+                </label>
+              ))}
+          </div>
+        );
+      })}
+
+      <button onClick={handleSave} disabled={saving} style={styles.saveBtn}>
+        {saving ? "Lagrer…" : "Lagre innstillinger"}
       </button>
+
+      <Toast toast={toast} onDismiss={dismissToast} />
     </div>
   );
 }
@@ -65,6 +473,66 @@ const styles = {
     marginBottom: 12,
     cursor: "pointer",
   },
+  fieldLabel: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+    marginBottom: 4,
+  },
+  numberInput: {
+    width: 90,
+    padding: "4px 8px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 13,
+  },
+  subheading: {
+    margin: "16px 0 4px",
+    fontSize: 13,
+    color: "#172B4D",
+    borderTop: "1px solid #DFE1E6",
+    paddingTop: 12,
+  },
+  rateGroup: { margin: "8px 0" },
+  rateGroupTitle: {
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    marginBottom: 4,
+  },
+  cardSelect: {
+    flex: 1,
+    minWidth: 0,
+    padding: "4px 6px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 13,
+  },
+  ruleSelect: {
+    width: 170,
+    padding: "4px 6px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    fontSize: 13,
+  },
+  ruleMember: {
+    display: "flex",
+    alignItems: "center",
+    fontSize: 13,
+    margin: "2px 0 2px 12px",
+    cursor: "pointer",
+  },
+  addBtn: {
+    padding: "4px 10px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#FAFBFC",
+    color: "#172B4D",
+    fontSize: 12,
+    cursor: "pointer",
+  },
   hint: { fontSize: 12, color: "#5E6C84", lineHeight: 1.5, margin: "12px 0" },
   saveBtn: {
     padding: "8px 20px",
@@ -76,5 +544,6 @@ const styles = {
     fontWeight: 600,
     cursor: "pointer",
     width: "100%",
+    marginTop: 8,
   },
 };
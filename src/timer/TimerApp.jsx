@@ -9,33 +9,114 @@ import {
   getCardTimeData,
   startTimer,
   stopTimer,
+  pauseTimer,
+  resumeTimer,
   adjustTime,
+  getCardTimeEntries,
+  updateTimeEntry,
+  splitTimeEntry,
+  deleteTimeEntry,
+  restoreDeletedBatch,
+  setTimeEntryBillable,
+  syncOutbox,
 } from "../utils/storage.js";
+import {
+  getPendingOps,
+  subscribeOutbox,
+  getFailedOps,
+  dismissFailedOps,
+  subscribeFailedOps,
+} from "../utils/outbox.js";
+import { useBoardChanges, affectsCard } from "../utils/realtime.js";
 import {
   formatDuration,
   formatTimer,
+  formatDateTime,
+  toDateTimeInput,
   parseDuration,
   getTotalWithActive,
+  getActiveMs,
 } from "../utils/time.js";
+import {
+  getSettings,
+  getMaxSessionMs,
+  getFocusDurations,
+} from "../utils/settings.js";
+import { getPermissionContext, hasPermission } from "../utils/permissions.js";
+import Toast, { useToast } from "../components/Toast.jsx";
+
+// Focus mode on/off is a personal choice, kept in the member's private
+// pluginData so it applies on every card and board
+const FOCUS_MODE_KEY = "ttFocusMode";
+
+// Outbox operation types, for the notice about dropped writes
+const OP_LABELS = {
+  start: "Start",
+  stop: "Stopp",
+  pause: "Pause",
+  resume: "Fortsett",
+  adjust: "Justering",
+};
+
+// Desktop notification for focus mode. Skipped where the browser (or
+// Trello's iframe) does not allow notifications – the popup shows a toast too.
+function notify(title, body) {
+  if (typeof Notification === "undefined") return;
+  if (Notification.permission !== "granted") return;
+  try {
+    new Notification(title, { body, icon: "/clock-icon.svg" });
+  } catch (e) {
+    console.warn("[TimeTracker] notification failed:", e);
+  }
+}
 
 /**
  * TimerApp – Card-level timer popup.
- * Only time tracking: start/stop, manual entry, per-person breakdown.
+ * Only time tracking: start/stop/pause, manual entry, per-person breakdown.
  * Estimates are managed in a separate popup (EstimateCardApp).
+ *
+ * Focus mode: each start of your own timer while it is on is a work block
+ * (startTimer with focusBlock). When its worked time reaches the board's
+ * block length the timer is stopped at the block end (stopTimer with
+ * focusBlock), a break countdown starts, and a desktop notification is shown
+ * at both ends. Timers started some other way are never stopped by focus
+ * mode. Runs while the popup is open; a block that ran out while it was
+ * closed is stopped at its end on the next open, and the toast says how much
+ * time after the end was not recorded.
  */
 export default function TimerApp({ t }) {
   const [timeData, setTimeData] = useState({});
   const [memberId, setMemberId] = useState(null);
+  const [cardId, setCardId] = useState(null);
   const [memberName, setMemberName] = useState("");
   const [now, setNow] = useState(Date.now());
   const [manualInput, setManualInput] = useState("");
   const [manualDate, setManualDate] = useState("");
+  const [manualNote, setManualNote] = useState("");
+  const [stopPrompt, setStopPrompt] = useState(false);
+  const [stopNote, setStopNote] = useState("");
   const [selectedMembers, setSelectedMembers] = useState(["self"]);
   const [boardMembers, setBoardMembers] = useState([]);
+  const [canEditOthers, setCanEditOthers] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [showLog, setShowLog] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [editing, setEditing] = useState(null); // { id, mode: "edit"|"split", start, end, split }
+  const [maxSessionMs, setMaxSessionMs] = useState(null);
+  const [focusMode, setFocusMode] = useState(false);
+  const [focusDurations, setFocusDurations] = useState(() =>
+    getFocusDurations(null),
+  );
+  const [breakEndsAt, setBreakEndsAt] = useState(null);
+  const focusStoppingRef = useRef(false);
+  const [keepUntil, setKeepUntil] = useState({}); // { [memberId]: datetime-local value }
+  const [dismissedOverdue, setDismissedOverdue] = useState([]); // ["memberId:activeStart"]
+  const [switchNotice, setSwitchNotice] = useState([]); // [{ memberName, cardName }]
+  const [pendingOps, setPendingOps] = useState(getPendingOps);
+  const [failedOps, setFailedOps] = useState(getFailedOps);
+  const { toast, showToast, showError, dismissToast } = useToast();
   const tickRef = useRef(null);
-  const pollRef = useRef(null);
 
   const toggleMember = useCallback((id) => {
     setSelectedMembers((prev) => {
@@ -58,6 +139,14 @@ export default function TimerApp({ t }) {
     }
   }, [t]);
 
+  const refreshEntries = useCallback(async () => {
+    try {
+      setEntries(await getCardTimeEntries(t));
+    } catch (e) {
+      console.error("[TimeTracker] refreshEntries error:", e);
+    }
+  }, [t]);
+
   const touchBadges = useCallback(async () => {
     try {
       await t.set("card", "shared", "lastUpdate", Date.now());
@@ -71,6 +160,27 @@ export default function TimerApp({ t }) {
       const member = await t.member("id", "fullName");
       setMemberId(member.id);
       setMemberName(member.fullName);
+      setCardId((await t.card("id")).id);
+      const settings = await getSettings(t);
+      setMaxSessionMs(getMaxSessionMs(settings));
+      setFocusDurations(getFocusDurations(settings));
+      try {
+        setFocusMode(
+          (await t.get("member", "private", FOCUS_MODE_KEY)) === true,
+        );
+      } catch (e) {
+        console.warn("[TimeTracker] Could not read focus mode:", e);
+      }
+      let editOthers = false;
+      try {
+        editOthers = hasPermission(
+          await getPermissionContext(t),
+          "editOthersTime",
+        );
+        setCanEditOthers(editOthers);
+      } catch (e) {
+        console.error("[TimeTracker] permissions error:", e);
+      }
       let members = [];
       try {
         const board = await t.board("members");
@@ -82,7 +192,8 @@ export default function TimerApp({ t }) {
       const data = await refreshData();
 
       const activeIds = Object.keys(data).filter(
-        (id) => data[id]?.activeStart != null,
+        (id) =>
+          data[id]?.activeStart != null && (editOthers || id === member.id),
       );
       if (activeIds.length > 0) {
         const selected = activeIds.map((id) =>
@@ -96,43 +207,66 @@ export default function TimerApp({ t }) {
   }, [t, refreshData]);
 
   useEffect(() => {
-    const hasActive = Object.values(timeData).some(
-      (d) => d.activeStart != null,
-    );
+    // Paused timers do not tick; a focus break does
+    const hasActive =
+      breakEndsAt != null ||
+      Object.values(timeData).some(
+        (d) => d.activeStart != null && d.pausedAt == null,
+      );
     if (hasActive) {
       tickRef.current = setInterval(() => setNow(Date.now()), 1000);
     } else {
       clearInterval(tickRef.current);
     }
     return () => clearInterval(tickRef.current);
-  }, [timeData]);
+  }, [timeData, breakEndsAt]);
 
+  // Load the entry log when it is opened
   useEffect(() => {
-    const POLL_INTERVAL = 5000;
-    const startPolling = () => {
-      clearInterval(pollRef.current);
-      pollRef.current = setInterval(() => {
-        if (document.visibilityState === "visible") {
-          refreshData();
-        }
-      }, POLL_INTERVAL);
-    };
-    const handleVisibility = () => {
-      if (document.visibilityState === "visible") {
-        refreshData();
-        startPolling();
-      } else {
-        clearInterval(pollRef.current);
-      }
-    };
-    startPolling();
-    document.addEventListener("visibilitychange", handleVisibility);
+    if (showLog) refreshEntries();
+  }, [showLog, refreshEntries]);
+
+  // Unsynced timer writes (outbox) – retry while any are pending and
+  // immediately when the connection returns
+  useEffect(() => {
+    const unsubscribe = subscribeOutbox(setPendingOps);
+    const unsubscribeFailed = subscribeFailedOps(setFailedOps);
+    const handleOnline = () =>
+      syncOutbox({ force: true }).then(() => refreshData());
+    window.addEventListener("online", handleOnline);
     return () => {
-      clearInterval(pollRef.current);
-      document.removeEventListener("visibilitychange", handleVisibility);
+      unsubscribe();
+      unsubscribeFailed();
+      window.removeEventListener("online", handleOnline);
     };
   }, [refreshData]);
 
+  const hasPendingOps = pendingOps.length > 0;
+  useEffect(() => {
+    if (!hasPendingOps) return;
+    const RETRY_INTERVAL = 5000;
+    const retry = setInterval(
+      () => syncOutbox().then(() => refreshData()),
+      RETRY_INTERVAL,
+    );
+    return () => clearInterval(retry);
+  }, [hasPendingOps, refreshData]);
+
+  const refreshAll = useCallback(() => {
+    refreshData();
+    // Don't replace the list under an open edit form
+    if (showLog && !editing) refreshEntries();
+  }, [refreshData, refreshEntries, showLog, editing]);
+
+  // Live updates from other users (polls only while realtime is down)
+  useBoardChanges(t, {
+    tables: ["time_entries", "active_timers"],
+    onChanges: (changes) => {
+      if (changes.some((c) => affectsCard(c, cardId))) refreshAll();
+    },
+    onPoll: refreshAll,
+  });
+
   const displayTotal = useMemo(() => {
     if (!memberId || !timeData[memberId]) return 0;
     return getTotalWithActive(timeData[memberId]);
@@ -160,69 +294,346 @@ export default function TimerApp({ t }) {
     return timeData[mId]?.activeStart != null;
   });
 
+  // Pause while any selected timer is counting; resume when all are paused
+  const allSelectedPaused =
+    allSelectedRunning &&
+    selectedMembers.every((id) => {
+      const mId = id === "self" ? memberId : id;
+      return timeData[mId]?.pausedAt != null;
+    });
+
   const handleToggle = useCallback(async () => {
     if (selectedMembers.length === 0) return;
+    // Stopping asks "what did you do?" first – see handleStop
+    if (allSelectedRunning) {
+      setStopPrompt(true);
+      return;
+    }
     setSaving(true);
     try {
       const targets = getTargetMembers();
-      if (allSelectedRunning) {
-        for (const target of targets) {
-          await stopTimer(t, target);
+      const notices = [];
+      for (const target of targets) {
+        const mId = target ? target.id : memberId;
+        if (!timeData[mId]?.activeStart) {
+          // Only your own timer can be a focus block
+          const result = await startTimer(t, target, !target && focusMode);
+          for (const s of result?.stopped || []) {
+            notices.push({
+              memberName: target ? target.fullName : memberName,
+              cardName: s.cardName,
+            });
+          }
         }
-      } else {
+      }
+      setSwitchNotice(notices);
+    } catch (e) {
+      // Starting is idempotent, so a retry only starts the missing timers
+      showError(e, handleToggle);
+    }
+    await refreshData();
+    await touchBadges();
+    setSaving(false);
+  }, [
+    t,
+    selectedMembers,
+    allSelectedRunning,
+    getTargetMembers,
+    memberId,
+    memberName,
+    timeData,
+    focusMode,
+    refreshData,
+    touchBadges,
+    showError,
+  ]);
+
+  const handleStop = useCallback(
+    async (note) => {
+      setStopPrompt(false);
+      setSaving(true);
+      try {
+        const targets = getTargetMembers();
         for (const target of targets) {
-          const mId = target ? target.id : memberId;
-          if (!timeData[mId]?.activeStart) {
-            await startTimer(t, target);
-          }
+          await stopTimer(t, target, note);
         }
+      } catch (e) {
+        // Stopping is idempotent – timers already stopped are skipped
+        showError(e, () => handleStop(note));
       }
       await refreshData();
       await touchBadges();
+      setStopNote("");
+      setSaving(false);
+    },
+    [t, getTargetMembers, refreshData, touchBadges, showError],
+  );
+
+  const handlePauseToggle = useCallback(async () => {
+    setSaving(true);
+    try {
+      for (const target of getTargetMembers()) {
+        const paused = timeData[target ? target.id : memberId]?.pausedAt;
+        if (allSelectedPaused) await resumeTimer(t, target);
+        else if (paused == null) await pauseTimer(t, target);
+      }
     } catch (e) {
-      console.error("[TimeTracker] toggle error:", e);
+      // Pausing and resuming skip timers already in that state
+      showError(e, handlePauseToggle);
     }
+    await refreshData();
+    await touchBadges();
     setSaving(false);
   }, [
     t,
-    selectedMembers,
-    allSelectedRunning,
     getTargetMembers,
+    timeData,
     memberId,
+    allSelectedPaused,
+    refreshData,
+    touchBadges,
+    showError,
+  ]);
+
+  // ── Focus mode ──
+  const handleFocusMode = useCallback(
+    async (enabled) => {
+      setFocusMode(enabled);
+      if (!enabled) setBreakEndsAt(null);
+      if (
+        enabled &&
+        typeof Notification !== "undefined" &&
+        Notification.permission === "default"
+      ) {
+        Notification.requestPermission().catch(() => {});
+      }
+      try {
+        await t.set("member", "private", FOCUS_MODE_KEY, enabled);
+      } catch (e) {
+        console.warn("[TimeTracker] Could not save focus mode:", e);
+      }
+    },
+    [t],
+  );
+
+  const myTimer = memberId ? timeData[memberId] : null;
+  const focusElapsedMs = getActiveMs(myTimer, now);
+
+  const completeFocusBlock = useCallback(async () => {
+    const active = timeData[memberId];
+    if (active?.activeStart == null || !active.focusBlock) return;
+    focusStoppingRef.current = true;
+    const { workMs, breakMs } = focusDurations;
+    // Worked time past the block end, e.g. while the popup was closed
+    const overrunMs = getActiveMs(active, Date.now()) - workMs;
+    try {
+      // activeStart is moved past pauses, so this ends the block at exactly
+      // workMs of worked time
+      await stopTimer(t, null, "", new Date(active.activeStart + workMs), true);
+      const message =
+        breakMs > 0
+          ? `Fokusøkten er ferdig. Ta ${formatDuration(breakMs, true)} pause.`
+          : "Fokusøkten er ferdig.";
+      notify("Fokusøkt ferdig", message);
+      showToast({
+        type: "success",
+        message:
+          overrunMs >= 60000
+            ? `${message} Timeren ble stoppet ved slutten av økten, så ${formatDuration(overrunMs, true)} etter den er ikke registrert.`
+            : message,
+      });
+      if (breakMs > 0) setBreakEndsAt(Date.now() + breakMs);
+    } catch (e) {
+      // Turn focus mode off for now so the next tick does not try again
+      setFocusMode(false);
+      showError(e, completeFocusBlock);
+    }
+    await refreshData();
+    await touchBadges();
+    focusStoppingRef.current = false;
+  }, [
+    t,
+    focusDurations,
     timeData,
+    memberId,
     refreshData,
     touchBadges,
+    showToast,
+    showError,
   ]);
 
-  const handleManualAdd = useCallback(async () => {
-    const ms = parseDuration(manualInput);
-    const targets = getTargetMembers();
-    if (ms > 0 && targets.length > 0) {
+  useEffect(() => {
+    if (!focusMode || !myTimer?.focusBlock || focusStoppingRef.current) return;
+    if (focusElapsedMs >= focusDurations.workMs) completeFocusBlock();
+  }, [
+    focusMode,
+    myTimer?.focusBlock,
+    focusElapsedMs,
+    focusDurations,
+    completeFocusBlock,
+  ]);
+
+  useEffect(() => {
+    if (breakEndsAt == null) return;
+    // Starting the next block ends the break early
+    if (myTimer?.activeStart != null) {
+      setBreakEndsAt(null);
+      return;
+    }
+    if (now < breakEndsAt) return;
+    setBreakEndsAt(null);
+    notify("Pausen er over", "Klar for neste fokusøkt?");
+    showToast({ type: "info", message: "Pausen er over." });
+  }, [breakEndsAt, now, myTimer, showToast]);
+
+  // Adjustments are not idempotent: on failure, retry only the targets that
+  // have not been saved yet.
+  const saveAdjustment = useCallback(
+    async (targets, deltaMs, dateStr, note) => {
       setSaving(true);
-      for (const target of targets) {
-        await adjustTime(t, ms, manualDate || undefined, target);
+      let remaining = targets;
+      try {
+        for (const target of targets) {
+          await adjustTime(t, deltaMs, dateStr, target, note);
+          remaining = remaining.slice(1);
+        }
+        setManualInput("");
+        setManualNote("");
+      } catch (e) {
+        showError(e, () => saveAdjustment(remaining, deltaMs, dateStr, note));
       }
       await refreshData();
       await touchBadges();
-      setManualInput("");
       setSaving(false);
+    },
+    [t, refreshData, touchBadges, showError],
+  );
+
+  const handleManualAdd = useCallback(async () => {
+    const ms = parseDuration(manualInput);
+    const targets = getTargetMembers();
+    if (ms > 0 && targets.length > 0) {
+      await saveAdjustment(targets, ms, manualDate || undefined, manualNote);
     }
-  }, [t, manualInput, manualDate, getTargetMembers, refreshData, touchBadges]);
+  }, [manualInput, manualDate, manualNote, getTargetMembers, saveAdjustment]);
 
   const handleManualSubtract = useCallback(async () => {
     const ms = parseDuration(manualInput);
     const targets = getTargetMembers();
     if (ms > 0 && targets.length > 0) {
+      await saveAdjustment(targets, -ms, manualDate || undefined, manualNote);
+    }
+  }, [manualInput, manualDate, manualNote, getTargetMembers, saveAdjustment]);
+
+  // ── Forgotten timers: running longer than the max session length ──
+  const handleCapOverdue = useCallback(
+    async (overdue, endAt) => {
       setSaving(true);
-      for (const target of targets) {
-        await adjustTime(t, -ms, manualDate || undefined, target);
+      try {
+        const target =
+          overdue.id === memberId
+            ? null
+            : { id: overdue.id, fullName: overdue.name };
+        await stopTimer(t, target, "", endAt);
+      } catch (e) {
+        showError(e, () => handleCapOverdue(overdue, endAt));
       }
       await refreshData();
       await touchBadges();
-      setManualInput("");
       setSaving(false);
+    },
+    [t, memberId, refreshData, touchBadges, showError],
+  );
+
+  // ── Entry log actions ──
+  const afterEntryChange = useCallback(async () => {
+    setEditing(null);
+    await refreshEntries();
+    await refreshData();
+    await touchBadges();
+  }, [refreshEntries, refreshData, touchBadges]);
+
+  const handleSaveEntry = useCallback(async () => {
+    if (!editing) return;
+    // An emptied datetime field would make toISOString() throw
+    const fields =
+      editing.mode === "edit" ? [editing.start, editing.end] : [editing.split];
+    if (fields.some((v) => !v || Number.isNaN(new Date(v).getTime()))) {
+      showToast({ type: "error", message: "Fyll inn gyldig dato og tid." });
+      return;
     }
-  }, [t, manualInput, manualDate, getTargetMembers, refreshData, touchBadges]);
+    setSaving(true);
+    try {
+      if (editing.mode === "edit") {
+        await updateTimeEntry(
+          t,
+          editing.id,
+          new Date(editing.start).toISOString(),
+          new Date(editing.end).toISOString(),
+        );
+      } else {
+        await splitTimeEntry(
+          t,
+          editing.id,
+          new Date(editing.split).toISOString(),
+        );
+      }
+      await afterEntryChange();
+    } catch (e) {
+      showError(e, handleSaveEntry);
+    }
+    setSaving(false);
+  }, [t, editing, afterEntryChange, showToast, showError]);
+
+  const handleToggleBillable = useCallback(
+    async (entry) => {
+      setSaving(true);
+      try {
+        await setTimeEntryBillable(t, entry.id, entry.billable === false);
+      } catch (e) {
+        showError(e, () => handleToggleBillable(entry));
+      }
+      await refreshEntries();
+      setSaving(false);
+    },
+    [t, refreshEntries, showError],
+  );
+
+  const handleDeleteEntry = useCallback(
+    async (entry) => {
+      const ok = confirm(
+        `Slette økten for ${entry.member_name || entry.member_id} (${formatDuration(entry.duration_ms, true)})?`,
+      );
+      if (!ok) return;
+      const undo = async (batchId) => {
+        setSaving(true);
+        try {
+          await restoreDeletedBatch(batchId);
+          await afterEntryChange();
+        } catch (e) {
+          showError(e, () => undo(batchId));
+        }
+        setSaving(false);
+      };
+      const remove = async () => {
+        setSaving(true);
+        try {
+          const { batchId } = await deleteTimeEntry(t, entry.id);
+          await afterEntryChange();
+          showToast({
+            type: "success",
+            message: "Økten er slettet.",
+            action: { label: "Angre", onClick: () => undo(batchId) },
+          });
+        } catch (e) {
+          showError(e, remove);
+        }
+        setSaving(false);
+      };
+      await remove();
+    },
+    [t, afterEntryChange, showToast, showError],
+  );
 
   if (loading) {
     return <div style={styles.center}>Laster...</div>;
@@ -234,12 +645,33 @@ export default function TimerApp({ t }) {
       name: d.name || id,
       total: getTotalWithActive(d),
       active: d.activeStart != null,
+      paused: d.pausedAt != null,
+      pending: d.pending === true,
     }))
     .filter((m) => m.total > 0 || m.active)
     .sort((a, b) => b.total - a.total);
 
   const grandTotal = members.reduce((s, m) => s + m.total, 0);
 
+  const overdueTimers = maxSessionMs
+    ? Object.entries(timeData)
+        .filter(
+          ([id, d]) =>
+            (canEditOthers || id === memberId) &&
+            d.activeStart != null &&
+            getActiveMs(d, now) > maxSessionMs &&
+            !dismissedOverdue.includes(`${id}:${d.activeStart}`),
+        )
+        .map(([id, d]) => ({
+          id,
+          name: d.name || id,
+          activeStart: d.activeStart,
+          sessionMs: getActiveMs(d, now),
+          // activeStart is moved past pauses, so this caps the worked time
+          capAt: new Date(d.activeStart + maxSessionMs),
+        }))
+    : [];
+
   const getToggleLabel = () => {
     if (saving) return "...";
     if (selectedMembers.length === 0) return "▶ Start";
@@ -273,7 +705,7 @@ export default function TimerApp({ t }) {
               <span>Meg selv</span>
             </label>
             {boardMembers
-              .filter((m) => m.id !== memberId)
+              .filter((m) => canEditOthers && m.id !== memberId)
               .map((m) => (
                 <label key={m.id} style={styles.memberCheckbox}>
                   <input
@@ -287,7 +719,7 @@ export default function TimerApp({ t }) {
                 </label>
               ))}
           </div>
-          {boardMembers.length > 1 && (
+          {canEditOthers && boardMembers.length > 1 && (
             <div style={styles.selectAllRow}>
               <button
                 style={styles.selectAllBtn}
@@ -328,10 +760,46 @@ export default function TimerApp({ t }) {
           >
             {getToggleLabel()}
           </button>
+          {allSelectedRunning && (
+            <button
+              onClick={handlePauseToggle}
+              disabled={saving}
+              style={styles.pauseBtn}
+            >
+              {allSelectedPaused ? "▶ Fortsett" : "⏸ Pause"}
+            </button>
+          )}
           <div style={styles.myTotal}>
             Din totale tid:{" "}
             <strong>{formatDuration(displayTotal, true)}</strong>
           </div>
+          <label style={styles.focusToggle}>
+            <input
+              type="checkbox"
+              checked={focusMode}
+              onChange={(e) => handleFocusMode(e.target.checked)}
+              style={{ margin: 0 }}
+            />
+            Fokusmodus ({Math.round(focusDurations.workMs / 60000)}/
+            {Math.round(focusDurations.breakMs / 60000)} min)
+          </label>
+          {focusMode && (
+            <div style={styles.focusStatus}>
+              {myTimer?.activeStart != null
+                ? myTimer.focusBlock
+                  ? `🍅 ${formatTimer(focusDurations.workMs - focusElapsedMs)} igjen av økten`
+                  : "Timeren ble ikke startet som en fokusøkt og stoppes ikke av seg selv"
+                : breakEndsAt != null
+                  ? `☕ Pause, ${formatTimer(breakEndsAt - now)} igjen`
+                  : "Start timeren for å begynne en fokusøkt"}
+              {myTimer?.focusBlocks > 0 && (
+                <div>
+                  Fullførte fokusøkter her:{" "}
+                  <strong>{myTimer.focusBlocks}</strong>
+                </div>
+              )}
+            </div>
+          )}
         </div>
 
         {/* RIGHT: Manual registration */}
@@ -382,9 +850,151 @@ export default function TimerApp({ t }) {
               />
             </div>
           </div>
+          <div style={{ marginTop: 6 }}>
+            <span style={styles.label}>Notat</span>
+            <input
+              type="text"
+              placeholder="Valgfritt"
+              value={manualNote}
+              onChange={(e) => setManualNote(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") handleManualAdd();
+              }}
+              style={{ ...styles.dateInput, marginTop: 4 }}
+              disabled={saving}
+            />
+          </div>
         </div>
       </div>
 
+      {/* ── Notice: timer writes not yet saved to the server (outbox) ── */}
+      {pendingOps.length > 0 && (
+        <div style={styles.pendingNotice}>
+          ⟳{" "}
+          {pendingOps.length === 1
+            ? "1 endring"
+            : `${pendingOps.length} endringer`}{" "}
+          er ikke synkronisert ennå. Tidspunktet du klikket er tatt vare på, og
+          vi prøver igjen automatisk.
+          <button
+            style={{ ...styles.logBtn, marginLeft: 8 }}
+            disabled={saving}
+            onClick={() =>
+              syncOutbox({ force: true }).then(() => refreshData())
+            }
+          >
+            Prøv nå
+          </button>
+        </div>
+      )}
+
+      {/* ── Notice: queued timer writes that were refused and dropped ── */}
+      {failedOps.length > 0 && (
+        <div role="alert" style={styles.failedNotice}>
+          {failedOps.length === 1
+            ? "En endring kunne ikke lagres og ble forkastet:"
+            : `${failedOps.length} endringer kunne ikke lagres og ble forkastet:`}
+          <ul style={styles.failedList}>
+            {failedOps.map((op) => (
+              <li key={op.id}>
+                {OP_LABELS[op.type] || op.type} for {op.payload.memberName} på «
+                {op.payload.cardName}» (
+                {formatDateTime(
+                  op.payload.clickedAt || op.payload.startedAt || op.payload.at,
+                )}
+                ): {op.message}
+              </li>
+            ))}
+          </ul>
+          <button
+            style={styles.noticeClose}
+            onClick={dismissFailedOps}
+            title="Lukk"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* ── Notice: timers stopped on other cards (single active timer mode) ── */}
+      {switchNotice.length > 0 && (
+        <div style={styles.switchNotice}>
+          {switchNotice.map((n, i) => (
+            <div key={i}>
+              Stoppet timeren til <strong>{n.memberName}</strong> på «
+              {n.cardName}».
+            </div>
+          ))}
+          <button
+            style={styles.noticeClose}
+            onClick={() => setSwitchNotice([])}
+            title="Lukk"
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {/* ── Warning: timers running past the max session length ── */}
+      {overdueTimers.map((o) => {
+        const keepValue =
+          keepUntil[o.id] ?? toDateTimeInput(o.capAt.toISOString());
+        return (
+          <div key={o.id} style={styles.overdueBox}>
+            <div>
+              ⚠ Timeren for <strong>{o.name}</strong>
+              {o.id === memberId ? " (deg)" : ""} har gått i{" "}
+              {formatDuration(o.sessionMs, true)} (maks{" "}
+              {formatDuration(maxSessionMs, true)}).
+            </div>
+            <div style={styles.overdueActions}>
+              <label style={styles.label}>
+                Behold til{" "}
+                <input
+                  type="datetime-local"
+                  value={keepValue}
+                  min={toDateTimeInput(new Date(o.activeStart).toISOString())}
+                  onChange={(e) =>
+                    setKeepUntil((prev) => ({
+                      ...prev,
+                      [o.id]: e.target.value,
+                    }))
+                  }
+                  style={styles.editInput}
+                />
+              </label>
+              <button
+                style={styles.logBtnSave}
+                disabled={saving || !keepValue}
+                onClick={() => handleCapOverdue(o, new Date(keepValue))}
+              >
+                Stopp her
+              </button>
+              <button
+                style={styles.logBtnRed}
+                disabled={saving}
+                onClick={() => handleCapOverdue(o, o.capAt)}
+                title={`Registrer ${formatDuration(maxSessionMs, true)} og forkast resten`}
+              >
+                Forkast overtid
+              </button>
+              <button
+                style={styles.logBtn}
+                disabled={saving}
+                onClick={() =>
+                  setDismissedOverdue((prev) => [
+                    ...prev,
+                    `${o.id}:${o.activeStart}`,
+                  ])
+                }
+              >
+                La gå
+              </button>
+            </div>
+          </div>
+        );
+      })}
+
       {/* ── Table: Per-person breakdown (full width) ── */}
       {members.length > 0 && (
         <div style={styles.tableSection}>
@@ -401,7 +1011,16 @@ export default function TimerApp({ t }) {
                   <td style={styles.td}>
                     {m.name}
                     {m.id === memberId ? " (deg)" : ""}
-                    {m.active ? " 🟢" : ""}
+                    {m.paused ? " ⏸" : m.active ? " 🟢" : ""}
+                    {m.pending && (
+                      <span
+                        style={styles.pendingMark}
+                        title="Ikke synkronisert ennå"
+                      >
+                        {" "}
+                        ⟳
+                      </span>
+                    )}
                   </td>
                   <td
                     style={{
@@ -411,7 +1030,11 @@ export default function TimerApp({ t }) {
                       fontWeight: 600,
                     }}
                   >
-                    {m.active ? (
+                    {m.paused ? (
+                      <span style={styles.pausedTimeText}>
+                        {formatDuration(m.total, false)}
+                      </span>
+                    ) : m.active ? (
                       <span style={styles.activeTimeText}>
                         {formatDuration(m.total, false)}
                       </span>
@@ -451,6 +1074,261 @@ export default function TimerApp({ t }) {
           </table>
         </div>
       )}
+
+      {/* ── Entry log: one row per time_entries row ── */}
+      <div style={styles.logSection}>
+        <button
+          onClick={() => {
+            setShowLog((v) => !v);
+            setEditing(null);
+          }}
+          style={styles.logToggle}
+        >
+          {showLog ? "▾" : "▸"} Logg
+        </button>
+        {showLog &&
+          (entries.length === 0 ? (
+            <div style={styles.logEmpty}>Ingen registrerte økter.</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>Person</th>
+                  <th style={styles.th}>Start</th>
+                  <th style={styles.th}>Slutt</th>
+                  <th style={{ ...styles.th, textAlign: "right" }}>Tid</th>
+                  <th
+                    style={{ ...styles.th, textAlign: "center" }}
+                    title="Fakturerbar"
+                  >
+                    Fakt.
+                  </th>
+                  <th style={styles.th}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((e) => {
+                  // Manual adjustments have started_at === ended_at
+                  const isManual = e.started_at === e.ended_at;
+                  const isEditing = editing?.id === e.id;
+                  const locked = !canEditOthers && e.member_id !== memberId;
+                  return (
+                    <React.Fragment key={e.id}>
+                      <tr>
+                        <td style={styles.td}>
+                          {e.member_name || e.member_id}
+                          {e.member_id === memberId ? " (deg)" : ""}
+                          {e.focus_block && <span title="Fokusøkt"> 🍅</span>}
+                          {e.note && (
+                            <div style={styles.noteText}>{e.note}</div>
+                          )}
+                        </td>
+                        <td style={styles.tdSmall}>
+                          {isManual ? (
+                            <span style={styles.manualTag}>Manuell</span>
+                          ) : (
+                            formatDateTime(e.started_at)
+                          )}
+                        </td>
+                        <td style={styles.tdSmall}>
+                          {isManual
+                            ? formatDateTime(e.ended_at).slice(0, 5)
+                            : formatDateTime(e.ended_at)}
+                        </td>
+                        <td
+                          style={{
+                            ...styles.td,
+                            textAlign: "right",
+                            fontFamily: "monospace",
+                            color: e.duration_ms < 0 ? "#EB5A46" : "#172B4D",
+                          }}
+                        >
+                          {e.duration_ms < 0 ? "−" : ""}
+                          {formatDuration(Math.abs(e.duration_ms), true)}
+                        </td>
+                        <td style={{ ...styles.td, textAlign: "center" }}>
+                          <input
+                            type="checkbox"
+                            checked={e.billable !== false}
+                            onChange={() => handleToggleBillable(e)}
+                            disabled={saving || locked}
+                            title="Fakturerbar"
+                            style={{ margin: 0 }}
+                          />
+                        </td>
+                        <td style={{ ...styles.td, whiteSpace: "nowrap" }}>
+                          {!isManual && !locked && (
+                            <>
+                              <button
+                                style={styles.logBtn}
+                                disabled={saving}
+                                title="Endre start/slutt"
+                                onClick={() =>
+                                  setEditing({
+                                    id: e.id,
+                                    mode: "edit",
+                                    start: toDateTimeInput(e.started_at),
+                                    end: toDateTimeInput(e.ended_at),
+                                  })
+                                }
+                              >
+                                Endre
+                              </button>
+                              <button
+                                style={styles.logBtn}
+                                disabled={saving}
+                                title="Del økten i to"
+                                onClick={() =>
+                                  setEditing({
+                                    id: e.id,
+                                    mode: "split",
+                                    start: e.started_at,
+                                    end: e.ended_at,
+                                    split: toDateTimeInput(
+                                      new Date(
+                                        (new Date(e.started_at).getTime() +
+                                          new Date(e.ended_at).getTime()) /
+                                          2,
+                                      ).toISOString(),
+                                    ),
+                                  })
+                                }
+                              >
+                                Del
+                              </button>
+                            </>
+                          )}
+                          {!locked && (
+                            <button
+                              style={styles.logBtnRed}
+                              disabled={saving}
+                              title="Slett økten"
+                              onClick={() => handleDeleteEntry(e)}
+                            >
+                              ✕
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {isEditing && (
+                        <tr>
+                          <td colSpan={6} style={styles.editTd}>
+                            {editing.mode === "edit" ? (
+                              <>
+                                <label style={styles.label}>
+                                  Start{" "}
+                                  <input
+                                    type="datetime-local"
+                                    value={editing.start}
+                                    onChange={(ev) =>
+                                      setEditing({
+                                        ...editing,
+                                        start: ev.target.value,
+                                      })
+                                    }
+                                    style={styles.editInput}
+                                  />
+                                </label>
+                                <label style={styles.label}>
+                                  Slutt{" "}
+                                  <input
+                                    type="datetime-local"
+                                    value={editing.end}
+                                    onChange={(ev) =>
+                                      setEditing({
+                                        ...editing,
+                                        end: ev.target.value,
+                                      })
+                                    }
+                                    style={styles.editInput}
+                                  />
+                                </label>
+                              </>
+                            ) : (
+                              <label style={styles.label}>
+                                Del ved{" "}
+                                <input
+                                  type="datetime-local"
+                                  value={editing.split}
+                                  min={toDateTimeInput(editing.start)}
+                                  max={toDateTimeInput(editing.end)}
+                                  onChange={(ev) =>
+                                    setEditing({
+                                      ...editing,
+                                      split: ev.target.value,
+                                    })
+                                  }
+                                  style={styles.editInput}
+                                />
+                              </label>
+                            )}
+                            <button
+                              style={styles.logBtnSave}
+                              disabled={saving}
+                              onClick={handleSaveEntry}
+                            >
+                              Lagre
+                            </button>
+                            <button
+                              style={styles.logBtn}
+                              disabled={saving}
+                              onClick={() => setEditing(null)}
+                            >
+                              Avbryt
+                            </button>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+          ))}
+      </div>
+
+      {/* ── Stop prompt: optional note for the session ── */}
+      {stopPrompt && (
+        <div style={styles.overlay}>
+          <div style={styles.dialog}>
+            <div style={styles.sectionTitle}>Hva gjorde du?</div>
+            <input
+              type="text"
+              autoFocus
+              placeholder="Valgfritt notat"
+              value={stopNote}
+              onChange={(e) => setStopNote(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") handleStop(stopNote);
+                if (e.key === "Escape") setStopPrompt(false);
+              }}
+              style={styles.dateInput}
+            />
+            <div style={styles.dialogButtons}>
+              <button
+                onClick={() => setStopPrompt(false)}
+                style={styles.selectAllBtn}
+              >
+                Avbryt
+              </button>
+              <button
+                onClick={() => handleStop("")}
+                style={styles.selectAllBtn}
+              >
+                Hopp over
+              </button>
+              <button
+                onClick={() => handleStop(stopNote)}
+                style={styles.dialogStopBtn}
+              >
+                ⏹ Stopp
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
     </div>
   );
 }
@@ -502,7 +1380,33 @@ const styles = {
     cursor: "pointer",
     marginBottom: 8,
   },
+  pauseBtn: {
+    border: "1px solid #DFE1E6",
+    borderRadius: 6,
+    backgroundColor: "#fff",
+    color: "#172B4D",
+    fontSize: 13,
+    fontWeight: 600,
+    padding: "6px 20px",
+    cursor: "pointer",
+    marginBottom: 8,
+  },
   myTotal: { fontSize: 13, color: "#5E6C84", marginTop: 4 },
+  focusToggle: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    fontSize: 12,
+    color: "#5E6C84",
+    marginTop: 8,
+    cursor: "pointer",
+  },
+  focusStatus: {
+    fontSize: 12,
+    color: "#172B4D",
+    marginTop: 4,
+    lineHeight: 1.5,
+  },
 
   /* ── Section titles ── */
   sectionTitle: {
@@ -626,6 +1530,182 @@ const styles = {
     borderBottom: "1px dashed #61BD4F",
     paddingBottom: 1,
   },
+  pausedTimeText: {
+    color: "#974F0C",
+    borderBottom: "1px dashed #F2D600",
+    paddingBottom: 1,
+  },
+
+  /* ── Auto-switch notice ── */
+  switchNotice: {
+    position: "relative",
+    marginTop: 8,
+    padding: "8px 28px 8px 10px",
+    backgroundColor: "#E4F0F6",
+    border: "1px solid #0079BF",
+    borderRadius: 4,
+    fontSize: 13,
+    color: "#172B4D",
+  },
+  pendingNotice: {
+    marginTop: 8,
+    padding: "8px 10px",
+    backgroundColor: "#FFFAE6",
+    border: "1px solid #FFAB00",
+    borderRadius: 4,
+    fontSize: 13,
+    color: "#172B4D",
+  },
+  pendingMark: { color: "#974F0C" },
+  failedNotice: {
+    position: "relative",
+    marginTop: 8,
+    padding: "8px 28px 8px 10px",
+    backgroundColor: "#FFEBE6",
+    border: "1px solid #DE350B",
+    borderRadius: 4,
+    fontSize: 13,
+    color: "#172B4D",
+  },
+  failedList: { margin: "4px 0 0", paddingLeft: 18 },
+  noticeClose: {
+    position: "absolute",
+    top: 4,
+    right: 4,
+    border: "none",
+    backgroundColor: "transparent",
+    color: "#5E6C84",
+    cursor: "pointer",
+    fontSize: 12,
+  },
+
+  /* ── Overdue timer warning ── */
+  overdueBox: {
+    marginTop: 8,
+    padding: "8px 10px",
+    backgroundColor: "#FFF7E6",
+    border: "1px solid #FF9F1A",
+    borderRadius: 4,
+    fontSize: 13,
+    color: "#172B4D",
+  },
+  overdueActions: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 4,
+    marginTop: 6,
+  },
+
+  /* ── Entry log ── */
+  logSection: {
+    marginTop: 12,
+    borderTop: "1px solid #DFE1E6",
+    paddingTop: 8,
+  },
+  logToggle: {
+    padding: "2px 0",
+    border: "none",
+    backgroundColor: "transparent",
+    fontSize: 12,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    cursor: "pointer",
+    marginBottom: 4,
+  },
+  logEmpty: { fontSize: 12, color: "#8993A4", padding: "4px 0" },
+  tdSmall: {
+    padding: "5px 6px",
+    fontSize: 12,
+    color: "#5E6C84",
+    borderBottom: "1px solid #F4F5F7",
+    whiteSpace: "nowrap",
+  },
+  manualTag: { fontStyle: "italic", color: "#8993A4" },
+  logBtn: {
+    padding: "2px 6px",
+    marginLeft: 4,
+    fontSize: 11,
+    border: "1px solid #DFE1E6",
+    borderRadius: 3,
+    backgroundColor: "#FAFBFC",
+    color: "#5E6C84",
+    cursor: "pointer",
+  },
+  logBtnRed: {
+    padding: "2px 6px",
+    marginLeft: 4,
+    fontSize: 11,
+    border: "1px solid #DFE1E6",
+    borderRadius: 3,
+    backgroundColor: "#FAFBFC",
+    color: "#EB5A46",
+    cursor: "pointer",
+  },
+  logBtnSave: {
+    padding: "2px 8px",
+    marginLeft: 4,
+    fontSize: 11,
+    border: "none",
+    borderRadius: 3,
+    backgroundColor: "#0079BF",
+    color: "#fff",
+    fontWeight: 600,
+    cursor: "pointer",
+  },
+  editTd: {
+    padding: "6px",
+    backgroundColor: "#F4F5F7",
+    display: "table-cell",
+  },
+  editInput: {
+    padding: "3px 6px",
+    marginRight: 8,
+    border: "1px solid #DFE1E6",
+    borderRadius: 3,
+    fontSize: 12,
+  },
+
+  noteText: { fontSize: 11, color: "#5E6C84", fontStyle: "italic" },
+
+  /* ── Stop prompt ── */
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.4)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+  dialog: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 16,
+    width: "80%",
+    maxWidth: 360,
+    boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+  },
+  dialogButtons: {
+    display: "flex",
+    justifyContent: "flex-end",
+    gap: 6,
+    marginTop: 12,
+  },
+  dialogStopBtn: {
+    padding: "4px 12px",
+    border: "none",
+    borderRadius: 3,
+    backgroundColor: "#EB5A46",
+    color: "#fff",
+    fontSize: 12,
+    fontWeight: 600,
+    cursor: "pointer",
+  },
 
   selectAllRow: {
     display: "flex",
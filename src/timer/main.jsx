@@ -2,6 +2,8 @@ import React, { useState, useEffect } from "react";
 import { createRoot } from "react-dom/client";
 import TimerApp from "./TimerApp.jsx";
 import EstimateCardApp from "../estimate-card/EstimateCardApp.jsx";
+import AuthGate from "../components/AuthGate.jsx";
+import { TRELLO_APP } from "../utils/auth.js";
 
 function TimerPage({ t }) {
   const [activeTab, setActiveTab] = useState("timer");
@@ -78,6 +80,10 @@ const styles = {
   },
 };
 
-const t = window.TrelloPowerUp.iframe();
+const t = window.TrelloPowerUp.iframe(TRELLO_APP);
 const root = createRoot(document.getElementById("root"));
-root.render(<TimerPage t={t} />);
+root.render(
+  <AuthGate t={t}>
+    <TimerPage t={t} />
+  </AuthGate>,
+);
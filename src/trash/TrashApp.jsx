@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  getDeletedBatches,
+  restoreDeletedBatch,
+  purgeDeletedBatch,
+} from "../utils/storage.js";
+import { formatDuration, formatDateTime } from "../utils/time.js";
+import Toast, { useToast } from "../components/Toast.jsx";
+import { useBoardChanges } from "../utils/realtime.js";
+
+/**
+ * TrashApp – "Papirkurv" tab for board admins: time removed by card resets,
+ * entry deletions and rolled back imports, which can be restored or deleted
+ * permanently.
+ */
+
+const KIND_LABELS = {
+  reset: "Tilbakestilt kort",
+  entry: "Slettet økt",
+  import: "Rullet tilbake import",
+};
+
+const cardLabel = (batch) =>
+  batch.multipleCards ? "flere kort" : batch.cardName || batch.cardId;
+
+export default function TrashApp({ t }) {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [confirmPurge, setConfirmPurge] = useState(null); // batch
+  const { toast, showToast, showError, dismissToast } = useToast();
+  const requestRef = useRef(0);
+
+  const load = useCallback(async () => {
+    const request = ++requestRef.current;
+    try {
+      const result = await getDeletedBatches(t);
+      if (request === requestRef.current) setBatches(result);
+    } catch (e) {
+      if (request === requestRef.current) showError(e, load);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [t, showError]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useBoardChanges(t, { onChanges: load, onPoll: load });
+
+  const handleRestore = useCallback(
+    async (batch) => {
+      setBusyId(batch.batchId);
+      try {
+        await restoreDeletedBatch(batch.batchId);
+        showToast({
+          type: "success",
+          message: batch.multipleCards
+            ? "Tiden er gjenopprettet."
+            : `Tiden på «${cardLabel(batch)}» er gjenopprettet.`,
+        });
+        // Signal Trello to refresh card badges
+        t.set("board", "shared", "lastUpdate", Date.now()).catch(() => {});
+      } catch (e) {
+        showError(e, () => handleRestore(batch));
+      }
+      setBusyId(null);
+      await load();
+    },
+    [t, load, showToast, showError],
+  );
+
+  const handlePurge = useCallback(
+    async (batch) => {
+      setConfirmPurge(null);
+      setBusyId(batch.batchId);
+      try {
+        await purgeDeletedBatch(batch.batchId);
+      } catch (e) {
+        showError(e, () => handlePurge(batch));
+      }
+      setBusyId(null);
+      await load();
+    },
+    [load, showError],
+  );
+
+  if (loading) return <div style={styles.center}>Laster…</div>;
+
+  return (
+    <div>
+      {batches.length === 0 ? (
+        <div style={styles.empty}>Papirkurven er tom.</div>
+      ) : (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Slettet</th>
+              <th style={styles.th}>Av</th>
+              <th style={styles.th}>Kort</th>
+              <th style={styles.th}>Type</th>
+              <th style={styles.th}>Personer</th>
+              <th style={styles.thRight}>Tid</th>
+              <th style={styles.th}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.map((batch) => (
+              <tr key={batch.batchId}>
+                <td style={styles.tdNowrap}>
+                  {formatDateTime(batch.deletedAt)}
+                </td>
+                <td style={styles.td}>
+                  {batch.deletedByName || batch.deletedBy || "–"}
+                </td>
+                <td style={styles.td}>
+                  {batch.multipleCards ? "Flere kort" : cardLabel(batch)}
+                </td>
+                <td style={styles.tdNowrap}>
+                  {KIND_LABELS[batch.kind] || batch.kind}
+                  {batch.entryCount > 1 && ` (${batch.entryCount} økter)`}
+                </td>
+                <td style={styles.td}>{batch.memberNames.join(", ")}</td>
+                <td style={styles.tdRight}>
+                  {formatDuration(batch.totalMs, true)}
+                </td>
+                <td style={styles.tdActions}>
+                  <button
+                    style={styles.restoreBtn}
+                    disabled={busyId === batch.batchId}
+                    onClick={() => handleRestore(batch)}
+                  >
+                    Gjenopprett
+                  </button>
+                  <button
+                    style={styles.purgeBtn}
+                    disabled={busyId === batch.batchId}
+                    onClick={() => setConfirmPurge(batch)}
+                  >
+                    Slett permanent
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {/* Purge confirmation dialog */}
+      {confirmPurge && (
+        <div style={styles.overlay}>
+          <div style={styles.dialog}>
+            <p style={styles.dialogText}>
+              Slette {formatDuration(confirmPurge.totalMs, true)} på{" "}
+              <strong>{cardLabel(confirmPurge)}</strong> permanent? Dette kan
+              ikke angres.
+            </p>
+            <div style={styles.dialogButtons}>
+              <button
+                onClick={() => setConfirmPurge(null)}
+                style={styles.dialogCancel}
+              >
+                Avbryt
+              </button>
+              <button
+                onClick={() => handlePurge(confirmPurge)}
+                style={styles.dialogConfirm}
+              >
+                Slett permanent
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <Toast toast={toast} onDismiss={dismissToast} />
+    </div>
+  );
+}
+
+const styles = {
+  center: { textAlign: "center", padding: 16, color: "#5E6C84" },
+  empty: {
+    textAlign: "center",
+    padding: 32,
+    color: "#5E6C84",
+    fontSize: 15,
+  },
+
+  // Table
+  table: { width: "100%", borderCollapse: "collapse" },
+  th: {
+    textAlign: "left",
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "8px 10px",
+    borderBottom: "2px solid #DFE1E6",
+    whiteSpace: "nowrap",
+  },
+  thRight: {
+    textAlign: "right",
+    fontSize: 11,
+    fontWeight: 600,
+    color: "#5E6C84",
+    textTransform: "uppercase",
+    padding: "8px 10px",
+    borderBottom: "2px solid #DFE1E6",
+    whiteSpace: "nowrap",
+  },
+  td: {
+    padding: "8px 10px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+    verticalAlign: "top",
+  },
+  tdNowrap: {
+    padding: "8px 10px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+    verticalAlign: "top",
+    whiteSpace: "nowrap",
+  },
+  tdRight: {
+    padding: "8px 10px",
+    fontSize: 13,
+    borderBottom: "1px solid #F4F5F7",
+    color: "#172B4D",
+    verticalAlign: "top",
+    textAlign: "right",
+    whiteSpace: "nowrap",
+  },
+  tdActions: {
+    padding: "6px 10px",
+    borderBottom: "1px solid #F4F5F7",
+    textAlign: "right",
+    whiteSpace: "nowrap",
+  },
+  restoreBtn: {
+    padding: "4px 10px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    color: "#172B4D",
+    marginRight: 6,
+  },
+  purgeBtn: {
+    padding: "4px 10px",
+    border: "1px solid #FFBDAD",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 12,
+    color: "#DE350B",
+  },
+
+  // Dialog
+  overlay: {
+    position: "fixed",
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    zIndex: 1000,
+  },
+  dialog: {
+    backgroundColor: "#fff",
+    borderRadius: 8,
+    padding: 24,
+    maxWidth: 400,
+    width: "90%",
+    boxShadow: "0 8px 24px rgba(0,0,0,0.2)",
+  },
+  dialogText: {
+    fontSize: 15,
+    color: "#172B4D",
+    margin: "0 0 16px 0",
+    lineHeight: 1.5,
+  },
+  dialogButtons: { display: "flex", justifyContent: "flex-end", gap: 8 },
+  dialogCancel: {
+    padding: "8px 16px",
+    border: "1px solid #DFE1E6",
+    borderRadius: 4,
+    backgroundColor: "#fff",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#172B4D",
+  },
+  dialogConfirm: {
+    padding: "8px 16px",
+    border: "none",
+    borderRadius: 4,
+    backgroundColor: "#EB5A46",
+    cursor: "pointer",
+    fontSize: 14,
+    color: "#fff",
+    fontWeight: 600,
+  },
+};
@@ -0,0 +1,116 @@
+/**
+ * audit.js – Append-only change log for tracked time and estimates.
+ *
+ * Every write in storage.js and estimateStorage.js records one row per
+ * affected member in audit_log:
+ *   { board_id, card_id, card_name, actor_id, actor_name, target_member_id,
+ *     target_member_name, action, before, after, created_at }
+ * before/after are JSON snapshots of the values that changed (null when the
+ * row was created or removed). actor_id and actor_name are filled in by the
+ * database from the JWT (see README), so nobody can log a change in someone
+ * else's name, and the table has no update or delete policies.
+ *
+ * Rows are written after the change itself succeeded. A failed log write is
+ * reported but does not reject: retrying would repeat the change. Timer
+ * operations replayed from the outbox are the exception: their row id is the
+ * op id, so they pass { required: true } and the whole operation is retried
+ * until the row is written.
+ */
+
+import { supabase } from "./supabase.js";
+import { fetchRowsPage } from "./pagination.js";
+
+/** Norwegian label per action, used by the Endringslogg view */
+export const AUDIT_ACTIONS = {
+  timer_start: "Startet timer",
+  timer_stop: "Stoppet timer",
+  timer_pause: "Satte timer på pause",
+  timer_resume: "Fortsatte timer",
+  time_add: "La til tid",
+  time_subtract: "Trakk fra tid",
+  entry_update: "Endret oppføring",
+  entry_split: "Delte oppføring",
+  entry_billable: "Endret fakturerbar",
+  entry_delete: "Slettet oppføring",
+  card_reset: "Tilbakestilte tid",
+  time_restore: "Gjenopprettet tid",
+  time_purge: "Slettet permanent",
+  time_import: "Importerte tid",
+  import_rollback: "Rullet tilbake import",
+  estimate_set: "Satte estimat",
+  estimate_remove: "Fjernet estimat",
+  period_lock: "Låste periode",
+  period_unlock: "Åpnet periode",
+};
+
+/**
+ * Append one or more rows to the audit log.
+ * @param {object|Array<{
+ *   id?: string,            // set for replayed writes so a retry is not logged twice
+ *   boardId: string,
+ *   cardId?: string,
+ *   cardName?: string,
+ *   memberId?: string|null, // member whose time/estimate changed (null = card-level)
+ *   memberName?: string|null,
+ *   action: string,         // key of AUDIT_ACTIONS
+ *   before?: object|null,
+ *   after?: object|null,
+ * }>} entries
+ * @param {{ required?: boolean }} [options] – required: reject instead of
+ *   only logging when the row could not be written
+ */
+export async function recordAudit(entries, { required = false } = {}) {
+  const rows = (Array.isArray(entries) ? entries : [entries]).map((e) => ({
+    ...(e.id ? { id: e.id } : {}),
+    board_id: e.boardId,
+    card_id: e.cardId ?? null,
+    card_name: e.cardName ?? null,
+    target_member_id: e.memberId ?? null,
+    target_member_name: e.memberName ?? null,
+    action: e.action,
+    before: e.before ?? null,
+    after: e.after ?? null,
+  }));
+  if (rows.length === 0) return;
+
+  const { error } = await supabase.from("audit_log").insert(rows);
+  // 23505: already logged by an earlier attempt of the same outbox operation
+  if (error && error.code !== "23505") {
+    console.error("[TimeTracker] recordAudit error:", error);
+    if (required) throw error;
+  }
+}
+
+/**
+ * Read the audit log for the board, newest first, one page at a time.
+ * @param {object} t
+ * @param {{ memberId?: string, cardId?: string }} [filters]
+ *   memberId matches both the person who made the change and the person
+ *   whose time was changed
+ * @param {{ page?: number, pageSize?: number }} [paging]
+ * @returns {Promise<{ rows: Array, hasMore: boolean }>}
+ */
+export async function getAuditLog(t, filters = {}, paging) {
+  const board = await t.board("id");
+
+  return fetchRowsPage(
+    (from, to) => {
+      let query = supabase
+        .from("audit_log")
+        .select("*")
+        .eq("board_id", board.id);
+      if (filters.cardId) query = query.eq("card_id", filters.cardId);
+      if (filters.memberId) {
+        query = query.or(
+          `actor_id.eq.${filters.memberId},target_member_id.eq.${filters.memberId}`,
+        );
+      }
+      return query
+        .order("created_at", { ascending: false })
+        .order("id")
+        .range(from, to);
+    },
+    "getAuditLog",
+    paging,
+  );
+}
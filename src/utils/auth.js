@@ -0,0 +1,238 @@
+/**
+ * auth.js – Board-scoped Supabase tokens derived from the Trello member.
+ *
+ * The RLS policies (see README) only let a request touch rows whose board_id
+ * matches the `board_id` claim of its JWT. To get one, the iframe asks Trello
+ * for the member's REST token (t.getRestApi(), authorized once per member)
+ * and sends it with the board id to the trello-auth edge function. The
+ * function checks with Trello that the token's member belongs to the board
+ * and returns a short-lived Supabase JWT with these claims:
+ *
+ *   sub         – Trello member id
+ *   board_id    – Trello board id
+ *   board_role  – membership type on the board ("admin", "normal", "observer");
+ *                 observers can read but the RLS policies refuse their writes
+ *
+ * Tokens are cached per board in localStorage under "ttAuth:<boardId>". Every
+ * Power-Up iframe is on the same origin, so the popups, the report and the
+ * badges in connector.js share them.
+ */
+
+import {
+  setAccessTokenProvider,
+  supabase,
+  supabaseKey,
+  supabaseUrl,
+} from "./supabase.js";
+import { StorageError } from "./errors.js";
+
+// Options for TrelloPowerUp.iframe(); getRestApi() needs the app key
+export const TRELLO_APP = {
+  appKey: import.meta.env.VITE_TRELLO_APP_KEY,
+  appName: "Time Tracker",
+};
+
+const CACHE_PREFIX = "ttAuth:";
+// Fetch a new token this long before the old one expires
+const REFRESH_MARGIN_MS = 60000;
+
+let context = null; // { t, boardId }
+let pending = null; // in-flight token exchange
+
+// ---------------------------------------------------------------------------
+// Token cache
+// ---------------------------------------------------------------------------
+
+function readCache(boardId) {
+  try {
+    const cached = JSON.parse(localStorage.getItem(CACHE_PREFIX + boardId));
+    if (cached && cached.expiresAt - REFRESH_MARGIN_MS > Date.now()) {
+      return cached;
+    }
+  } catch {
+    // corrupt entry, fetch a new token
+  }
+  return null;
+}
+
+function writeCache(boardId, session) {
+  try {
+    localStorage.setItem(CACHE_PREFIX + boardId, JSON.stringify(session));
+  } catch (e) {
+    console.error("[TimeTracker] auth cache write error:", e);
+  }
+}
+
+function clearCache(boardId) {
+  localStorage.removeItem(CACHE_PREFIX + boardId);
+}
+
+// ---------------------------------------------------------------------------
+// Token exchange
+// ---------------------------------------------------------------------------
+
+async function exchangeToken({ t, boardId }) {
+  const trelloToken = await t.getRestApi().getToken();
+  if (!trelloToken) {
+    throw new StorageError(
+      "permission",
+      "Power-Upen har ikke tilgang til Trello. Velg «Koble til Trello».",
+      {
+        operation: "auth",
+      },
+    );
+  }
+
+  let res;
+  try {
+    res = await fetch(`${supabaseUrl}/functions/v1/trello-auth`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        apikey: supabaseKey,
+        Authorization: `Bearer ${supabaseKey}`,
+      },
+      body: JSON.stringify({ boardId, trelloToken }),
+    });
+  } catch (e) {
+    throw new StorageError("network", e.message, {
+      operation: "auth",
+      cause: e,
+    });
+  }
+
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    // Revoked or expired Trello token: ask the member to connect again
+    if (body.error === "trello_token_invalid") {
+      await t.getRestApi().clearToken();
+    }
+    throw new StorageError(
+      res.status === 401 || res.status === 403 ? "permission" : "unknown",
+      body.error || `trello-auth ${res.status}`,
+      { operation: "auth" },
+    );
+  }
+
+  const session = { token: body.token, expiresAt: body.expiresAt };
+  writeCache(boardId, session);
+  return session;
+}
+
+/**
+ * A valid token for the current board, exchanging a new one if needed.
+ * Rejects with a StorageError when no token can be had.
+ */
+async function requestToken() {
+  if (!context) return null;
+  const cached = readCache(context.boardId);
+  if (cached) return cached.token;
+
+  if (!pending) {
+    pending = exchangeToken(context).finally(() => {
+      pending = null;
+    });
+  }
+  return (await pending).token;
+}
+
+// Used by the Supabase client; failures fall back to the anon key
+async function getAccessToken() {
+  try {
+    return await requestToken();
+  } catch (e) {
+    console.error("[TimeTracker] auth error:", e);
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Bind Supabase requests to the iframe's board and fetch a token.
+ * @param {object} t – Trello Power-Up iframe context
+ * @returns {Promise<boolean>} false if the member has not given the
+ *   Power-Up access to Trello yet (call authorizeTrello from a click)
+ */
+export async function initAuth(t) {
+  const board = await t.board("id");
+  context = { t, boardId: board.id };
+  setAccessTokenProvider(getAccessToken);
+
+  if (!(await t.getRestApi().isAuthorized())) return false;
+  await requestToken();
+  // Realtime reads the token through the provider from now on
+  await supabase.realtime.setAuth();
+  return true;
+}
+
+/**
+ * Ask the member to give the Power-Up read access to Trello. Opens a Trello
+ * popup, so it must be called from a click handler.
+ * @param {object} t
+ */
+export async function authorizeTrello(t) {
+  await t.getRestApi().authorize({ scope: "read", expiration: "never" });
+  const board = await t.board("id");
+  clearCache(board.id);
+}
+
+/**
+ * Board the client is currently authenticated for, or null before initAuth.
+ * @returns {string|null}
+ */
+export function getAuthBoardId() {
+  return context?.boardId ?? null;
+}
+
+/**
+ * Trello iframe context passed to initAuth, for code that is only given ids
+ * (e.g. the permission checks in storage functions such as
+ * resetCardTimeById). null before initAuth.
+ * @returns {object|null}
+ */
+export function getAuthTrello() {
+  return context?.t ?? null;
+}
+
+/**
+ * Claims of the current board token, for permission checks in the UI and
+ * storage layer. These checks only refuse early with a readable error; what
+ * the database accepts is decided by the RLS policies and triggers in the
+ * README, which read the same claims from the JWT.
+ * @returns {{ memberId: string, memberName: string, boardId: string,
+ *   boardRole: string } | null} null before initAuth or without a token
+ */
+export function getAuthClaims() {
+  if (!context) return null;
+  try {
+    // Claims do not change when the token is refreshed, so expiry is ignored
+    const { token } = JSON.parse(
+      localStorage.getItem(CACHE_PREFIX + context.boardId),
+    );
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    const claims = JSON.parse(
+      new TextDecoder().decode(
+        Uint8Array.from(atob(payload), (c) => c.charCodeAt(0)),
+      ),
+    );
+    return {
+      memberId: claims.sub,
+      memberName: claims.member_name,
+      boardId: claims.board_id,
+      boardRole: claims.board_role,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True if the signed-in member is an admin of the board.
+ * @returns {boolean}
+ */
+export function isBoardAdmin() {
+  return getAuthClaims()?.boardRole === "admin";
+}
@@ -0,0 +1,379 @@
+/**
+ * csvImport.js – Read time entries from CSV exports of other tools.
+ *
+ * Pure functions for the import wizard (ImportApp): parse the file, guess
+ * which column holds what, and turn every row into an entry for
+ * importTimeEntries() or a reason why it cannot be imported. Nothing here
+ * writes to the database, so the preview is a real dry run.
+ * markDuplicates flags rows that repeat a session already on the board
+ * (looked up with findExistingSessions) or earlier in the file.
+ *
+ * A row needs a card and either a start and end, a start and a duration, or
+ * a date and a duration. Rows with only a date are stored like manual
+ * adjustments (at noon, started_at = ended_at). Without a person column,
+ * every row is imported for the member running the import.
+ */
+
+/** Fields the columns can be mapped to, with Norwegian labels */
+export const IMPORT_FIELDS = {
+  card: "Kort (navn, ID eller lenke)",
+  member: "Person (navn, brukernavn eller ID)",
+  date: "Dato",
+  start: "Start",
+  end: "Slutt",
+  hours: "Varighet (timer eller t:mm)",
+  note: "Notat",
+  billable: "Fakturerbar",
+};
+
+// Header names used by this app's own exports, Toggl, Harvest and
+// Clockify, best match first
+const HEADER_GUESSES = {
+  card: ["kort", "card", "oppgave", "task", "prosjekt", "project"],
+  // No "email": Trello does not share members' addresses with Power-Ups, so
+  // an e-mail column could never be matched (Toggl and Clockify have "User")
+  member: ["person", "bruker", "user", "member"],
+  date: ["dato", "date", "start date", "spent date"],
+  start: ["start", "start time", "starttid", "fra", "from"],
+  end: ["slutt", "end", "end time", "stop", "sluttid", "til", "to"],
+  hours: [
+    "timer",
+    "hours",
+    "duration (decimal)",
+    "duration (h)",
+    "duration",
+    "varighet",
+  ],
+  note: ["notat", "note", "notes", "description", "beskrivelse", "kommentar"],
+  billable: ["fakturerbar", "billable", "billable?"],
+};
+
+/**
+ * Parse CSV text. The separator (";", "," or tab) is taken from the header
+ * line; quoted fields may contain separators, quotes ("") and line breaks.
+ * @param {string} text
+ * @returns {{ headers: string[], rows: string[][] }} rows without the header,
+ *   blank lines skipped
+ */
+export function parseCSV(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const separator = detectSeparator(source);
+  const lines = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      fields.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      fields.push(field);
+      lines.push(fields);
+      fields = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || fields.length > 0) {
+    fields.push(field);
+    lines.push(fields);
+  }
+
+  const nonEmpty = lines.filter((l) => l.some((f) => f.trim() !== ""));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers: headers.map((h) => h.trim()), rows };
+}
+
+// The candidate that occurs most often in the first line, outside quotes
+function detectSeparator(text) {
+  const counts = { ";": 0, ",": 0, "\t": 0 };
+  let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === "\n" || ch === "\r")) break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+}
+
+/**
+ * Suggest a column for every field from the header names.
+ * @param {string[]} headers
+ * @returns {Object<string, number|null>} field -> column index
+ */
+export function guessMapping(headers) {
+  const normalized = headers.map((h) => h.trim().toLowerCase());
+  const used = new Set();
+  const mapping = {};
+  for (const [field, names] of Object.entries(HEADER_GUESSES)) {
+    mapping[field] = null;
+    for (const name of names) {
+      const index = normalized.findIndex((h, i) => !used.has(i) && h === name);
+      if (index !== -1) {
+        mapping[field] = index;
+        used.add(index);
+        break;
+      }
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Match every row to a card and a member and work out its times.
+ * @param {{ headers: string[], rows: string[][] }} parsed – from parseCSV
+ * @param {Object<string, number|null>} mapping – field -> column index
+ * @param {{
+ *   cards: Array<{ id: string, name: string, shortLink?: string }>,  // t.cards
+ *   members: Array<{ id: string, fullName: string, username?: string }>,
+ *   currentMember: { id: string, fullName: string },
+ * }} board
+ * @returns {Array<{ line: number, values: string[], error: string|null,
+ *   cardId, cardName, memberId, memberName, startedAt: number,
+ *   endedAt: number, durationMs: number, note: string|null,
+ *   billable: boolean }>} line is the line number in the file (header = 1)
+ */
+export function prepareImportRows(parsed, mapping, board) {
+  const findCard = cardMatcher(board.cards);
+  const findMember = memberMatcher(board.members);
+
+  return parsed.rows.map((values, index) => {
+    const get = (field) =>
+      mapping[field] == null ? "" : (values[mapping[field]] ?? "").trim();
+    const row = { line: index + 2, values, error: null };
+    try {
+      const card = findCard(get("card"));
+      const member =
+        mapping.member == null
+          ? board.currentMember
+          : findMember(get("member"));
+      const times = parseTimes(
+        get("date"),
+        get("start"),
+        get("end"),
+        get("hours"),
+      );
+      return {
+        ...row,
+        cardId: card.id,
+        cardName: card.name,
+        memberId: member.id,
+        memberName: member.fullName,
+        ...times,
+        note: get("note") || null,
+        billable: parseBillable(get("billable")),
+      };
+    } catch (e) {
+      if (!(e instanceof RowError)) throw e;
+      return { ...row, error: e.message };
+    }
+  });
+}
+
+/**
+ * Key that identifies a session for duplicate checks: member, start and end.
+ * @param {string} memberId
+ * @param {number|string} startedAt – ms or ISO timestamp
+ * @param {number|string} endedAt
+ * @returns {string}
+ */
+export function sessionKey(memberId, startedAt, endedAt) {
+  return `${memberId}|${new Date(startedAt).getTime()}|${new Date(endedAt).getTime()}`;
+}
+
+/**
+ * Flag rows that are probably in the board already: the same member, start
+ * and end as an existing entry (e.g. the file was imported before) or as an
+ * earlier row in the file.
+ * @param {Array<object>} rows – from prepareImportRows
+ * @param {Map<string, { imported: boolean }>} existing – from
+ *   findExistingSessions in storage.js
+ * @returns {Array<object>} the rows with `duplicate`: the reason shown in the
+ *   preview, or null
+ */
+export function markDuplicates(rows, existing) {
+  const seen = new Map(); // sessionKey -> line
+  return rows.map((row) => {
+    if (row.error) return row;
+    const key = sessionKey(row.memberId, row.startedAt, row.endedAt);
+    const match = existing.get(key);
+    let duplicate = null;
+    if (match) {
+      duplicate = match.imported
+        ? "Finnes fra en tidligere import"
+        : "Finnes allerede på tavla";
+    } else if (seen.has(key)) {
+      duplicate = `Samme økt som linje ${seen.get(key)}`;
+    } else {
+      seen.set(key, row.line);
+    }
+    return { ...row, duplicate };
+  });
+}
+
+// A row that cannot be imported; the message is shown in the preview
+class RowError extends Error {}
+
+function cardMatcher(cards) {
+  const byName = new Map();
+  for (const card of cards) {
+    const key = card.name.trim().toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), card]);
+  }
+  return (value) => {
+    if (!value) throw new RowError("Mangler kort");
+    // Trello card links: https://trello.com/c/<shortLink>/...
+    const link = value.match(/trello\.com\/c\/([A-Za-z0-9]+)/);
+    const id = link ? link[1] : value;
+    const byId = cards.find((c) => c.id === id || c.shortLink === id);
+    if (byId) return byId;
+    const named = byName.get(value.toLowerCase()) || [];
+    if (named.length > 1) {
+      throw new RowError(`Flere kort heter «${value}» – bruk kort-ID`);
+    }
+    if (named.length === 0) throw new RowError(`Fant ikke kortet «${value}»`);
+    return named[0];
+  };
+}
+
+function memberMatcher(members) {
+  return (value) => {
+    if (!value) throw new RowError("Mangler person");
+    const key = value.toLowerCase().replace(/^@/, "");
+    const member = members.find(
+      (m) =>
+        m.id === value ||
+        m.username?.toLowerCase() === key ||
+        m.fullName?.toLowerCase() === key,
+    );
+    if (!member) throw new RowError(`Fant ikke «${value}» på tavla`);
+    return member;
+  };
+}
+
+function parseTimes(dateStr, startStr, endStr, hoursStr) {
+  const date = dateStr ? parseDate(dateStr) : null;
+  if (dateStr && !date) throw new RowError(`Ukjent datoformat «${dateStr}»`);
+
+  const start = startStr ? parseMoment(startStr, date) : null;
+  const end = endStr ? parseMoment(endStr, date || start?.date) : null;
+  const hoursMs = hoursStr ? parseHours(hoursStr) : null;
+  if (hoursStr && hoursMs === null) {
+    throw new RowError(`Ukjent varighet «${hoursStr}»`);
+  }
+
+  if (start && end) {
+    let endMs = end.ms;
+    // "22:00"–"01:30" on the same date runs past midnight
+    if (endMs <= start.ms && !end.hasDate) endMs += 24 * 3600000;
+    const spanMs = endMs - start.ms;
+    if (spanMs <= 0) throw new RowError("Slutt er før start");
+    return {
+      startedAt: start.ms,
+      endedAt: endMs,
+      // A duration next to start/end leaves out breaks (e.g. paused time)
+      durationMs: hoursMs != null ? Math.min(hoursMs, spanMs) : spanMs,
+    };
+  }
+  if (hoursMs === null) {
+    throw new RowError("Mangler tid (start og slutt, eller varighet)");
+  }
+  if (hoursMs <= 0) throw new RowError("Varigheten må være over null");
+  if (start) {
+    return {
+      startedAt: start.ms,
+      endedAt: start.ms + hoursMs,
+      durationMs: hoursMs,
+    };
+  }
+  if (!date) throw new RowError("Mangler dato eller start");
+  // Same as a manual adjustment for that date (see adjustTime)
+  const noon = new Date(date.y, date.m - 1, date.d, 12).getTime();
+  return { startedAt: noon, endedAt: noon, durationMs: hoursMs };
+}
+
+// 2025-03-14 or 14.03.2025, optionally followed by a time
+const DATE_PREFIX =
+  /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\.\d{1,2}\.\d{4})(?=$|[ T])/;
+
+// The date at the start of a value, or null (a time after it is ignored here)
+function parseDate(value) {
+  const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?=$|[ T])/);
+  const nb = value.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?=$|[ T])/);
+  const [y, m, d] = iso
+    ? [iso[1], iso[2], iso[3]]
+    : nb
+      ? [nb[3], nb[2], nb[1]]
+      : [];
+  if (!y) return null;
+  const parsed = { y: Number(y), m: Number(m), d: Number(d) };
+  const check = new Date(parsed.y, parsed.m - 1, parsed.d);
+  return check.getMonth() === parsed.m - 1 ? parsed : null;
+}
+
+/**
+ * A start or end: a full timestamp (ISO 8601 with offset, or a date and a
+ * time in local time) or just a time on the row's date.
+ * @returns {{ ms: number, hasDate: boolean, date: object }}
+ */
+function parseMoment(value, fallbackDate) {
+  if (/\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+    const ms = Date.parse(value);
+    if (!Number.isNaN(ms)) {
+      return { ms, hasDate: true, date: parseDate(value) };
+    }
+  }
+  const ownDate = parseDate(value);
+  const timePart = ownDate
+    ? value.replace(DATE_PREFIX, "").replace(/^[ T]/, "")
+    : value;
+  const time = timePart.match(/^(\d{1,2})[:.](\d{2})(?::(\d{2}))?$/);
+  const date = ownDate || fallbackDate;
+  if (!time || !date || Number(time[1]) > 23 || Number(time[2]) > 59) {
+    throw new RowError(`Ukjent tidspunkt «${value}»`);
+  }
+  const ms = new Date(
+    date.y,
+    date.m - 1,
+    date.d,
+    Number(time[1]),
+    Number(time[2]),
+    Number(time[3] || 0),
+  ).getTime();
+  return { ms, hasDate: Boolean(ownDate), date };
+}
+
+// "1,5", "1.5", "1:30" or "01:30:00" -> milliseconds; null if unreadable
+function parseHours(value) {
+  const clock = value.match(/^(\d+):(\d{2})(?::(\d{2}))?$/);
+  if (clock) {
+    return (
+      (Number(clock[1]) * 3600 +
+        Number(clock[2]) * 60 +
+        Number(clock[3] || 0)) *
+      1000
+    );
+  }
+  const number = Number(value.replace(/\s/g, "").replace(",", "."));
+  return Number.isFinite(number) ? Math.round(number * 3600000) : null;
+}
+
+// Empty counts as billable, like entries created in the app
+function parseBillable(value) {
+  return !["nei", "no", "false", "0", "n"].includes(value.toLowerCase());
+}
@@ -0,0 +1,125 @@
+/**
+ * errors.js – Error contract for the storage modules.
+ *
+ * Functions in storage.js and estimateStorage.js resolve with their documented
+ * value on success and reject with a StorageError on failure. `kind` tells the
+ * UI what went wrong without having to understand Supabase error codes:
+ *
+ *   network     – Supabase could not be reached (retrying may help)
+ *   permission  – the request was refused (RLS, expired key, 401/403)
+ *   conflict    – the row changed or already exists (unique/foreign key, 409)
+ *   validation  – the input was rejected before anything was written
+ *   unknown     – anything else
+ */
+
+export const ERROR_KINDS = [
+  "network",
+  "permission",
+  "conflict",
+  "validation",
+  "unknown",
+];
+
+export class StorageError extends Error {
+  /**
+   * @param {"network"|"permission"|"conflict"|"validation"|"unknown"} kind
+   * @param {string} message
+   * @param {{ operation?: string, cause?: any }} [details]
+   */
+  constructor(kind, message, { operation, cause } = {}) {
+    super(message);
+    this.name = "StorageError";
+    this.kind = kind;
+    this.operation = operation || null;
+    this.cause = cause;
+  }
+}
+
+// Postgres / PostgREST codes grouped by kind
+const PERMISSION_CODES = ["42501", "PGRST301", "PGRST302", "401", "403"];
+const CONFLICT_CODES = ["23505", "23503", "40001", "409"];
+
+/**
+ * True for errors caused by the connection rather than the request itself.
+ * supabase-js reports fetch failures as an error with an empty code.
+ */
+export function isNetworkError(error) {
+  if (error instanceof StorageError) return error.kind === "network";
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return true;
+  }
+  const message = String(error?.message || error || "");
+  return /failed to fetch|networkerror|load failed|network request failed|timeout/i.test(
+    message,
+  );
+}
+
+/**
+ * Classify a Supabase (or fetch) error.
+ * @param {any} error
+ * @returns {"network"|"permission"|"conflict"|"unknown"}
+ */
+export function classifyError(error) {
+  if (isNetworkError(error)) return "network";
+  const code = String(error?.code ?? error?.status ?? "");
+  const message = String(error?.message || "");
+  if (
+    PERMISSION_CODES.includes(code) ||
+    /permission denied|row-level security|jwt/i.test(message)
+  ) {
+    return "permission";
+  }
+  if (CONFLICT_CODES.includes(code)) return "conflict";
+  return "unknown";
+}
+
+/**
+ * Wrap any error as a StorageError (StorageErrors pass through unchanged).
+ * @param {any} error
+ * @param {string} operation – Function name, used in logs
+ * @returns {StorageError}
+ */
+export function toStorageError(error, operation) {
+  if (error instanceof StorageError) return error;
+  return new StorageError(
+    classifyError(error),
+    error?.message || String(error),
+    { operation, cause: error },
+  );
+}
+
+/**
+ * Log and throw if a Supabase call returned an error.
+ * @param {any} error – The `error` field of a Supabase response
+ * @param {string} operation
+ */
+export function throwIfError(error, operation) {
+  if (!error) return;
+  console.error(`[TimeTracker] ${operation} error:`, error);
+  throw toStorageError(error, operation);
+}
+
+/**
+ * Norwegian message for showing an error to the user.
+ * @param {any} error
+ * @returns {string}
+ */
+export function errorMessage(error) {
+  const kind =
+    error instanceof StorageError ? error.kind : classifyError(error);
+  switch (kind) {
+    case "network":
+      return "Fikk ikke kontakt med serveren. Sjekk nettforbindelsen.";
+    case "permission":
+      // Our own checks say what is missing; refusals from Supabase do not
+      return error instanceof StorageError && !error.cause
+        ? error.message
+        : "Du har ikke tilgang til å gjøre dette.";
+    case "conflict":
+      return "Dataene ble endret av noen andre. Last inn på nytt og prøv igjen.";
+    case "validation":
+      return error.message;
+    default:
+      return "Noe gikk galt under lagring.";
+  }
+}
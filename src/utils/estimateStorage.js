@@ -16,9 +16,21 @@
  *
  * GRACE PERIOD: If estimate is changed within 2 minutes of last update,
  * it's treated as a correction (overwrite, no history log).
+ *
+ * Every change is also recorded in audit_log (see audit.js), grace period or not.
+ * Changing other members' or card-level estimates needs the changeEstimates
+ * permission (see permissions.js).
+ *
+ * ERRORS: functions reject with a StorageError (see errors.js) on failure.
  */
 
 import { supabase } from "./supabase.js";
+import { throwIfError } from "./errors.js";
+import { fetchAllRows } from "./pagination.js";
+import { recordAudit } from "./audit.js";
+import { assertPermission } from "./permissions.js";
+import { getTimerWorkedMs } from "./time.js";
+import { trackRows } from "./realtime.js";
 
 // Grace period in milliseconds (2 minutes)
 const GRACE_PERIOD_MS = 2 * 60 * 1000;
@@ -44,20 +56,19 @@ export async function getCardEstimates(t) {
     .select("id, member_id, member_name, estimated_ms, updated_at")
     .eq("card_id", card.id);
 
-  if (error) {
-    console.error("[TimeTracker] getCardEstimates error:", error);
-    return result;
-  }
+  throwIfError(error, "getCardEstimates");
+  trackRows("time_estimates", estimates);
 
   if (!estimates || estimates.length === 0) return result;
 
   // Fetch history for all estimates on this card to find original values
   const estimateIds = estimates.map((e) => e.id);
-  const { data: history } = await supabase
+  const { data: history, error: historyError } = await supabase
     .from("estimate_history")
     .select("estimate_id, previous_ms, changed_at")
     .in("estimate_id", estimateIds)
     .order("changed_at", { ascending: true });
+  throwIfError(historyError, "getCardEstimates");
 
   // Build a map of estimate_id → first previous_ms (= original estimate)
   const originalMap = {};
@@ -94,16 +105,26 @@ export async function getCardEstimates(t) {
  */
 export async function setEstimate(t, estimatedMs, targetMember, reason) {
   const member = targetMember || (await t.member("id", "fullName"));
-  const card = await t.card("id");
+  await assertPermission("changeEstimates", { t, memberIds: [member.id] });
+  const card = await t.card("id", "name");
   const board = await t.board("id");
+  const audit = {
+    boardId: board.id,
+    cardId: card.id,
+    cardName: card.name,
+    memberId: member.id,
+    memberName: member.fullName,
+    action: "estimate_set",
+  };
 
   // Check if estimate already exists
-  const { data: existing } = await supabase
+  const { data: existing, error: fetchError } = await supabase
     .from("time_estimates")
     .select("id, estimated_ms, updated_at")
     .eq("card_id", card.id)
     .eq("member_id", member.id)
     .maybeSingle();
+  throwIfError(fetchError, "setEstimate");
 
   if (existing) {
     // Only act if value actually changed
@@ -115,16 +136,19 @@ export async function setEstimate(t, estimatedMs, targetMember, reason) {
 
       if (!withinGrace) {
         // Log the change to history
-        await supabase.from("estimate_history").insert({
-          estimate_id: existing.id,
-          board_id: board.id,
-          card_id: card.id,
-          member_id: member.id,
-          member_name: member.fullName,
-          previous_ms: existing.estimated_ms,
-          new_ms: estimatedMs,
-          reason: reason || null,
-        });
+        const { error: historyError } = await supabase
+          .from("estimate_history")
+          .insert({
+            estimate_id: existing.id,
+            board_id: board.id,
+            card_id: card.id,
+            member_id: member.id,
+            member_name: member.fullName,
+            previous_ms: existing.estimated_ms,
+            new_ms: estimatedMs,
+            reason: reason || null,
+          });
+        throwIfError(historyError, "setEstimate");
       }
 
       // Update existing estimate
@@ -137,8 +161,12 @@ export async function setEstimate(t, estimatedMs, targetMember, reason) {
         })
         .eq("id", existing.id);
 
-      if (error)
-        console.error("[TimeTracker] setEstimate update error:", error);
+      throwIfError(error, "setEstimate");
+      await recordAudit({
+        ...audit,
+        before: { estimatedMs: existing.estimated_ms },
+        after: { estimatedMs, reason: reason || null },
+      });
     }
   } else {
     // Insert new estimate
@@ -150,7 +178,8 @@ export async function setEstimate(t, estimatedMs, targetMember, reason) {
       estimated_ms: estimatedMs,
     });
 
-    if (error) console.error("[TimeTracker] setEstimate insert error:", error);
+    throwIfError(error, "setEstimate");
+    await recordAudit({ ...audit, after: { estimatedMs } });
   }
 }
 
@@ -163,16 +192,25 @@ export async function setEstimate(t, estimatedMs, targetMember, reason) {
  * @param {string} [reason] – Optional reason for re-estimation
  */
 export async function setCardEstimate(t, estimatedMs, reason) {
-  const card = await t.card("id");
+  await assertPermission("changeEstimates", { t });
+  const card = await t.card("id", "name");
   const board = await t.board("id");
+  const audit = {
+    boardId: board.id,
+    cardId: card.id,
+    cardName: card.name,
+    memberId: null,
+    action: "estimate_set",
+  };
 
   // Check if card-level estimate already exists
-  const { data: existing } = await supabase
+  const { data: existing, error: fetchError } = await supabase
     .from("time_estimates")
     .select("id, estimated_ms, updated_at")
     .eq("card_id", card.id)
     .is("member_id", null)
     .maybeSingle();
+  throwIfError(fetchError, "setCardEstimate");
 
   if (existing) {
     // Only act if value actually changed
@@ -183,16 +221,19 @@ export async function setCardEstimate(t, estimatedMs, reason) {
 
       if (!withinGrace) {
         // Log the change to history
-        await supabase.from("estimate_history").insert({
-          estimate_id: existing.id,
-          board_id: board.id,
-          card_id: card.id,
-          member_id: null,
-          member_name: null,
-          previous_ms: existing.estimated_ms,
-          new_ms: estimatedMs,
-          reason: reason || null,
-        });
+        const { error: historyError } = await supabase
+          .from("estimate_history")
+          .insert({
+            estimate_id: existing.id,
+            board_id: board.id,
+            card_id: card.id,
+            member_id: null,
+            member_name: null,
+            previous_ms: existing.estimated_ms,
+            new_ms: estimatedMs,
+            reason: reason || null,
+          });
+        throwIfError(historyError, "setCardEstimate");
       }
 
       // Update existing estimate
@@ -204,8 +245,12 @@ export async function setCardEstimate(t, estimatedMs, reason) {
         })
         .eq("id", existing.id);
 
-      if (error)
-        console.error("[TimeTracker] setCardEstimate update error:", error);
+      throwIfError(error, "setCardEstimate");
+      await recordAudit({
+        ...audit,
+        before: { estimatedMs: existing.estimated_ms },
+        after: { estimatedMs, reason: reason || null },
+      });
     }
   } else {
     // Insert new card-level estimate
@@ -217,8 +262,8 @@ export async function setCardEstimate(t, estimatedMs, reason) {
       estimated_ms: estimatedMs,
     });
 
-    if (error)
-      console.error("[TimeTracker] setCardEstimate insert error:", error);
+    throwIfError(error, "setCardEstimate");
+    await recordAudit({ ...audit, after: { estimatedMs } });
   }
 }
 
@@ -229,15 +274,28 @@ export async function setCardEstimate(t, estimatedMs, reason) {
  */
 export async function removeEstimate(t, targetMember) {
   const member = targetMember || (await t.member("id"));
-  const card = await t.card("id");
+  await assertPermission("changeEstimates", { t, memberIds: [member.id] });
+  const card = await t.card("id", "name");
 
-  const { error } = await supabase
+  const { data: removed, error } = await supabase
     .from("time_estimates")
     .delete()
     .eq("card_id", card.id)
-    .eq("member_id", member.id);
-
-  if (error) console.error("[TimeTracker] removeEstimate error:", error);
+    .eq("member_id", member.id)
+    .select("board_id, member_name, estimated_ms");
+
+  throwIfError(error, "removeEstimate");
+  await recordAudit(
+    (removed || []).map((est) => ({
+      boardId: est.board_id,
+      cardId: card.id,
+      cardName: card.name,
+      memberId: member.id,
+      memberName: est.member_name,
+      action: "estimate_remove",
+      before: { estimatedMs: est.estimated_ms },
+    })),
+  );
 }
 
 /**
@@ -245,15 +303,27 @@ export async function removeEstimate(t, targetMember) {
  * @param {object} t – Trello Power-Up iframe context
  */
 export async function removeCardEstimate(t) {
-  const card = await t.card("id");
+  await assertPermission("changeEstimates", { t });
+  const card = await t.card("id", "name");
 
-  const { error } = await supabase
+  const { data: removed, error } = await supabase
     .from("time_estimates")
     .delete()
     .eq("card_id", card.id)
-    .is("member_id", null);
-
-  if (error) console.error("[TimeTracker] removeCardEstimate error:", error);
+    .is("member_id", null)
+    .select("board_id, estimated_ms");
+
+  throwIfError(error, "removeCardEstimate");
+  await recordAudit(
+    (removed || []).map((est) => ({
+      boardId: est.board_id,
+      cardId: card.id,
+      cardName: card.name,
+      memberId: null,
+      action: "estimate_remove",
+      before: { estimatedMs: est.estimated_ms },
+    })),
+  );
 }
 
 // ---------------------------------------------------------------------------
@@ -264,6 +334,9 @@ export async function removeCardEstimate(t) {
  * Fetch estimation report for the entire board.
  * Combines estimates with actual time data for comparison.
  * Gjenstående is always auto-calculated (estimated − actual).
+ * Actual time comes from the report_totals function (see README), so only
+ * totals per card and member are transferred. Sessions crossing the date
+ * filter only count the part inside it, like in getBoardTimeReport.
  *
  * @param {object} t – Trello Power-Up iframe context
  * @param {object} [filters] – { from, to } date filters for actual time
@@ -288,48 +361,63 @@ export async function getBoardEstimateReport(t, filters = {}) {
   );
 
   // 1. Fetch all estimates for this board
-  const { data: estimates, error: estError } = await supabase
-    .from("time_estimates")
-    .select("id, card_id, member_id, member_name, estimated_ms")
-    .eq("board_id", board.id);
-
-  if (estError) throw estError;
-
-  // 1b. Fetch original estimates from history
-  const estimateIds = (estimates || []).map((e) => e.id);
-  let originalMap = {};
-  if (estimateIds.length > 0) {
-    const { data: history } = await supabase
-      .from("estimate_history")
-      .select("estimate_id, previous_ms, changed_at")
-      .in("estimate_id", estimateIds)
-      .order("changed_at", { ascending: true });
-
-    for (const h of history || []) {
-      if (!originalMap[h.estimate_id]) {
-        originalMap[h.estimate_id] = h.previous_ms;
-      }
+  const estimates = await fetchAllRows(
+    (from, to) =>
+      supabase
+        .from("time_estimates")
+        .select("id, card_id, member_id, member_name, estimated_ms")
+        .eq("board_id", board.id)
+        .order("id")
+        .range(from, to),
+    "getBoardEstimateReport",
+  );
+  trackRows("time_estimates", estimates);
+
+  // 1b. Fetch original estimates from history (first change per estimate)
+  const history = estimates.length
+    ? await fetchAllRows(
+        (from, to) =>
+          supabase
+            .from("estimate_history")
+            .select("estimate_id, previous_ms, changed_at")
+            .eq("board_id", board.id)
+            .order("changed_at", { ascending: true })
+            .order("id")
+            .range(from, to),
+        "getBoardEstimateReport",
+      )
+    : [];
+  const originalMap = {};
+  for (const h of history) {
+    if (h.estimate_id && !(h.estimate_id in originalMap)) {
+      originalMap[h.estimate_id] = h.previous_ms;
     }
   }
 
-  // 2. Fetch actual time entries (with optional date filter)
-  let query = supabase
-    .from("time_entries")
-    .select("card_id, member_id, member_name, duration_ms, started_at")
-    .eq("board_id", board.id)
-    .order("started_at", { ascending: false });
-
-  if (filters.from) query = query.gte("started_at", filters.from);
-  if (filters.to) query = query.lte("started_at", filters.to);
-
-  const { data: entries, error: entError } = await query;
-  if (entError) throw entError;
+  // 2. Fetch actual time totals (with optional date filter)
+  const totals = await fetchAllRows(
+    (from, to) =>
+      supabase
+        .rpc("report_totals", {
+          p_board_id: board.id,
+          p_from: filters.from || null,
+          p_to: filters.to || null,
+        })
+        .order("card_id")
+        .order("member_id")
+        .range(from, to),
+    "getBoardEstimateReport",
+  );
 
   // 3. Fetch active timers
-  const { data: actives } = await supabase
+  const { data: actives, error: activesError } = await supabase
     .from("active_timers")
-    .select("card_id, member_id, member_name, started_at")
+    .select(
+      "id, card_id, member_id, member_name, started_at, paused_at, paused_ms",
+    )
     .eq("board_id", board.id);
+  throwIfError(activesError, "getBoardEstimateReport");
+  trackRows("active_timers", actives);
 
   // 4. Build card map with both estimate and actual data
   const cardMap = new Map();
@@ -358,13 +446,14 @@ export async function getBoardEstimateReport(t, filters = {}) {
         originalMs: null,
         actualMs: 0,
         activeStart: null,
+        pausedAt: null,
       };
     }
     return card.members[memberId];
   };
 
   // Fill in estimates
-  for (const est of estimates || []) {
+  for (const est of estimates) {
     const card = getOrCreateCard(est.card_id);
     if (est.member_id === null) {
       // Card-level estimate – store on card object directly
@@ -378,21 +467,42 @@ export async function getBoardEstimateReport(t, filters = {}) {
   }
 
   // Fill in actual time
-  for (const entry of entries || []) {
-    const card = getOrCreateCard(entry.card_id);
-    const member = getOrCreateMember(card, entry.member_id, entry.member_name);
-    member.actualMs += entry.duration_ms || 0;
+  for (const row of totals) {
+    const card = getOrCreateCard(row.card_id);
+    const member = getOrCreateMember(card, row.member_id, row.member_name);
+    member.actualMs += Number(row.total_ms) || 0;
   }
 
-  // Fill in active timers
+  // Fill in active timers, clipped to the period like getBoardTimeReport:
+  // ticking (unless paused) with the worked time so far when the period
+  // includes now, otherwise a fixed worked overlap
+  const nowMs = Date.now();
+  const fromMs = filters.from ? new Date(filters.from).getTime() : 0;
+  const toMs = filters.to ? new Date(filters.to).getTime() : Infinity;
+  const periodIncludesNow = nowMs >= fromMs && nowMs <= toMs + 60000;
+
   for (const active of actives || []) {
+    const activeStartMs = new Date(active.started_at).getTime();
+    const overlapStart = Math.max(activeStartMs, fromMs);
+    const overlapEnd = Math.min(nowMs, toMs);
+    if (overlapStart >= overlapEnd && !periodIncludesNow) continue;
+
     const card = getOrCreateCard(active.card_id);
     const member = getOrCreateMember(
       card,
       active.member_id,
       active.member_name,
     );
-    member.activeStart = new Date(active.started_at).getTime();
+    const pausedAt = active.paused_at
+      ? new Date(active.paused_at).getTime()
+      : null;
+    if (periodIncludesNow) {
+      member.activeStart =
+        (pausedAt ?? nowMs) - getTimerWorkedMs(active, fromMs, Infinity, nowMs);
+      member.pausedAt = pausedAt;
+    } else {
+      member.actualMs += getTimerWorkedMs(active, fromMs, toMs, nowMs);
+    }
   }
 
   // Only return cards that have at least one estimate (person or card-level)
@@ -417,24 +527,33 @@ export async function getEstimateHistory(cardId) {
     .eq("card_id", cardId)
     .order("changed_at", { ascending: false });
 
-  if (error) {
-    console.error("[TimeTracker] getEstimateHistory error:", error);
-    return [];
-  }
-
+  throwIfError(error, "getEstimateHistory");
   return data || [];
 }
 
 /**
  * Clear all estimates for a card.
+ * @param {object} t – Trello Power-Up iframe context
  * @param {string} cardId
  */
-export async function clearCardEstimates(cardId) {
+export async function clearCardEstimates(t, cardId) {
+  await assertPermission("changeEstimates", { t });
   // History is cascade-deleted via FK
-  const { error } = await supabase
+  const { data: removed, error } = await supabase
     .from("time_estimates")
     .delete()
-    .eq("card_id", cardId);
-
-  if (error) console.error("[TimeTracker] clearCardEstimates error:", error);
+    .eq("card_id", cardId)
+    .select("board_id, member_id, member_name, estimated_ms");
+
+  throwIfError(error, "clearCardEstimates");
+  await recordAudit(
+    (removed || []).map((est) => ({
+      boardId: est.board_id,
+      cardId,
+      memberId: est.member_id,
+      memberName: est.member_name,
+      action: "estimate_remove",
+      before: { estimatedMs: est.estimated_ms },
+    })),
+  );
 }
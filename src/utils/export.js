@@ -1,19 +1,40 @@
 /**
- * export.js – Generate CSV and JSON downloads from report data.
+ * export.js – Generate CSV, JSON, Excel and iCalendar downloads from report data.
+ *
+ * Two kinds of export:
+ *   - totals: one row per (card, member) from getBoardTimeReport
+ *     (downloadCSV / downloadJSON)
+ *   - entries: one row per session from getAllBoardTimeEntries, with the
+ *     columns, separator, decimal mark and date format chosen by the user
+ *     (downloadEntriesCSV)
+ * The Excel exports (downloadReportXLSX / downloadEstimateXLSX) put the
+ * report's current grouping, every session and the estimate report on their
+ * own sheets, with durations as numbers (see xlsx.js).
+ * The calendar export (downloadEntriesICS) turns every session into an
+ * iCalendar event, for laying tracked time next to meetings in a calendar.
  */
 
-import { formatDuration } from "./time.js";
+import { formatDuration, toDateKey } from "./time.js";
+import { getEffectiveRate, calcAmount } from "./rateStorage.js";
+import { buildWorkbook } from "./xlsx.js";
 
 /**
  * Convert report data to a flat array of rows suitable for CSV/table.
  * Each row = one (card, member) pair.
  * @param {Array} reportData – from getBoardTimeReport()
+ * @param {object} [rates] – from getBoardRates(); adds rate and amount per row
  * @returns {Array<Object>}
  */
-export function flattenReportData(reportData) {
+export function flattenReportData(reportData, rates = null) {
   const rows = [];
   for (const card of reportData) {
     for (const [memberId, mData] of Object.entries(card.timeData)) {
+      const rate = getEffectiveRate(rates, {
+        cardId: card.cardId,
+        labels: card.labels,
+        memberId,
+      });
+      const billableMs = mData.billableMs ?? mData.totalMs ?? 0;
       rows.push({
         cardName: card.cardName,
         listName: card.listName,
@@ -23,6 +44,11 @@ export function flattenReportData(reportData) {
         totalMs: mData.totalMs || 0,
         totalFormatted: formatDuration(mData.totalMs || 0),
         isActive: mData.activeStart != null,
+        notes: (mData.notes || []).join(" | "),
+        hours: (mData.totalMs || 0) / 3600000,
+        billableHours: billableMs / 3600000,
+        rate,
+        amount: calcAmount(billableMs, rate),
       });
     }
   }
@@ -31,17 +57,35 @@ export function flattenReportData(reportData) {
 
 /**
  * Download data as a CSV file.
+ * Carries both formatted time, decimal hours and (if rates are given) amounts.
  * @param {Array} reportData
  * @param {string} filename
+ * @param {object} [rates] – from getBoardRates()
  */
-export function downloadCSV(reportData, filename = "time-report.csv") {
-  const rows = flattenReportData(reportData);
+export function downloadCSV(
+  reportData,
+  filename = "time-report.csv",
+  rates = null,
+) {
+  const rows = flattenReportData(reportData, rates);
   if (rows.length === 0) {
     alert("Ingen data å eksportere.");
     return;
   }
 
-  const headers = ["Kort", "Liste", "Labels", "Person", "Tid", "Aktiv"];
+  const headers = [
+    "Kort",
+    "Liste",
+    "Labels",
+    "Person",
+    "Tid",
+    "Timer",
+    "Fakturerbare timer",
+    "Timepris",
+    "Beløp",
+    "Aktiv",
+    "Notater",
+  ];
   const csvLines = [
     headers.join(";"),
     ...rows.map((r) =>
@@ -51,7 +95,12 @@ export function downloadCSV(reportData, filename = "time-report.csv") {
         _esc(r.labels),
         _esc(r.memberName),
         _esc(r.totalFormatted),
+        _num(r.hours),
+        _num(r.billableHours),
+        _num(r.rate),
+        _num(r.amount),
         r.isActive ? "Ja" : "Nei",
+        _esc(r.notes),
       ].join(";"),
     ),
   ];
@@ -70,21 +119,388 @@ export function downloadJSON(reportData, filename = "time-report.json") {
   _downloadBlob(json, filename, "application/json");
 }
 
+// ---------------------------------------------------------------------------
+// Entry-level export
+// ---------------------------------------------------------------------------
+
+/** Columns of the entry-level export, in file order, with their headers */
+export const ENTRY_COLUMNS = {
+  date: "Dato",
+  start: "Start",
+  end: "Slutt",
+  hours: "Timer",
+  duration: "Tid",
+  member: "Person",
+  card: "Kort",
+  list: "Liste",
+  labels: "Labels",
+  note: "Notat",
+  billable: "Fakturerbar",
+  type: "Type",
+};
+
+/** Date formats for the entry-level export, with an example for the picker */
+export const ENTRY_DATE_FORMATS = {
+  iso: "ISO 8601 (2025-03-14T09:05:00+01:00)",
+  sortable: "2025-03-14 09:05",
+  nb: "14.03.2025 09:05",
+};
+
+export const DEFAULT_ENTRY_EXPORT = {
+  columns: Object.keys(ENTRY_COLUMNS).filter((c) => c !== "duration"),
+  separator: ";",
+  decimal: ",",
+  dateFormat: "iso",
+};
+
+/**
+ * Download one row per session as CSV.
+ * Manual adjustments (no start/end of their own) have an empty start and
+ * end, and a negative number of hours when time was subtracted.
+ * @param {Array} entries – from getAllBoardTimeEntries()
+ * @param {{ columns: string[], separator: ";"|","|"\t", decimal: ","|".",
+ *   dateFormat: keyof ENTRY_DATE_FORMATS }} options
+ * @param {string} filename
+ */
+export function downloadEntriesCSV(
+  entries,
+  options = DEFAULT_ENTRY_EXPORT,
+  filename = "time-entries.csv",
+) {
+  if (entries.length === 0) {
+    alert("Ingen økter å eksportere.");
+    return;
+  }
+  const { separator, decimal, dateFormat } = options;
+  // Keep the file's column order regardless of the order they were picked
+  const columns = Object.keys(ENTRY_COLUMNS).filter((c) =>
+    options.columns.includes(c),
+  );
+
+  const values = {
+    date: (e) => _date(e.startedAt, dateFormat),
+    start: (e) => (e.manual ? "" : _dateTime(e.startedAt, dateFormat)),
+    end: (e) => (e.manual ? "" : _dateTime(e.endedAt, dateFormat)),
+    hours: (e) => _num(e.durationMs / 3600000, decimal),
+    duration: (e) =>
+      (e.durationMs < 0 ? "-" : "") + formatDuration(Math.abs(e.durationMs)),
+    member: (e) => e.memberName,
+    card: (e) => e.cardName,
+    list: (e) => e.listName,
+    labels: (e) => e.labels.join(", "),
+    note: (e) => e.note,
+    billable: (e) => (e.billable ? "Ja" : "Nei"),
+    type: (e) => (e.manual ? "Manuell" : "Økt"),
+  };
+
+  const csvLines = [
+    columns.map((c) => _esc(ENTRY_COLUMNS[c], separator)).join(separator),
+    ...entries.map((e) =>
+      columns.map((c) => _esc(values[c](e), separator)).join(separator),
+    ),
+  ];
+
+  _downloadBlob(csvLines.join("\n"), filename, "text/csv;charset=utf-8;");
+}
+
+// ---------------------------------------------------------------------------
+// Excel export
+// ---------------------------------------------------------------------------
+
+const GROUP_HEADERS = { card: "Kort", person: "Person", label: "Label" };
+
+/**
+ * Download the time report as .xlsx: "Sammendrag" with one row per group as
+ * shown in the report, and "Økter" with one row per session.
+ * @param {{ rows: Array, groupBy: "card"|"person"|"label",
+ *   showAmounts?: boolean, showFocus?: boolean }} summary
+ *   rows – ReportApp's aggregated rows ({ label, sublabel, totalMs, amount,
+ *   focusBlocks, notes })
+ * @param {Array} entries – from getAllBoardTimeEntries()
+ * @param {string} filename
+ */
+export function downloadReportXLSX(
+  summary,
+  entries,
+  filename = "time-report.xlsx",
+) {
+  if (summary.rows.length === 0 && entries.length === 0) {
+    alert("Ingen data å eksportere.");
+    return;
+  }
+  _downloadWorkbook([_summarySheet(summary), _entriesSheet(entries)], filename);
+}
+
+/**
+ * Download the estimate report as .xlsx, with the columns of the estimate
+ * CSV export.
+ * @param {Array} rows – EstimateApp's aggregated rows
+ * @param {"card"|"person"|"label"} groupBy
+ * @param {string} filename
+ */
+export function downloadEstimateXLSX(
+  rows,
+  groupBy,
+  filename = "estimate-report.xlsx",
+) {
+  if (rows.length === 0) {
+    alert("Ingen data å eksportere.");
+    return;
+  }
+  _downloadWorkbook([_estimateSheet(rows, groupBy)], filename);
+}
+
+function _summarySheet({ rows, groupBy, showAmounts, showFocus }) {
+  const byCard = groupBy === "card";
+  return {
+    name: "Sammendrag",
+    columns: [
+      { header: GROUP_HEADERS[groupBy], width: 36 },
+      ...(byCard ? [{ header: "Liste", width: 20 }] : []),
+      { header: "Tid", type: "duration", total: true },
+      { header: "Timer", type: "hours", total: true },
+      ...(showAmounts
+        ? [{ header: "Beløp", type: "number", total: true }]
+        : []),
+      ...(showFocus
+        ? [{ header: "Fokusøkter", type: "integer", total: true }]
+        : []),
+      { header: "Notater", width: 50 },
+    ],
+    rows: rows.map((r) => [
+      r.label,
+      ...(byCard ? [r.sublabel || ""] : []),
+      r.totalMs,
+      r.totalMs / 3600000,
+      ...(showAmounts ? [r.amount] : []),
+      ...(showFocus ? [r.focusBlocks || 0] : []),
+      (r.notes || []).join(" | "),
+    ]),
+  };
+}
+
+function _entriesSheet(entries) {
+  return {
+    name: "Økter",
+    columns: [
+      { header: "Dato", type: "date" },
+      { header: "Start", type: "datetime" },
+      { header: "Slutt", type: "datetime" },
+      { header: "Tid", type: "duration", total: true },
+      { header: "Timer", type: "hours", total: true },
+      { header: "Person", width: 20 },
+      { header: "Kort", width: 36 },
+      { header: "Liste", width: 20 },
+      { header: "Labels", width: 20 },
+      { header: "Notat", width: 40 },
+      { header: "Fakturerbar" },
+      { header: "Type" },
+    ],
+    rows: entries.map((e) => [
+      e.startedAt,
+      e.manual ? null : e.startedAt,
+      e.manual ? null : e.endedAt,
+      e.durationMs,
+      e.durationMs / 3600000,
+      e.memberName,
+      e.cardName,
+      e.listName,
+      e.labels.join(", "),
+      e.note,
+      e.billable ? "Ja" : "Nei",
+      e.manual ? "Manuell" : "Økt",
+    ]),
+  };
+}
+
+function _estimateSheet(rows, groupBy) {
+  const byCard = groupBy === "card";
+  const pct = (value) =>
+    value === null || value === undefined ? null : value / 100;
+  return {
+    name: "Estimater",
+    columns: [
+      { header: GROUP_HEADERS[groupBy], width: 36 },
+      ...(byCard ? [{ header: "Liste", width: 20 }] : []),
+      { header: "Estimert", type: "duration", total: true },
+      { header: "Opprinnelig estimert", type: "duration", width: 20 },
+      { header: "Faktisk", type: "duration", total: true },
+      { header: "Gjenstående", type: "duration", total: true },
+      { header: "Avvik", type: "duration", total: true },
+      { header: "Avvik %", type: "percent" },
+      { header: "Estimatpresisjon", type: "percent", width: 16 },
+    ],
+    rows: rows.map((r) => [
+      r.label,
+      ...(byCard ? [r.listName || ""] : []),
+      r.estimatedMs,
+      r.originalMs,
+      r.actualMs,
+      r.remainingMs,
+      r.deviationMs,
+      pct(r.deviationPct),
+      pct(r.accuracy),
+    ]),
+  };
+}
+
+function _downloadWorkbook(sheets, filename) {
+  _downloadBlob(
+    buildWorkbook(sheets),
+    filename,
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  );
+}
+
+// ---------------------------------------------------------------------------
+// iCalendar export
+// ---------------------------------------------------------------------------
+
+/**
+ * Download sessions as an iCalendar (.ics) file, one event per session,
+ * titled with the card name. Manual adjustments have no start and end of
+ * their own and are left out.
+ * @param {Array} entries – from getAllBoardTimeEntries()
+ * @param {string} calendarName – shown by calendar apps that name imports
+ * @param {string} filename
+ */
+export function downloadEntriesICS(
+  entries,
+  calendarName,
+  filename = "time-entries.ics",
+) {
+  const sessions = entries.filter((e) => !e.manual);
+  if (sessions.length === 0) {
+    alert("Ingen økter å eksportere.");
+    return;
+  }
+  const stamp = _icsTime(Date.now());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Trello Time Tracker//NONSGML Time Tracker//NB",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${_icsText(calendarName)}`,
+    ...sessions.flatMap((e) => {
+      const description = [
+        `Person: ${e.memberName}`,
+        e.listName && `Liste: ${e.listName}`,
+        e.labels.length > 0 && `Labels: ${e.labels.join(", ")}`,
+        // Less than the span when the timer was paused
+        `Tid: ${formatDuration(e.durationMs, true)}`,
+        !e.billable && "Ikke fakturerbar",
+        e.note && `Notat: ${e.note}`,
+      ].filter(Boolean);
+      return [
+        "BEGIN:VEVENT",
+        `UID:${e.id}@trello-time-tracker`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${_icsTime(e.startedAt)}`,
+        `DTEND:${_icsTime(e.endedAt)}`,
+        `SUMMARY:${_icsText(e.cardName)}`,
+        `DESCRIPTION:${_icsText(description.join("\n"))}`,
+        ...(e.labels.length > 0
+          ? [`CATEGORIES:${e.labels.map(_icsText).join(",")}`]
+          : []),
+        // Logged time should not mark the calendar as busy
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT",
+      ];
+    }),
+    "END:VCALENDAR",
+  ];
+
+  // Encoded here so _downloadBlob adds no BOM, which some calendars reject
+  const ics = lines.map(_icsFold).join("\r\n") + "\r\n";
+  _downloadBlob(
+    new TextEncoder().encode(ics),
+    filename,
+    "text/calendar;charset=utf-8",
+  );
+}
+
+// UTC as 20250314T083000Z
+function _icsTime(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+}
+
+// TEXT values (RFC 5545 3.3.11): escape backslash, ";", "," and newlines
+function _icsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/[;,]/g, "\\$&")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a UTF-8 character
+function _icsFold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    // Continuation lines start with a space, which counts towards the 75
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
 // ---------------------------------------------------------------------------
 // Helpers
 // ---------------------------------------------------------------------------
 
-function _esc(value) {
+function _esc(value, separator = ";") {
   const str = String(value ?? "");
   // Wrap in quotes if it contains the delimiter or quotes
-  if (str.includes(";") || str.includes('"') || str.includes("\n")) {
+  if (str.includes(separator) || str.includes('"') || str.includes("\n")) {
     return `"${str.replace(/"/g, '""')}"`;
   }
   return str;
 }
 
+// Decimal number with comma separator by default, as Norwegian Excel expects
+function _num(value, decimal = ",") {
+  return (value || 0).toFixed(2).replace(".", decimal);
+}
+
+const _pad = (n) => String(n).padStart(2, "0");
+
+function _date(ms, format) {
+  const d = new Date(ms);
+  if (format === "nb") {
+    return `${_pad(d.getDate())}.${_pad(d.getMonth() + 1)}.${d.getFullYear()}`;
+  }
+  return toDateKey(d);
+}
+
+// Local time; ISO 8601 carries the UTC offset so the file is unambiguous
+function _dateTime(ms, format) {
+  const d = new Date(ms);
+  const time = `${_pad(d.getHours())}:${_pad(d.getMinutes())}`;
+  if (format === "iso") {
+    const offset = -d.getTimezoneOffset();
+    const sign = offset < 0 ? "-" : "+";
+    const abs = Math.abs(offset);
+    return `${toDateKey(d)}T${time}:${_pad(d.getSeconds())}${sign}${_pad(Math.floor(abs / 60))}:${_pad(abs % 60)}`;
+  }
+  return `${_date(ms, format)} ${time}`;
+}
+
 function _downloadBlob(content, filename, mimeType) {
-  const blob = new Blob(["\uFEFF" + content], { type: mimeType }); // BOM for Excel UTF-8
+  // Text gets a BOM so Excel reads it as UTF-8; binary files are kept as is
+  const part = typeof content === "string" ? "\uFEFF" + content : content;
+  const blob = new Blob([part], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -0,0 +1,248 @@
+/**
+ * Period locks for Trello Time Tracker
+ *
+ * DATA MODEL
+ * ----------
+ * period_locks: One row per member per locked week or month
+ *   - board_id, member_id, member_name
+ *   - period_type: "week" | "month"
+ *   - starts_at, ends_at (local period start, exclusive end)
+ *   - status: "submitted" | "approved"
+ *   - locked_by, locked_by_name, locked_at
+ *
+ * Both statuses lock the period: storage.js rejects manual adjustments, entry
+ * edits, resets and restores that touch a member's locked period with a
+ * "validation" StorageError. Starting and stopping timers is not affected.
+ * The database enforces the same rule with the time_entries_check_lock
+ * trigger (see the README), which also lets a stopped timer save its entry.
+ *
+ * Approving and reopening need the lockPeriods permission (see
+ * permissions.js); members may submit their own periods. RLS on period_locks
+ * allows the same: anyone else can only insert their own "submitted" row.
+ */
+
+import { supabase } from "./supabase.js";
+import { StorageError, throwIfError } from "./errors.js";
+import { recordAudit } from "./audit.js";
+import { assertPermission } from "./permissions.js";
+import { getIsoWeek, startOfWeek } from "./time.js";
+
+/** Norwegian label per status */
+export const LOCK_STATUSES = {
+  submitted: "Levert",
+  approved: "Godkjent",
+};
+
+/**
+ * The week or month containing a timestamp.
+ * @param {number|Date} value
+ * @param {"week"|"month"} type
+ * @returns {{ type: string, startsAt: string, endsAt: string, label: string }}
+ */
+export function getLockPeriod(value, type) {
+  const d = new Date(value);
+  let start;
+  let end;
+  if (type === "month") {
+    start = new Date(d.getFullYear(), d.getMonth(), 1);
+    end = new Date(d.getFullYear(), d.getMonth() + 1, 1);
+  } else {
+    start = startOfWeek(d);
+    end = new Date(start);
+    end.setDate(end.getDate() + 7);
+  }
+  return {
+    type,
+    startsAt: start.toISOString(),
+    endsAt: end.toISOString(),
+    label: periodLabel(type, start),
+  };
+}
+
+function periodLabel(type, start) {
+  if (type === "month") {
+    return start.toLocaleString("nb-NO", { month: "long", year: "numeric" });
+  }
+  const { year, week } = getIsoWeek(start);
+  return `uke ${week} ${year}`;
+}
+
+/**
+ * Locks that overlap [from, to), for the report.
+ * @param {object} t
+ * @param {{ from: string, to: string }} range – ISO timestamps
+ * @returns {Promise<Array<{ id, memberId, memberName, type, startsAt, endsAt,
+ *   label, status, lockedBy, lockedByName, lockedAt }>>}
+ */
+export async function getPeriodLocks(t, { from, to }) {
+  const board = await t.board("id");
+  const { data, error } = await supabase
+    .from("period_locks")
+    .select("*")
+    .eq("board_id", board.id)
+    .lt("starts_at", to)
+    .gt("ends_at", from)
+    .order("starts_at");
+
+  throwIfError(error, "getPeriodLocks");
+  return (data || []).map((row) => ({
+    id: row.id,
+    memberId: row.member_id,
+    memberName: row.member_name,
+    type: row.period_type,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    label: periodLabel(row.period_type, new Date(row.starts_at)),
+    status: row.status,
+    lockedBy: row.locked_by,
+    lockedByName: row.locked_by_name,
+    lockedAt: row.locked_at,
+  }));
+}
+
+/**
+ * Mark a member's week or month as submitted or approved. Submitting never
+ * touches an existing lock: a period that is already submitted or approved
+ * is refused with a "validation" StorageError.
+ * @param {object} t
+ * @param {{ id: string, fullName: string }} member
+ * @param {{ type: string, startsAt: string, endsAt: string, label: string }} period
+ *   from getLockPeriod
+ * @param {"submitted"|"approved"} status
+ */
+export async function lockPeriod(t, member, period, status) {
+  await assertPermission("lockPeriods", {
+    t,
+    memberIds: status === "submitted" ? [member.id] : undefined,
+  });
+  const board = await t.board("id");
+  const actor = await t.member("id", "fullName");
+
+  const { data: existing, error: fetchError } = await supabase
+    .from("period_locks")
+    .select("status")
+    .eq("board_id", board.id)
+    .eq("member_id", member.id)
+    .eq("period_type", period.type)
+    .eq("starts_at", period.startsAt)
+    .maybeSingle();
+  throwIfError(fetchError, "lockPeriod");
+
+  const alreadyLocked = (lockStatus) =>
+    new StorageError(
+      "validation",
+      `${period.label[0].toUpperCase()}${period.label.slice(1)} er allerede ${LOCK_STATUSES[lockStatus].toLowerCase()} for ${member.fullName}.`,
+      { operation: "lockPeriod" },
+    );
+  if (status === "submitted" && existing) {
+    throw alreadyLocked(existing.status);
+  }
+
+  const row = {
+    board_id: board.id,
+    member_id: member.id,
+    member_name: member.fullName,
+    period_type: period.type,
+    starts_at: period.startsAt,
+    ends_at: period.endsAt,
+    status,
+    locked_by: actor.id,
+    locked_by_name: actor.fullName,
+    locked_at: new Date().toISOString(),
+  };
+  // Only approving may replace a lock; a submit that loses a race to
+  // another lock fails on the unique key instead of overwriting it.
+  const { error } =
+    status === "submitted"
+      ? await supabase.from("period_locks").insert(row)
+      : await supabase.from("period_locks").upsert(row, {
+          onConflict: "board_id,member_id,period_type,starts_at",
+        });
+  if (error?.code === "23505") throw alreadyLocked("submitted");
+  throwIfError(error, "lockPeriod");
+
+  await recordAudit({
+    boardId: board.id,
+    memberId: member.id,
+    memberName: member.fullName,
+    action: "period_lock",
+    before: existing ? { period: period.label, status: existing.status } : null,
+    after: { period: period.label, status },
+  });
+}
+
+/**
+ * Reopen a locked period so its time can be changed again.
+ * @param {object} t
+ * @param {{ id: string, memberId: string, memberName: string, label: string,
+ *   status: string }} lock – from getPeriodLocks
+ */
+export async function unlockPeriod(t, lock) {
+  await assertPermission("lockPeriods", { t });
+  const board = await t.board("id");
+
+  const { error } = await supabase
+    .from("period_locks")
+    .delete()
+    .eq("id", lock.id);
+  throwIfError(error, "unlockPeriod");
+
+  await recordAudit({
+    boardId: board.id,
+    memberId: lock.memberId,
+    memberName: lock.memberName,
+    action: "period_unlock",
+    before: { period: lock.label, status: lock.status },
+  });
+}
+
+/**
+ * Reject with a "validation" StorageError if any span touches a locked
+ * period of its member. A span touches a period if it overlaps it; manual
+ * adjustments (startedAt === endedAt) if they fall inside it.
+ * @param {Array<{ boardId: string, memberId: string, startedAt: string,
+ *   endedAt: string }>} spans
+ * @param {string} operation – Function name, used in logs
+ */
+export async function assertUnlocked(spans, operation) {
+  if (!spans.length) return;
+  const startMs = (s) => new Date(s.startedAt).getTime();
+  const endMs = (s) => new Date(s.endedAt || s.startedAt).getTime();
+  // reduce rather than Math.min(...spans): imports can pass more spans than
+  // a call can take arguments
+  const from = new Date(
+    spans.reduce((min, s) => Math.min(min, startMs(s)), Infinity),
+  ).toISOString();
+  const to = new Date(
+    spans.reduce((max, s) => Math.max(max, endMs(s)), -Infinity),
+  ).toISOString();
+
+  const { data: locks, error } = await supabase
+    .from("period_locks")
+    .select("member_name, member_id, period_type, starts_at, ends_at, status")
+    .eq("board_id", spans[0].boardId)
+    .in("member_id", [...new Set(spans.map((s) => s.memberId))])
+    .lte("starts_at", to)
+    .gt("ends_at", from);
+  throwIfError(error, operation);
+
+  for (const span of spans) {
+    const lock = (locks || []).find((l) => {
+      const lockStart = new Date(l.starts_at).getTime();
+      const lockEnd = new Date(l.ends_at).getTime();
+      return (
+        l.member_id === span.memberId &&
+        startMs(span) < lockEnd &&
+        (endMs(span) > lockStart || startMs(span) >= lockStart)
+      );
+    });
+    if (lock) {
+      const label = periodLabel(lock.period_type, new Date(lock.starts_at));
+      throw new StorageError(
+        "validation",
+        `${label[0].toUpperCase()}${label.slice(1)} er ${LOCK_STATUSES[lock.status].toLowerCase()} for ${lock.member_name || lock.member_id} og kan ikke endres.`,
+        { operation },
+      );
+    }
+  }
+}
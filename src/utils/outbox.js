@@ -0,0 +1,252 @@
+/**
+ * outbox.js – Persistent write queue for timer operations.
+ *
+ * startTimer, stopTimer, pauseTimer, resumeTimer and adjustTime record what the user did (with the
+ * real click time) in localStorage before talking to Supabase. Operations are
+ * removed once they have been written; network failures leave them queued
+ * and they are retried in order with exponential backoff, and immediately
+ * when the browser reports it is back online.
+ *
+ * Each operation carries everything needed to replay it (board/card/member
+ * ids and names are resolved from Trello when it is queued), so a retry only
+ * needs Supabase. The queue is shared by every Power-Up iframe on the same
+ * origin; a short-lived lock keeps two iframes from flushing at once.
+ *
+ * Dropped operations (see flushOutbox) are kept in a separate failed list
+ * until the user has seen them, so a stop that was discarded by a background
+ * retry is not lost silently. The timer popup shows the list.
+ *
+ * Operation shape:
+ *   { id, type: "start"|"stop"|"pause"|"resume"|"adjust", payload, queuedAt, attempts, nextAttemptAt }
+ */
+
+import { errorMessage, isNetworkError } from "./errors.js";
+
+const STORAGE_KEY = "ttOutbox";
+const FAILED_KEY = "ttOutboxFailed";
+// Oldest failures are forgotten beyond this many
+const MAX_FAILED = 20;
+const LOCK_KEY = "ttOutboxLock";
+const LOCK_TTL_MS = 30000;
+const BASE_DELAY_MS = 2000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+const listeners = new Set();
+const failedListeners = new Set();
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+function readQueue() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(queue) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+  } catch (e) {
+    console.error("[TimeTracker] outbox write error:", e);
+  }
+  for (const listener of listeners) listener(queue);
+}
+
+function updateOp(id, changes) {
+  writeQueue(
+    readQueue().map((op) => (op.id === id ? { ...op, ...changes } : op)),
+  );
+}
+
+function removeOp(id) {
+  writeQueue(readQueue().filter((op) => op.id !== id));
+}
+
+function readFailed() {
+  try {
+    return JSON.parse(localStorage.getItem(FAILED_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeFailed(failed) {
+  try {
+    localStorage.setItem(FAILED_KEY, JSON.stringify(failed));
+  } catch (e) {
+    console.error("[TimeTracker] outbox write error:", e);
+  }
+  for (const listener of failedListeners) listener(failed);
+}
+
+function recordFailed(op, error) {
+  writeFailed(
+    [
+      ...readFailed(),
+      {
+        id: op.id,
+        type: op.type,
+        payload: op.payload,
+        failedAt: new Date().toISOString(),
+        message: errorMessage(error),
+      },
+    ].slice(-MAX_FAILED),
+  );
+}
+
+function acquireLock() {
+  const held = Number(localStorage.getItem(LOCK_KEY)) || 0;
+  if (Date.now() - held < LOCK_TTL_MS) return false;
+  localStorage.setItem(LOCK_KEY, String(Date.now()));
+  return true;
+}
+
+function releaseLock() {
+  localStorage.removeItem(LOCK_KEY);
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Operations that have not been written to Supabase yet, oldest first.
+ * @returns {Array}
+ */
+export function getPendingOps() {
+  return readQueue();
+}
+
+/**
+ * Add an operation to the end of the queue.
+ * @param {"start"|"stop"|"pause"|"resume"|"adjust"} type
+ * @param {object} payload – Plain JSON, no Trello context
+ * @returns {object} The queued operation
+ */
+export function enqueueOp(type, payload) {
+  const op = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    nextAttemptAt: 0,
+  };
+  writeQueue([...readQueue(), op]);
+  return op;
+}
+
+/**
+ * Send queued operations in order. Stops at the first network failure so a
+ * stop is never written before the start it belongs to.
+ *
+ * Failures that are not network related (constraint violations, bad data)
+ * would fail again on every retry, so those operations are logged and dropped.
+ * Dropped operations are returned in `errors` and added to the failed list
+ * (getFailedOps), except `callerOpId`: the caller waiting for that operation
+ * reports its failure itself.
+ *
+ * Operations rejected by `match` are skipped and left queued; storage.js uses
+ * it to only send operations for the board the iframe has a token for.
+ *
+ * @param {(op: object) => Promise<any>} apply – Writes one operation, throws on error
+ * @param {{ force?: boolean, match?: (op: object) => boolean,
+ *   callerOpId?: string }} [options] – force ignores the backoff delay
+ * @returns {Promise<{ pending: number, results: Object, errors: Object }>}
+ *   results maps op id -> value returned by apply; errors maps op id -> the
+ *   error of a dropped operation
+ */
+export async function flushOutbox(
+  apply,
+  { force = false, match, callerOpId } = {},
+) {
+  const results = {};
+  const errors = {};
+  if (readQueue().length === 0 || !acquireLock()) {
+    return { pending: readQueue().length, results, errors };
+  }
+
+  try {
+    for (const op of readQueue()) {
+      if (match && !match(op)) continue;
+      if (!force && op.nextAttemptAt > Date.now()) break;
+      try {
+        results[op.id] = await apply(op);
+        removeOp(op.id);
+      } catch (error) {
+        if (!isNetworkError(error)) {
+          console.error(`[TimeTracker] outbox ${op.type} dropped:`, error);
+          errors[op.id] = error;
+          removeOp(op.id);
+          if (op.id !== callerOpId) recordFailed(op, error);
+          continue;
+        }
+        const attempts = op.attempts + 1;
+        updateOp(op.id, {
+          attempts,
+          nextAttemptAt:
+            Date.now() +
+            Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1)),
+        });
+        break;
+      }
+    }
+  } finally {
+    releaseLock();
+  }
+
+  return { pending: readQueue().length, results, errors };
+}
+
+/**
+ * Operations that were dropped and not yet dismissed, oldest first.
+ * @returns {Array<{ id, type, payload, failedAt: string, message: string }>}
+ *   message is a Norwegian description of the error
+ */
+export function getFailedOps() {
+  return readFailed();
+}
+
+/**
+ * Forget dropped operations once the user has seen them.
+ */
+export function dismissFailedOps() {
+  writeFailed([]);
+}
+
+/**
+ * Listen for changes to the failed list, including other iframes.
+ * @param {(failed: Array) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeFailedOps(listener) {
+  const onStorage = (e) => {
+    if (e.key === FAILED_KEY) listener(readFailed());
+  };
+  failedListeners.add(listener);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    failedListeners.delete(listener);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+/**
+ * Listen for queue changes, including changes made by other iframes.
+ * @param {(queue: Array) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) listener(readQueue());
+  };
+  listeners.add(listener);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener("storage", onStorage);
+  };
+}
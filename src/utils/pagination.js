@@ -0,0 +1,49 @@
+/**
+ * pagination.js – Paging for Supabase reads that grow with board history.
+ *
+ * PostgREST caps every response (max-rows, 1000 by default), so a plain
+ * select on a board with a year of data silently returns a truncated list.
+ * Queries here are read page by page with .range() instead.
+ */
+
+import { throwIfError } from "./errors.js";
+
+// Must not exceed the PostgREST max-rows setting of the Supabase project
+export const PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query, one page at a time.
+ * @param {(from: number, to: number) => PromiseLike<{ data: Array, error: any }>} runRange
+ *   Runs the query for the inclusive row range. Needs a stable order.
+ * @param {string} operation – Function name, used in errors
+ * @param {number} [pageSize]
+ * @returns {Promise<Array>}
+ */
+export async function fetchAllRows(runRange, operation, pageSize = PAGE_SIZE) {
+  const rows = [];
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await runRange(from, from + pageSize - 1);
+    throwIfError(error, operation);
+    for (const row of data || []) rows.push(row);
+    if (!data || data.length < pageSize) return rows;
+  }
+}
+
+/**
+ * Read a single page. Fetches one extra row to tell whether more exist.
+ * @param {(from: number, to: number) => PromiseLike<{ data: Array, error: any }>} runRange
+ * @param {string} operation
+ * @param {{ page?: number, pageSize?: number }} [paging] – page is 0-based
+ * @returns {Promise<{ rows: Array, hasMore: boolean }>}
+ */
+export async function fetchRowsPage(
+  runRange,
+  operation,
+  { page = 0, pageSize = 100 } = {},
+) {
+  const from = page * pageSize;
+  const { data, error } = await runRange(from, from + pageSize);
+  throwIfError(error, operation);
+  const rows = data || [];
+  return { rows: rows.slice(0, pageSize), hasMore: rows.length > pageSize };
+}
@@ -0,0 +1,177 @@
+/**
+ * permissions.js – Who may change time and estimates that are not their own.
+ *
+ * Permissions (configured in SettingsApp, stored in board_permissions):
+ *   editOthersTime  – start/stop timers, add/subtract time and edit, split or
+ *                     delete entries for other members
+ *   resetCards      – reset all time on a card ("Tilbakestill tid")
+ *   changeEstimates – set or remove other members' and card-level estimates
+ *   lockPeriods     – approve members' weeks/months and reopen locked ones
+ *                     (see lockStorage.js)
+ *
+ * Each rule is { allow: "admins" | "everyone" | "selected", memberIds }.
+ * Board admins (memberType "admin" in t.board("memberships")) always have
+ * every permission, and "admins" is the default, so a board that never
+ * opened the settings behaves like Trello's own admin/normal split.
+ * Changing your own time or estimate never needs a permission.
+ * Board-wide settings that live in Supabase (hourly rates) are admin-only;
+ * see assertBoardAdmin.
+ *
+ * The rules are kept in Supabase rather than in Trello's pluginData, which
+ * every member can write, so the database can enforce them: the RLS policies
+ * and the time_entries trigger in the README check the JWT's sub and
+ * board_role claims and call tt_has_permission(), and only board admins can
+ * change board_permissions. assertPermission refuses the same writes before
+ * they are sent, with a clearer error; the UI uses hasPermission to hide what
+ * would be refused.
+ */
+
+import { supabase } from "./supabase.js";
+import { getAuthTrello } from "./auth.js";
+import { StorageError, isNetworkError, throwIfError } from "./errors.js";
+
+/** Norwegian label per permission, used by SettingsApp */
+export const PERMISSIONS = {
+  editOthersTime: "Registrere og endre tid for andre",
+  resetCards: "Tilbakestille tid på kort",
+  changeEstimates: "Endre estimater for andre og for kortet",
+  lockPeriods: "Godkjenne og åpne låste perioder",
+};
+
+/** Rules for a board that has not saved any: like Trello, admins only */
+export const DEFAULT_RULES = {
+  editOthersTime: { allow: "admins", memberIds: [] },
+  resetCards: { allow: "admins", memberIds: [] },
+  changeEstimates: { allow: "admins", memberIds: [] },
+  lockPeriods: { allow: "admins", memberIds: [] },
+};
+
+/**
+ * The current member and the board's rules.
+ * @param {object} [t] – Defaults to the context passed to initAuth
+ * @returns {Promise<{ memberId: string, isAdmin: boolean, rules: object,
+ *   rulesSaved: boolean }>} rulesSaved is false while the board uses the
+ *   defaults
+ */
+export async function getPermissionContext(t = getAuthTrello()) {
+  if (!t) {
+    throw new StorageError("permission", "Ikke logget inn.", {
+      operation: "getPermissionContext",
+    });
+  }
+  const [member, board] = await Promise.all([
+    t.member("id"),
+    t.board("id", "memberships"),
+  ]);
+  const { data, error } = await supabase
+    .from("board_permissions")
+    .select("permission, allow, member_ids")
+    .eq("board_id", board.id);
+  throwIfError(error, "getPermissionContext");
+
+  const membership = (board.memberships || []).find(
+    (m) => m.idMember === member.id,
+  );
+  const saved = Object.fromEntries(
+    (data || []).map((row) => [
+      row.permission,
+      { allow: row.allow, memberIds: row.member_ids || [] },
+    ]),
+  );
+  return {
+    memberId: member.id,
+    isAdmin: membership?.memberType === "admin",
+    rules: { ...DEFAULT_RULES, ...saved },
+    rulesSaved: (data || []).length > 0,
+  };
+}
+
+/**
+ * Save the board's rules. Board admins only.
+ * @param {object} t
+ * @param {Object<string, { allow: string, memberIds?: string[] }>} rules –
+ *   permission -> rule, as in getPermissionContext
+ */
+export async function savePermissionRules(t, rules) {
+  await assertBoardAdmin({ t, operation: "savePermissionRules" });
+  const board = await t.board("id");
+  const { error } = await supabase.from("board_permissions").upsert(
+    Object.keys(PERMISSIONS).map((permission) => ({
+      board_id: board.id,
+      permission,
+      allow: rules[permission]?.allow || "admins",
+      member_ids: rules[permission]?.memberIds || [],
+      updated_at: new Date().toISOString(),
+    })),
+    { onConflict: "board_id,permission" },
+  );
+  throwIfError(error, "savePermissionRules");
+}
+
+/**
+ * @param {{ memberId: string, isAdmin: boolean, rules: object }} ctx
+ * @param {keyof PERMISSIONS} permission
+ * @returns {boolean}
+ */
+export function hasPermission(ctx, permission) {
+  if (!ctx) return false;
+  if (ctx.isAdmin) return true;
+  const rule = ctx.rules[permission];
+  if (rule?.allow === "everyone") return true;
+  if (rule?.allow === "selected") {
+    return (rule.memberIds || []).includes(ctx.memberId);
+  }
+  return false;
+}
+
+/**
+ * Reject with a "permission" StorageError unless the current member may do
+ * this.
+ *
+ * Changing only your own time needs no permission, so that case returns
+ * before anything is read from Supabase and the timer functions can still
+ * queue offline. If the rules cannot be read because Supabase is
+ * unreachable, the write is let through too: RLS and the time_entries
+ * trigger decide when it reaches the database.
+ * @param {keyof PERMISSIONS} permission
+ * @param {{ t?: object, memberIds?: Array<string|null> }} [options]
+ *   memberIds – whose time or estimate is changed (null = card-level). When
+ *   every one is the current member, no permission is needed.
+ */
+export async function assertPermission(permission, { t, memberIds } = {}) {
+  const context = t || getAuthTrello();
+  if (context && memberIds?.length) {
+    const member = await context.member("id");
+    if (memberIds.every((id) => id === member.id)) return;
+  }
+  let ctx;
+  try {
+    ctx = await getPermissionContext(context);
+  } catch (e) {
+    if (isNetworkError(e)) return;
+    throw e;
+  }
+  if (!hasPermission(ctx, permission)) {
+    throw new StorageError(
+      "permission",
+      `Du mangler tillatelsen «${PERMISSIONS[permission] || permission}».`,
+      { operation: "assertPermission" },
+    );
+  }
+}
+
+/**
+ * Reject with a "permission" StorageError unless the current member is a
+ * board admin.
+ * @param {{ t?: object, operation?: string }} [options]
+ */
+export async function assertBoardAdmin({ t, operation } = {}) {
+  const ctx = await getPermissionContext(t);
+  if (!ctx.isAdmin) {
+    throw new StorageError(
+      "permission",
+      "Bare tavleadministratorer kan gjøre dette.",
+      { operation: operation || "assertBoardAdmin" },
+    );
+  }
+}
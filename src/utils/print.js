@@ -0,0 +1,195 @@
+/**
+ * print.js – Printable time report ("Skriv ut / PDF").
+ *
+ * Builds a standalone page from the report's current grouping and prints it
+ * from a hidden iframe, so the browser's print dialog can send it to a
+ * printer or save it as PDF for an invoice. The page carries its own print
+ * stylesheet (A4, header row repeated on every page) and nothing from the
+ * report UI.
+ */
+
+import { formatDuration } from "./time.js";
+import { formatAmount } from "./rateStorage.js";
+
+const GROUP_HEADERS = { card: "Kort", person: "Person", label: "Label" };
+
+/**
+ * Open the print dialog for a report.
+ * @param {{
+ *   boardName: string,
+ *   periodLabel: string,          // e.g. "Forrige måned" or "2025-03-01 – 2025-03-31"
+ *   groupBy: "card"|"person"|"label",
+ *   rows: Array<{ label: string, sublabel?: string, totalMs: number,
+ *     billableMs?: number, amount?: number }>,  // ReportApp's aggregated rows
+ *   showAmounts?: boolean,        // add Timepris and Beløp columns
+ *   chartImage?: string|null,     // PNG data URL from renderChartImage
+ * }} report
+ */
+export function printReport(report) {
+  const frame = document.createElement("iframe");
+  frame.setAttribute("aria-hidden", "true");
+  frame.style.cssText =
+    "position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden";
+  document.body.appendChild(frame);
+
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(buildReportHtml(report));
+  doc.close();
+
+  const win = frame.contentWindow;
+  win.addEventListener("afterprint", () => frame.remove());
+  // Wait for the chart image, or it may be missing from the printout
+  const images = Array.from(doc.images);
+  Promise.all(images.map((img) => img.decode().catch(() => {}))).then(() => {
+    win.focus();
+    win.print();
+  });
+}
+
+function buildReportHtml({
+  boardName,
+  periodLabel,
+  groupBy,
+  rows,
+  showAmounts = false,
+  chartImage = null,
+}) {
+  const byCard = groupBy === "card";
+  const grandTotal = rows.reduce((s, r) => s + r.totalMs, 0);
+  const grandBillable = rows.reduce(
+    (s, r) => s + (r.billableMs ?? r.totalMs),
+    0,
+  );
+  const grandAmount = rows.reduce((s, r) => s + (r.amount || 0), 0);
+
+  const headers = [
+    GROUP_HEADERS[groupBy],
+    ...(byCard ? ["Liste"] : []),
+    "Tid",
+    "Timer",
+    ...(showAmounts ? ["Timepris", "Beløp"] : []),
+    "Andel",
+  ];
+
+  const row = (cells, className = "") =>
+    `<tr${className ? ` class="${className}"` : ""}>${cells.join("")}</tr>`;
+  const text = (value) => `<td>${escapeHtml(value)}</td>`;
+  const num = (value) => `<td class="num">${escapeHtml(value)}</td>`;
+
+  const bodyRows = rows.map((r) =>
+    row([
+      text(r.label),
+      ...(byCard ? [text(r.sublabel || "")] : []),
+      num(formatDuration(r.totalMs, true)),
+      num(formatHours(r.totalMs)),
+      ...(showAmounts
+        ? [
+            num(averageRate(r.amount, r.billableMs ?? r.totalMs)),
+            num(formatAmount(r.amount)),
+          ]
+        : []),
+      num(grandTotal > 0 ? formatShare(r.totalMs / grandTotal) : "—"),
+    ]),
+  );
+
+  const totalRow = row(
+    [
+      text("Totalt"),
+      ...(byCard ? [text("")] : []),
+      num(formatDuration(grandTotal, true)),
+      num(formatHours(grandTotal)),
+      ...(showAmounts
+        ? [
+            num(averageRate(grandAmount, grandBillable)),
+            num(formatAmount(grandAmount)),
+          ]
+        : []),
+      num(grandTotal > 0 ? "100 %" : "—"),
+    ],
+    "total",
+  );
+
+  const printedAt = new Date().toLocaleString("nb-NO", {
+    dateStyle: "short",
+    timeStyle: "short",
+  });
+
+  return `<!DOCTYPE html>
+<html lang="nb">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`Timerapport – ${boardName} – ${periodLabel}`)}</title>
+<style>${PRINT_CSS}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(boardName)}</h1>
+  <div class="meta">Timerapport · ${escapeHtml(periodLabel)} · Gruppert etter ${escapeHtml(GROUP_HEADERS[groupBy].toLowerCase())}</div>
+</header>
+${chartImage ? `<img class="chart" src="${chartImage}" alt="">` : ""}
+<table>
+  <thead>${row(headers.map((h, i) => `<th${i >= (byCard ? 2 : 1) ? ' class="num"' : ""}>${escapeHtml(h)}</th>`))}</thead>
+  <tbody>${bodyRows.join("")}</tbody>
+  <tfoot>${totalRow}</tfoot>
+</table>
+<footer>Skrevet ut ${escapeHtml(printedAt)}</footer>
+</body>
+</html>`;
+}
+
+const PRINT_CSS = `
+@page { size: A4; margin: 16mm 14mm; }
+* { box-sizing: border-box; }
+body {
+  font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+  color: #172B4D;
+  font-size: 10.5pt;
+  margin: 0;
+  -webkit-print-color-adjust: exact;
+  print-color-adjust: exact;
+}
+h1 { font-size: 16pt; margin: 0 0 2pt 0; }
+.meta { color: #5E6C84; margin-bottom: 12pt; }
+.chart { display: block; width: 100%; max-height: 80mm; object-fit: contain; margin-bottom: 12pt; }
+table { width: 100%; border-collapse: collapse; }
+thead { display: table-header-group; }
+tr { page-break-inside: avoid; }
+th {
+  text-align: left;
+  font-size: 8.5pt;
+  text-transform: uppercase;
+  color: #5E6C84;
+  border-bottom: 1.5pt solid #DFE1E6;
+  padding: 4pt 6pt;
+}
+td { padding: 4pt 6pt; border-bottom: 0.5pt solid #EBECF0; }
+.num { text-align: right; white-space: nowrap; font-variant-numeric: tabular-nums; }
+tr.total td { font-weight: 700; border-top: 1.5pt solid #DFE1E6; border-bottom: none; }
+footer { margin-top: 12pt; font-size: 8.5pt; color: #5E6C84; }
+`;
+
+function formatHours(ms) {
+  return (ms / 3600000).toLocaleString("nb-NO", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function formatShare(fraction) {
+  return `${(fraction * 100).toLocaleString("nb-NO", { maximumFractionDigits: 1 })} %`;
+}
+
+// Amount per billable hour; "—" when nothing was billable
+function averageRate(amount, billableMs) {
+  if (!amount || !billableMs) return "—";
+  return `${formatAmount(amount / (billableMs / 3600000))}/t`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
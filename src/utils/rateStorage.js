@@ -0,0 +1,159 @@
+/**
+ * Hourly rates for Trello Time Tracker
+ *
+ * DATA MODEL
+ * ----------
+ * hourly_rates: One row per (board, scope, target)
+ *   - board_id
+ *   - scope: "default" | "member" | "label" | "card"
+ *   - target_id: member id, label id or card id ("" for scope "default")
+ *   - target_name: display name at the time the rate was set
+ *   - rate (numeric, per hour)
+ *
+ * EFFECTIVE RATE: card rate > highest label rate > member rate > board default.
+ * Only entries flagged billable (time_entries.billable) count towards amounts.
+ *
+ * Only board admins may set rates. Failures reject with a StorageError (see
+ * errors.js).
+ */
+
+import { supabase } from "./supabase.js";
+import { throwIfError } from "./errors.js";
+import { assertBoardAdmin } from "./permissions.js";
+
+export const RATE_SCOPES = ["default", "member", "label", "card"];
+
+// ---------------------------------------------------------------------------
+// Read / write
+// ---------------------------------------------------------------------------
+
+/**
+ * Fetch all rates for a board, keyed by scope.
+ * @param {object} t – Trello Power-Up iframe context
+ * @returns {Promise<{ default: number|null, member: Object, label: Object, card: Object, names: Object }>}
+ *   member/label/card map target_id -> rate; names maps "scope:target_id" -> target_name
+ */
+export async function getBoardRates(t) {
+  const board = await t.board("id");
+  const rates = emptyRates();
+
+  const { data, error } = await supabase
+    .from("hourly_rates")
+    .select("scope, target_id, target_name, rate")
+    .eq("board_id", board.id);
+
+  throwIfError(error, "getBoardRates");
+
+  for (const row of data || []) {
+    const rate = Number(row.rate);
+    if (row.scope === "default") {
+      rates.default = rate;
+    } else if (rates[row.scope]) {
+      rates[row.scope][row.target_id] = rate;
+      rates.names[`${row.scope}:${row.target_id}`] = row.target_name;
+    }
+  }
+
+  return rates;
+}
+
+/**
+ * Set or clear a rate. Passing a null/empty/non-positive rate removes it.
+ * @param {object} t
+ * @param {"default"|"member"|"label"|"card"} scope
+ * @param {string} targetId – "" for the board default
+ * @param {number|null} rate
+ * @param {string} [targetName]
+ */
+export async function setRate(t, scope, targetId, rate, targetName) {
+  await assertBoardAdmin({ t, operation: "setRate" });
+  const board = await t.board("id");
+  const key = targetId || "";
+
+  if (!(rate > 0)) {
+    const { error } = await supabase
+      .from("hourly_rates")
+      .delete()
+      .eq("board_id", board.id)
+      .eq("scope", scope)
+      .eq("target_id", key);
+    throwIfError(error, "setRate");
+    return;
+  }
+
+  const { error } = await supabase.from("hourly_rates").upsert(
+    {
+      board_id: board.id,
+      scope,
+      target_id: key,
+      target_name: targetName || null,
+      rate,
+    },
+    { onConflict: "board_id,scope,target_id" },
+  );
+
+  throwIfError(error, "setRate");
+}
+
+// ---------------------------------------------------------------------------
+// Rate calculation
+// ---------------------------------------------------------------------------
+
+export function emptyRates() {
+  return { default: null, member: {}, label: {}, card: {}, names: {} };
+}
+
+/**
+ * True if at least one rate is configured.
+ */
+export function hasRates(rates) {
+  if (!rates) return false;
+  return (
+    rates.default > 0 ||
+    Object.keys(rates.member).length > 0 ||
+    Object.keys(rates.label).length > 0 ||
+    Object.keys(rates.card).length > 0
+  );
+}
+
+/**
+ * Resolve the hourly rate for a (card, member) pair.
+ * @param {ReturnType<typeof emptyRates>} rates
+ * @param {{ cardId: string, labels: Array<{ id: string }>, memberId: string }} target
+ * @returns {number} 0 if no rate applies
+ */
+export function getEffectiveRate(rates, { cardId, labels = [], memberId }) {
+  if (!rates) return 0;
+  if (rates.card[cardId] > 0) return rates.card[cardId];
+
+  const labelRates = labels.map((l) => rates.label[l.id]).filter((r) => r > 0);
+  if (labelRates.length > 0) return Math.max(...labelRates);
+
+  if (rates.member[memberId] > 0) return rates.member[memberId];
+  return rates.default > 0 ? rates.default : 0;
+}
+
+/**
+ * Amount for a duration at an hourly rate.
+ * @param {number} ms
+ * @param {number} rate
+ * @returns {number}
+ */
+export function calcAmount(ms, rate) {
+  if (!ms || !rate) return 0;
+  return (ms / 3600000) * rate;
+}
+
+/**
+ * Format an amount as Norwegian kroner, e.g. "1 250 kr".
+ * @param {number} amount
+ * @returns {string}
+ */
+export function formatAmount(amount) {
+  return (
+    (amount || 0).toLocaleString("nb-NO", {
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 2,
+    }) + " kr"
+  );
+}
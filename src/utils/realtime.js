@@ -0,0 +1,262 @@
+/**
+ * realtime.js – Shared Supabase Realtime subscription per board.
+ *
+ * One channel per board (per iframe) listens to INSERT/UPDATE/DELETE on
+ * time_entries, active_timers, time_estimates and estimate_history, filtered
+ * by board_id. Components register through useBoardChanges() and receive
+ * debounced batches of changes; they fall back to polling only while the
+ * channel is not connected.
+ *
+ * Realtime does not filter DELETE events server-side, and with RLS on the
+ * old row of a DELETE only carries the primary key (REPLICA IDENTITY FULL
+ * does not change that), so there is no board_id to match. Deletes are
+ * instead matched on the ids of rows this iframe has read: the read functions
+ * in the storage modules pass their rows to trackRows(). Rows only deleted
+ * together with one that is tracked (estimate_history with its estimate) are
+ * not tracked themselves.
+ *
+ * Change shape passed to listeners:
+ *   { table, eventType: "INSERT"|"UPDATE"|"DELETE", new: object, old: object }
+ */
+
+import { useEffect, useRef } from "react";
+import { supabase } from "./supabase.js";
+
+export const REALTIME_TABLES = [
+  "time_entries",
+  "active_timers",
+  "time_estimates",
+  "estimate_history",
+];
+
+const FALLBACK_POLL_MS = 5000;
+const DEBOUNCE_MS = 300;
+
+// boardId -> { channel, listeners: Set, status }
+const boards = new Map();
+
+// table -> Set of row ids read in this iframe, see trackRows
+const loadedIds = new Map();
+
+/**
+ * Remember the ids of rows a read returned, so their DELETE events reach
+ * the listeners.
+ * @param {string} table
+ * @param {Array<{ id: string }>} rows
+ */
+export function trackRows(table, rows) {
+  let ids = loadedIds.get(table);
+  if (!ids) {
+    ids = new Set();
+    loadedIds.set(table, ids);
+  }
+  for (const row of rows || []) {
+    if (row.id != null) ids.add(row.id);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Channel management
+// ---------------------------------------------------------------------------
+
+function dispatch(entry, table, payload) {
+  const change = {
+    table,
+    eventType: payload.eventType,
+    new: payload.new || {},
+    old: payload.old || {},
+  };
+  for (const listener of entry.listeners) listener.onChange(change);
+}
+
+function openChannel(boardId) {
+  const entry = { channel: null, listeners: new Set(), status: "CONNECTING" };
+  const filter = `board_id=eq.${boardId}`;
+  let channel = supabase.channel(`tt-board-${boardId}`);
+
+  for (const table of REALTIME_TABLES) {
+    channel = channel
+      .on(
+        "postgres_changes",
+        { event: "INSERT", schema: "public", table, filter },
+        (payload) => dispatch(entry, table, payload),
+      )
+      .on(
+        "postgres_changes",
+        { event: "UPDATE", schema: "public", table, filter },
+        (payload) => dispatch(entry, table, payload),
+      )
+      .on(
+        "postgres_changes",
+        { event: "DELETE", schema: "public", table },
+        (payload) => {
+          // Deletes on other boards (and rows we never showed) are unknown
+          if (!loadedIds.get(table)?.delete(payload.old?.id)) return;
+          dispatch(entry, table, payload);
+        },
+      );
+  }
+
+  channel.subscribe((status) => {
+    entry.status = status;
+    for (const listener of entry.listeners) listener.onStatus?.(status);
+  });
+
+  entry.channel = channel;
+  return entry;
+}
+
+/**
+ * Listen to changes on a board. The channel is opened on the first listener
+ * and removed when the last one unsubscribes.
+ * @param {string} boardId
+ * @param {{ onChange: (change: object) => void, onStatus?: (status: string) => void }} listener
+ *   onStatus gets the channel status ("SUBSCRIBED", "CHANNEL_ERROR", "TIMED_OUT", "CLOSED")
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeBoard(boardId, listener) {
+  let entry = boards.get(boardId);
+  if (!entry) {
+    entry = openChannel(boardId);
+    boards.set(boardId, entry);
+  }
+  entry.listeners.add(listener);
+  listener.onStatus?.(entry.status);
+
+  return () => {
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) {
+      supabase.removeChannel(entry.channel);
+      boards.delete(boardId);
+    }
+  };
+}
+
+/**
+ * Card id a change belongs to, or null if the payload does not say
+ * (deletes, which only carry the id).
+ */
+export function changeCardId(change) {
+  return change.new.card_id ?? change.old.card_id ?? null;
+}
+
+/**
+ * True if a change may affect the given card.
+ */
+export function affectsCard(change, cardId) {
+  const id = changeCardId(change);
+  return id == null || id === cardId;
+}
+
+// ---------------------------------------------------------------------------
+// React hook
+// ---------------------------------------------------------------------------
+
+/**
+ * useBoardChanges – Keep a component in sync with its board.
+ *
+ * onChanges gets a debounced batch of changes to the given tables.
+ * onPoll is called:
+ *   - every pollInterval while the channel is down (and the tab is visible),
+ *   - once when the channel (re)connects, to catch up on missed changes,
+ *   - once when the tab becomes visible after changes arrived while hidden
+ *     (or while the channel is down).
+ *
+ * @param {object} t – Trello Power-Up iframe context
+ * @param {{
+ *   tables?: string[],
+ *   onChanges: (changes: Array) => void,
+ *   onPoll: () => void,
+ *   pollInterval?: number,
+ * }} options
+ */
+export function useBoardChanges(
+  t,
+  {
+    tables = REALTIME_TABLES,
+    onChanges,
+    onPoll,
+    pollInterval = FALLBACK_POLL_MS,
+  },
+) {
+  // Latest callbacks without resubscribing on every render
+  const handlers = useRef({ onChanges, onPoll });
+  handlers.current = { onChanges, onPoll };
+  const tablesKey = tables.join(",");
+
+  useEffect(() => {
+    const wanted = tablesKey.split(",");
+    let unsubscribe = null;
+    let cancelled = false;
+    let pollTimer = null;
+    let flushTimer = null;
+    let live = false;
+    let missed = false;
+    let batch = [];
+
+    const isVisible = () => document.visibilityState === "visible";
+    const poll = () => {
+      if (isVisible()) handlers.current.onPoll?.();
+    };
+    const startPolling = () => {
+      if (!pollTimer) pollTimer = setInterval(poll, pollInterval);
+    };
+    const stopPolling = () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    };
+
+    const onStatus = (status) => {
+      const nowLive = status === "SUBSCRIBED";
+      if (nowLive && !live) {
+        stopPolling();
+        poll();
+      } else if (!nowLive) {
+        startPolling();
+      }
+      live = nowLive;
+    };
+
+    const onChange = (change) => {
+      if (!wanted.includes(change.table)) return;
+      if (!isVisible()) {
+        missed = true;
+        return;
+      }
+      batch.push(change);
+      clearTimeout(flushTimer);
+      flushTimer = setTimeout(() => {
+        const changes = batch;
+        batch = [];
+        handlers.current.onChanges?.(changes);
+      }, DEBOUNCE_MS);
+    };
+
+    const handleVisibility = () => {
+      if (isVisible() && (missed || !live)) {
+        missed = false;
+        poll();
+      }
+    };
+
+    t.board("id")
+      .then((board) => {
+        if (!cancelled) {
+          unsubscribe = subscribeBoard(board.id, { onChange, onStatus });
+        }
+      })
+      .catch((e) => {
+        console.warn("[TimeTracker] Realtime unavailable, polling:", e);
+        startPolling();
+      });
+    document.addEventListener("visibilitychange", handleVisibility);
+
+    return () => {
+      cancelled = true;
+      unsubscribe?.();
+      stopPolling();
+      clearTimeout(flushTimer);
+      document.removeEventListener("visibilitychange", handleVisibility);
+    };
+  }, [t, tablesKey, pollInterval]);
+}
@@ -0,0 +1,83 @@
+/**
+ * settings.js – Board-level Power-Up settings.
+ *
+ * Settings live in Trello's pluginData (board scope, shared visibility)
+ * under the key "ttSettings", so they apply to every member of the board.
+ * public/connector.js reads the same key directly for badges.
+ */
+
+export const DEFAULT_SETTINGS = {
+  showBadge: true,
+  // Maximum length of a single running session in hours. 0 = no limit.
+  maxSessionHours: 0,
+  // Starting a timer stops the member's running timers on other cards.
+  singleActiveTimer: false,
+  // Focus mode in the timer popup: work block and break length in minutes.
+  focusWorkMinutes: 25,
+  focusBreakMinutes: 5,
+  // Weekly capacity in hours: board default and overrides per member id.
+  defaultCapacityHours: 0,
+  capacityHours: {},
+};
+
+/**
+ * Read board settings, filling in defaults for missing keys.
+ * @param {object} t – Trello Power-Up iframe context
+ * @returns {Promise<typeof DEFAULT_SETTINGS>}
+ */
+export async function getSettings(t) {
+  try {
+    const stored = await t.get("board", "shared", "ttSettings");
+    return { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Merge changes into the stored board settings.
+ * @param {object} t
+ * @param {Partial<typeof DEFAULT_SETTINGS>} changes
+ */
+export async function saveSettings(t, changes) {
+  const current = await getSettings(t);
+  await t.set("board", "shared", "ttSettings", { ...current, ...changes });
+}
+
+/**
+ * Maximum session length in milliseconds, or null when no limit is set.
+ * @param {typeof DEFAULT_SETTINGS} settings
+ * @returns {number|null}
+ */
+export function getMaxSessionMs(settings) {
+  const hours = Number(settings?.maxSessionHours) || 0;
+  return hours > 0 ? hours * 3600000 : null;
+}
+
+/**
+ * Focus mode work block and break lengths in milliseconds.
+ * @param {typeof DEFAULT_SETTINGS} settings
+ * @returns {{ workMs: number, breakMs: number }}
+ */
+export function getFocusDurations(settings) {
+  const work = Number(settings?.focusWorkMinutes) || 0;
+  const rest = Number(settings?.focusBreakMinutes);
+  return {
+    workMs: (work > 0 ? work : DEFAULT_SETTINGS.focusWorkMinutes) * 60000,
+    breakMs: (rest >= 0 ? rest : DEFAULT_SETTINGS.focusBreakMinutes) * 60000,
+  };
+}
+
+/**
+ * Weekly capacity for a member in milliseconds, or null when none is set.
+ * A member override wins over the board default.
+ * @param {typeof DEFAULT_SETTINGS} settings
+ * @param {string} memberId
+ * @returns {number|null}
+ */
+export function getCapacityMs(settings, memberId) {
+  const override = Number(settings?.capacityHours?.[memberId]) || 0;
+  const hours =
+    override > 0 ? override : Number(settings?.defaultCapacityHours) || 0;
+  return hours > 0 ? hours * 3600000 : null;
+}
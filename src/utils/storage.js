@@ -8,12 +8,73 @@
  * time_entries: Completed sessions (one row per start->stop)
  *   - board_id, card_id, card_name, list_name, member_id, member_name
  *   - started_at, ended_at, duration_ms, labels (jsonb)
+ *   - note (optional free text describing the work)
+ *   - billable (boolean, default true – only billable time counts towards amounts)
+ *   - focus_block (boolean – a completed focus-mode work block, see TimerApp)
+ *   - deleted_at, deleted_by, deleted_by_name, delete_batch_id, delete_kind –
+ *     set when the entry was deleted or its card reset. Deleted entries stay
+ *     in the table (the trash) until restored or purged by a board admin;
+ *     every read filters them out.
+ *   - import_batch_id – set on rows added by a CSV import, so the import can
+ *     be rolled back as a whole (see importTimeEntries)
  *
  * active_timers: Currently running timers (max one per member per card)
  *   - board_id, card_id, member_id, member_name, started_at
+ *   - paused_at (set while paused), paused_ms (paused time before paused_at)
+ *   - focus_block (started as a focus-mode work block, see TimerApp)
+ *   A paused timer stays here; stopping it records started_at..ended_at with
+ *   duration_ms = the worked time only, so one session is one entry.
+ *
+ * Timer writes (start/stop/pause/resume/adjust) are queued in a local outbox first and
+ * replayed until they succeed – see outbox.js.
+ *
+ * ERRORS: functions resolve with their documented value and reject with a
+ * StorageError (see errors.js) when Supabase refuses or cannot be reached.
+ * Queued timer writes only reject when the write itself was refused; a lost
+ * connection resolves with queued: true instead.
  */
 
 import { supabase } from "./supabase.js";
+import { getSettings } from "./settings.js";
+import { enqueueOp, flushOutbox, getPendingOps } from "./outbox.js";
+import {
+  StorageError,
+  isNetworkError,
+  throwIfError,
+  toStorageError,
+} from "./errors.js";
+import { fetchAllRows, fetchRowsPage } from "./pagination.js";
+import { getAuthBoardId, getAuthClaims, isBoardAdmin } from "./auth.js";
+import { recordAudit } from "./audit.js";
+import { assertPermission } from "./permissions.js";
+import { assertUnlocked } from "./lockStorage.js";
+import { getTimerWorkedMs } from "./time.js";
+import { sessionKey } from "./csvImport.js";
+import { trackRows } from "./realtime.js";
+
+// ---------------------------------------------------------------------------
+// Trello helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a map of card_id -> { name, listName, labels } from live Trello data.
+ * Labels and names are always read from Trello so changes are reflected.
+ */
+async function getCardInfoMap(t) {
+  const trelloCards = await t.cards("id", "name", "idList", "labels");
+  const trelloLists = await t.lists("id", "name");
+  const listMap = Object.fromEntries(trelloLists.map((l) => [l.id, l.name]));
+  return Object.fromEntries(
+    trelloCards.map((c) => [
+      c.id,
+      {
+        name: c.name,
+        listName: listMap[c.idList] || "",
+        labels: c.labels || [],
+      },
+    ]),
+  );
+}
 
 // ---------------------------------------------------------------------------
 // Timer operations (per card, per member)
@@ -21,79 +82,169 @@ import { supabase } from "./supabase.js";
 
 /**
  * Start a timer for the current member on a card.
+ *
+ * When the board setting "single active timer per person" is on, any timer
+ * the member has running on another card is stopped first (same path as the
+ * report's stop button).
+ *
+ * The start itself goes through the outbox, so it is recorded with the click
+ * time and retried if Supabase cannot be reached.
+ *
+ * @param {object} t
+ * @param {{ id: string, fullName: string }} [targetMember] – Defaults to current user
+ * @param {boolean} [focusBlock] – Start a focus-mode work block; only these
+ *   timers are stopped by focus mode when the block is over
+ * @returns {Promise<{ stopped: Array<{ cardId: string, cardName: string }>, queued: boolean }>}
+ *   stopped: timers on other cards that were stopped to make room for this one.
+ *   queued: true if the start has not reached Supabase yet.
  */
-export async function startTimer(t, targetMember) {
+export async function startTimer(t, targetMember, focusBlock) {
+  const clickedAt = new Date().toISOString();
   const member = targetMember || (await t.member("id", "fullName"));
+  await assertPermission("editOthersTime", { t, memberIds: [member.id] });
   const card = await t.card("id", "name");
   const board = await t.board("id");
+  const stopped = [];
+
+  // Write earlier queued operations first so the check below sees them
+  await syncOutbox();
 
-  // Check if already running
-  const { data: existing } = await supabase
+  // Check if already running. Offline, skip the checks and queue the start.
+  const { data: existing, error: existingError } = await supabase
     .from("active_timers")
     .select("id")
     .eq("card_id", card.id)
     .eq("member_id", member.id)
     .maybeSingle();
 
-  if (existing) return;
+  if (!isNetworkError(existingError)) throwIfError(existingError, "startTimer");
+  if (existing) return { stopped, queued: false };
 
-  const { error } = await supabase.from("active_timers").insert({
-    board_id: board.id,
-    card_id: card.id,
-    member_id: member.id,
-    member_name: member.fullName,
-    started_at: new Date().toISOString(),
-  });
+  const settings = await getSettings(t);
+  if (settings.singleActiveTimer) {
+    const { data: others, error: othersError } = await supabase
+      .from("active_timers")
+      .select("id, card_id")
+      .eq("board_id", board.id)
+      .eq("member_id", member.id)
+      .neq("card_id", card.id);
+
+    if (!isNetworkError(othersError)) throwIfError(othersError, "startTimer");
 
-  if (error) console.error("[TimeTracker] startTimer error:", error);
+    if (others?.length) {
+      const cardInfoMap = await getCardInfoMap(t);
+      await stopActiveTimersByIds(
+        t,
+        others.map((o) => o.id),
+        cardInfoMap,
+      );
+      for (const o of others) {
+        stopped.push({
+          cardId: o.card_id,
+          cardName: cardInfoMap[o.card_id]?.name || o.card_id,
+        });
+      }
+    }
+  }
+
+  const op = enqueueOp("start", {
+    boardId: board.id,
+    cardId: card.id,
+    cardName: card.name,
+    memberId: member.id,
+    memberName: member.fullName,
+    startedAt: clickedAt,
+    focusBlock: focusBlock === true,
+  });
+  const { results, errors } = await syncOutbox({ callerOpId: op.id });
+  if (errors[op.id]) throw toStorageError(errors[op.id], "startTimer");
+  return { stopped, queued: !(op.id in results) };
 }
 
 /**
  * Stop the timer for the current member on a card.
  * Moves the active timer into a completed time_entry.
+ * Goes through the outbox: the session ends at the click time even if the
+ * write only reaches Supabase later.
+ * @param {object} t
+ * @param {{ id: string, fullName: string }} [targetMember] – Defaults to current user
+ * @param {string} [note] – Optional description of what the session was spent on
+ * @param {Date} [endAt] – Record the session as ending here instead of now
+ *   (used to discard overflow on forgotten timers). Clamped to [start, now].
+ * @param {boolean} [focusBlock] – The session is a completed focus-mode
+ *   work block; counted per card and member in the reports
+ * @returns {Promise<{ queued: boolean }>}
  */
-export async function stopTimer(t, targetMember) {
+export async function stopTimer(t, targetMember, note, endAt, focusBlock) {
+  const clickedAt = new Date().toISOString();
   const member = targetMember || (await t.member("id", "fullName"));
+  await assertPermission("editOthersTime", { t, memberIds: [member.id] });
   const card = await t.card("id", "name");
   const board = await t.board("id");
   const list = await t.list("id", "name");
   const cardData = await t.card("labels");
 
-  // Find active timer
-  const { data: active } = await supabase
-    .from("active_timers")
-    .select("*")
-    .eq("card_id", card.id)
-    .eq("member_id", member.id)
-    .maybeSingle();
-
-  if (!active) return;
-
-  const endedAt = new Date();
-  const startedAt = new Date(active.started_at);
-  const durationMs = endedAt.getTime() - startedAt.getTime();
-
-  // Insert completed entry
-  const { error: insertError } = await supabase.from("time_entries").insert({
-    board_id: board.id,
-    card_id: card.id,
-    card_name: card.name,
-    list_name: list.name,
-    member_id: member.id,
-    member_name: member.fullName,
-    started_at: active.started_at,
-    ended_at: endedAt.toISOString(),
-    duration_ms: durationMs,
+  const op = enqueueOp("stop", {
+    entryId: crypto.randomUUID(),
+    boardId: board.id,
+    cardId: card.id,
+    cardName: card.name,
+    listName: list.name,
     labels: cardData.labels || [],
+    memberId: member.id,
+    memberName: member.fullName,
+    clickedAt,
+    endAt: endAt ? endAt.toISOString() : null,
+    note: note?.trim() || null,
+    focusBlock: focusBlock === true,
   });
+  const { results, errors } = await syncOutbox({ callerOpId: op.id });
+  if (errors[op.id]) throw toStorageError(errors[op.id], "stopTimer");
+  return { queued: !(op.id in results) };
+}
 
-  if (insertError) {
-    console.error("[TimeTracker] stopTimer insert error:", insertError);
-    return;
-  }
+/**
+ * Pause the running timer for a member on a card. The timer stays active
+ * but stops counting until resumeTimer(); stopping it while paused records
+ * the time worked before the pause.
+ * Goes through the outbox with the click time, like stopTimer.
+ * @param {object} t
+ * @param {{ id: string, fullName: string }} [targetMember] – Defaults to current user
+ * @returns {Promise<{ queued: boolean }>}
+ */
+export async function pauseTimer(t, targetMember) {
+  return queuePauseOp(t, targetMember, "pause", "pauseTimer");
+}
 
-  // Remove active timer
-  await supabase.from("active_timers").delete().eq("id", active.id);
+/**
+ * Resume a paused timer. The paused time is added to paused_ms and not
+ * counted.
+ * @param {object} t
+ * @param {{ id: string, fullName: string }} [targetMember] – Defaults to current user
+ * @returns {Promise<{ queued: boolean }>}
+ */
+export async function resumeTimer(t, targetMember) {
+  return queuePauseOp(t, targetMember, "resume", "resumeTimer");
+}
+
+async function queuePauseOp(t, targetMember, type, operation) {
+  const clickedAt = new Date().toISOString();
+  const member = targetMember || (await t.member("id", "fullName"));
+  await assertPermission("editOthersTime", { t, memberIds: [member.id] });
+  const card = await t.card("id", "name");
+  const board = await t.board("id");
+
+  const op = enqueueOp(type, {
+    boardId: board.id,
+    cardId: card.id,
+    cardName: card.name,
+    memberId: member.id,
+    memberName: member.fullName,
+    clickedAt,
+  });
+  const { results, errors } = await syncOutbox({ callerOpId: op.id });
+  if (errors[op.id]) throw toStorageError(errors[op.id], operation);
+  return { queued: !(op.id in results) };
 }
 
 /**
@@ -103,13 +254,14 @@ export async function toggleTimer(t) {
   const member = await t.member("id");
   const card = await t.card("id");
 
-  const { data: active } = await supabase
+  const { data: active, error } = await supabase
     .from("active_timers")
     .select("id")
     .eq("card_id", card.id)
     .eq("member_id", member.id)
     .maybeSingle();
 
+  throwIfError(error, "toggleTimer");
   if (active) {
     await stopTimer(t);
     return { running: false };
@@ -121,30 +273,285 @@ export async function toggleTimer(t) {
 
 /**
  * Manually add or subtract time for a member.
+ * Goes through the outbox; subtractions are capped at zero when written.
  * @param {object} t
  * @param {number} deltaMs – Positive to add, negative to subtract
  * @param {string} [dateStr] – Optional date string (YYYY-MM-DD). Defaults to today.
  * @param {{ id: string, fullName: string }} [targetMember] – Optional member to adjust for. Defaults to current user.
+ * @param {string} [note] – Optional description of the adjustment
+ * @returns {Promise<{ capped: boolean, queued: boolean }>}
  */
-export async function adjustTime(t, deltaMs, dateStr, targetMember) {
+export async function adjustTime(t, deltaMs, dateStr, targetMember, note) {
+  const clickedAt = new Date().toISOString();
   const member = targetMember || (await t.member("id", "fullName"));
+  await assertPermission("editOthersTime", { t, memberIds: [member.id] });
   const card = await t.card("id", "name");
   const board = await t.board("id");
   const list = await t.list("id", "name");
   const cardData = await t.card("labels");
 
-  let actualDelta = deltaMs;
+  const op = enqueueOp("adjust", {
+    entryId: crypto.randomUUID(),
+    boardId: board.id,
+    cardId: card.id,
+    cardName: card.name,
+    listName: list.name,
+    labels: cardData.labels || [],
+    memberId: member.id,
+    memberName: member.fullName,
+    deltaMs,
+    // Use provided date at noon, or the click time
+    at: dateStr ? new Date(dateStr + "T12:00:00").toISOString() : clickedAt,
+    note: note?.trim() || null,
+  });
+  const { results, errors } = await syncOutbox({ callerOpId: op.id });
+  if (errors[op.id]) throw toStorageError(errors[op.id], "adjustTime");
+  if (!(op.id in results)) return { capped: false, queued: true };
+  return { capped: results[op.id].capped, queued: false };
+}
+
+// ---------------------------------------------------------------------------
+// Outbox replay
+// ---------------------------------------------------------------------------
+
+// Postgres unique_violation: the row was already written by an earlier attempt
+const isDuplicate = (error) => error?.code === "23505";
+
+// Audit fields shared by the replayed operations; the op id keeps a retried
+// operation from being logged twice. Each apply* function leaves the state
+// that tells a replay "already done" until after its audit row is written,
+// and writes it with { required: true }, so a failed log write retries the
+// operation instead of losing the row.
+function opAudit(p, opId, action) {
+  return {
+    id: opId,
+    boardId: p.boardId,
+    cardId: p.cardId,
+    cardName: p.cardName,
+    memberId: p.memberId,
+    memberName: p.memberName,
+    action,
+  };
+}
+
+async function applyStart(p, opId) {
+  const { error } = await supabase.from("active_timers").insert({
+    board_id: p.boardId,
+    card_id: p.cardId,
+    member_id: p.memberId,
+    member_name: p.memberName,
+    started_at: p.startedAt,
+    focus_block: p.focusBlock === true,
+  });
+  // Already running (unique card_id + member_id) counts as started
+  if (error && !isDuplicate(error)) throw error;
+  if (error && !(await isOwnStart(p))) return;
+  await recordAudit(
+    { ...opAudit(p, opId, "timer_start"), after: { startedAt: p.startedAt } },
+    { required: true },
+  );
+}
+
+// True when the running timer is the one this start op created, i.e. an
+// earlier attempt got as far as the insert
+async function isOwnStart(p) {
+  const { data: active, error } = await supabase
+    .from("active_timers")
+    .select("started_at")
+    .eq("card_id", p.cardId)
+    .eq("member_id", p.memberId)
+    .maybeSingle();
+  if (error) throw error;
+  return (
+    active != null &&
+    new Date(active.started_at).getTime() === new Date(p.startedAt).getTime()
+  );
+}
+
+async function applyStop(p, opId) {
+  const { data: active, error } = await supabase
+    .from("active_timers")
+    .select("*")
+    .eq("card_id", p.cardId)
+    .eq("member_id", p.memberId)
+    .maybeSingle();
+
+  if (error) throw error;
+  const startMs = active ? new Date(active.started_at).getTime() : null;
+  const clickedMs = new Date(p.clickedAt).getTime();
+  // Nothing running, or a timer started after the click – nothing to stop
+  if (!active || startMs > clickedMs) return;
+
+  const { endedMs, durationMs } = stoppedSpan(
+    active,
+    p.endAt
+      ? Math.min(clickedMs, Math.max(startMs, new Date(p.endAt).getTime()))
+      : clickedMs,
+  );
+
+  const { error: insertError } = await supabase.from("time_entries").insert({
+    id: p.entryId,
+    board_id: p.boardId,
+    card_id: p.cardId,
+    card_name: p.cardName,
+    list_name: p.listName,
+    member_id: p.memberId,
+    member_name: p.memberName,
+    started_at: active.started_at,
+    ended_at: new Date(endedMs).toISOString(),
+    duration_ms: durationMs,
+    labels: p.labels,
+    note: p.note,
+    // Missing on operations queued before focus mode existed
+    focus_block: p.focusBlock === true,
+  });
+  if (insertError && !isDuplicate(insertError)) throw insertError;
+
+  // Logged while the timer still exists, so a retry gets here again
+  await recordAudit(
+    {
+      ...opAudit(p, opId, "timer_stop"),
+      after: {
+        entryId: p.entryId,
+        startedAt: active.started_at,
+        endedAt: new Date(endedMs).toISOString(),
+        durationMs,
+        note: p.note,
+        ...(p.focusBlock ? { focusBlock: true } : {}),
+      },
+    },
+    { required: true },
+  );
+
+  // Remove active timer
+  const { error: deleteError } = await supabase
+    .from("active_timers")
+    .delete()
+    .eq("id", active.id);
+  if (deleteError) throw deleteError;
+}
+
+// End and worked time of a timer stopped at endMs: a paused timer ended
+// when it was paused, and time spent paused is not counted
+function stoppedSpan(active, endMs) {
+  const startMs = new Date(active.started_at).getTime();
+  const endedMs = active.paused_at
+    ? Math.min(endMs, new Date(active.paused_at).getTime())
+    : endMs;
+  return {
+    endedMs,
+    durationMs: Math.max(
+      0,
+      endedMs - startMs - (Number(active.paused_ms) || 0),
+    ),
+  };
+}
+
+async function applyPause(p, opId) {
+  const { data: active, error } = await supabase
+    .from("active_timers")
+    .select("id, started_at, paused_at")
+    .eq("card_id", p.cardId)
+    .eq("member_id", p.memberId)
+    .maybeSingle();
+
+  if (error) throw error;
+  // Nothing running, started after the click, or paused by someone else.
+  // Paused at exactly this click means an earlier attempt got as far as
+  // the update, and only the audit row is missing.
+  const ownPause =
+    active?.paused_at &&
+    new Date(active.paused_at).getTime() === new Date(p.clickedAt).getTime();
+  if (
+    !active ||
+    (active.paused_at && !ownPause) ||
+    new Date(active.started_at).getTime() > new Date(p.clickedAt).getTime()
+  ) {
+    return;
+  }
+
+  if (!ownPause) {
+    const { error: updateError } = await supabase
+      .from("active_timers")
+      .update({ paused_at: p.clickedAt })
+      .eq("id", active.id)
+      .is("paused_at", null);
+    if (updateError) throw updateError;
+  }
+
+  await recordAudit(
+    { ...opAudit(p, opId, "timer_pause"), after: { at: p.clickedAt } },
+    { required: true },
+  );
+}
+
+async function applyResume(p, opId) {
+  const { data: active, error } = await supabase
+    .from("active_timers")
+    .select("id, paused_at, paused_ms")
+    .eq("card_id", p.cardId)
+    .eq("member_id", p.memberId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!active?.paused_at) return;
+
+  const pausedMs = Math.max(
+    0,
+    new Date(p.clickedAt).getTime() - new Date(active.paused_at).getTime(),
+  );
+  // Logged while the timer is still paused, so a retry gets here again
+  await recordAudit(
+    {
+      ...opAudit(p, opId, "timer_resume"),
+      after: { at: p.clickedAt, pausedMs },
+    },
+    { required: true },
+  );
+
+  // Matching paused_at keeps a replayed resume from counting the pause twice
+  const { error: updateError } = await supabase
+    .from("active_timers")
+    .update({
+      paused_at: null,
+      paused_ms: (Number(active.paused_ms) || 0) + pausedMs,
+    })
+    .eq("id", active.id)
+    .eq("paused_at", active.paused_at);
+  if (updateError) throw updateError;
+}
+
+async function applyAdjust(p, opId) {
+  let actualDelta = p.deltaMs;
   let capped = false;
+  let currentTotal = null;
+
+  // Back-dated adjustments must not change a submitted or approved period
+  await assertUnlocked(
+    [
+      {
+        boardId: p.boardId,
+        memberId: p.memberId,
+        startedAt: p.at,
+        endedAt: p.at,
+      },
+    ],
+    "adjustTime",
+  );
 
   // If subtracting, check current total and cap at zero
-  if (deltaMs < 0) {
-    const { data: entries } = await supabase
+  if (p.deltaMs < 0) {
+    const { data: entries, error } = await supabase
       .from("time_entries")
       .select("duration_ms")
-      .eq("card_id", card.id)
-      .eq("member_id", member.id);
+      .eq("card_id", p.cardId)
+      .eq("member_id", p.memberId)
+      // Written by an earlier attempt of this op
+      .neq("id", p.entryId)
+      .is("deleted_at", null);
 
-    const currentTotal = (entries || []).reduce(
+    if (error) throw error;
+    currentTotal = (entries || []).reduce(
       (sum, e) => sum + (e.duration_ms || 0),
       0,
     );
@@ -152,51 +559,157 @@ export async function adjustTime(t, deltaMs, dateStr, targetMember) {
     if (currentTotal <= 0) {
       return { capped: true };
     }
-    if (currentTotal + deltaMs < 0) {
+    if (currentTotal + p.deltaMs < 0) {
       actualDelta = -currentTotal;
       capped = true;
     }
   }
 
-  // Use provided date at noon, or current time
-  const now = dateStr
-    ? new Date(dateStr + "T12:00:00").toISOString()
-    : new Date().toISOString();
-
   const { error } = await supabase.from("time_entries").insert({
-    board_id: board.id,
-    card_id: card.id,
-    card_name: card.name,
-    list_name: list.name,
-    member_id: member.id,
-    member_name: member.fullName,
-    started_at: now,
-    ended_at: now,
+    id: p.entryId,
+    board_id: p.boardId,
+    card_id: p.cardId,
+    card_name: p.cardName,
+    list_name: p.listName,
+    member_id: p.memberId,
+    member_name: p.memberName,
+    started_at: p.at,
+    ended_at: p.at,
     duration_ms: actualDelta,
-    labels: cardData.labels || [],
+    labels: p.labels,
+    note: p.note,
   });
+  if (error && !isDuplicate(error)) throw error;
 
-  if (error) console.error("[TimeTracker] adjustTime error:", error);
+  // The insert is idempotent on entryId, so a retry gets here again
+  await recordAudit(
+    {
+      ...opAudit(p, opId, actualDelta < 0 ? "time_subtract" : "time_add"),
+      before: currentTotal === null ? null : { totalMs: currentTotal },
+      after: {
+        entryId: p.entryId,
+        at: p.at,
+        durationMs: actualDelta,
+        requestedMs: p.deltaMs,
+        note: p.note,
+      },
+    },
+    { required: true },
+  );
   return { capped };
 }
 
+function applyOp(op) {
+  switch (op.type) {
+    case "start":
+      return applyStart(op.payload, op.id);
+    case "stop":
+      return applyStop(op.payload, op.id);
+    case "pause":
+      return applyPause(op.payload, op.id);
+    case "resume":
+      return applyResume(op.payload, op.id);
+    case "adjust":
+      return applyAdjust(op.payload, op.id);
+    default:
+      throw new Error(`Unknown outbox operation: ${op.type}`);
+  }
+}
+
+/**
+ * Write queued timer operations to Supabase.
+ * Called after every queued write and periodically by the timer popup.
+ * Only operations for the board this iframe is signed in to are sent; the
+ * token would not allow writes to another board (see auth.js).
+ * @param {{ force?: boolean, callerOpId?: string }} [options] – force retries
+ *   without waiting for backoff; callerOpId is the operation the caller
+ *   reports errors for (see flushOutbox)
+ * @returns {Promise<{ pending: number, results: Object, errors: Object }>}
+ */
+export function syncOutbox(options) {
+  const boardId = getAuthBoardId();
+  return flushOutbox(applyOp, {
+    ...options,
+    match: (op) => op.payload.boardId === boardId,
+  });
+}
+
+/**
+ * Apply not-yet-synced operations for a card on top of server data, so the
+ * popup reflects what the user did while offline.
+ */
+function applyPendingOps(result, cardId) {
+  for (const { type, payload: p } of getPendingOps()) {
+    if (p.cardId !== cardId) continue;
+    const member = (result[p.memberId] ||= {
+      name: p.memberName,
+      totalMs: 0,
+      activeStart: null,
+      pausedAt: null,
+    });
+    member.pending = true;
+
+    if (type === "start" && member.activeStart == null) {
+      member.activeStart = new Date(p.startedAt).getTime();
+      member.pausedAt = null;
+      member.focusBlock = p.focusBlock === true;
+    } else if (type === "stop" && member.activeStart != null) {
+      const clickedMs = new Date(p.clickedAt).getTime();
+      const endMs = p.endAt
+        ? Math.min(
+            clickedMs,
+            Math.max(member.activeStart, new Date(p.endAt).getTime()),
+          )
+        : clickedMs;
+      member.totalMs += Math.max(
+        0,
+        Math.min(member.pausedAt ?? endMs, endMs) - member.activeStart,
+      );
+      if (p.focusBlock) member.focusBlocks = (member.focusBlocks || 0) + 1;
+      member.activeStart = null;
+      member.pausedAt = null;
+    } else if (
+      type === "pause" &&
+      member.activeStart != null &&
+      member.pausedAt == null
+    ) {
+      member.pausedAt = new Date(p.clickedAt).getTime();
+    } else if (type === "resume" && member.pausedAt != null) {
+      // Move the start forward by the pause, as paused_ms does
+      member.activeStart += new Date(p.clickedAt).getTime() - member.pausedAt;
+      member.pausedAt = null;
+    } else if (type === "adjust") {
+      member.totalMs = Math.max(0, member.totalMs + p.deltaMs);
+    }
+  }
+  return result;
+}
+
 // ---------------------------------------------------------------------------
 // Read operations (per card)
 // ---------------------------------------------------------------------------
 
+// Last successful getCardTimeData result per card, used while offline
+const lastCardData = new Map();
+
 /**
  * Get all time data for a specific card, grouped by member.
- * Returns same shape as before: { [memberId]: { name, totalMs, activeStart } }
+ * Returns same shape as before: { [memberId]: { name, totalMs, activeStart } },
+ * plus pausedAt for paused timers (see getActiveMs in time.js),
+ * focusBlocks, the member's completed focus blocks on the card, and
+ * focusBlock, true while the running timer is a focus-mode work block.
+ * Members with unsynced outbox operations are flagged with pending: true.
  */
 export async function getCardTimeData(t) {
   const card = await t.card("id");
   const result = {};
 
   // Get completed time per member
-  const { data: entries } = await supabase
+  const { data: entries, error: entriesError } = await supabase
     .from("time_entries")
-    .select("member_id, member_name, duration_ms")
-    .eq("card_id", card.id);
+    .select("member_id, member_name, duration_ms, focus_block")
+    .eq("card_id", card.id)
+    .is("deleted_at", null);
 
   if (entries) {
     for (const entry of entries) {
@@ -205,18 +718,23 @@ export async function getCardTimeData(t) {
           name: entry.member_name,
           totalMs: 0,
           activeStart: null,
+          focusBlocks: 0,
         };
       }
       result[entry.member_id].totalMs += entry.duration_ms || 0;
+      if (entry.focus_block) result[entry.member_id].focusBlocks += 1;
       result[entry.member_id].name = entry.member_name;
     }
   }
 
   // Get active timers
-  const { data: actives } = await supabase
+  const { data: actives, error: activesError } = await supabase
     .from("active_timers")
-    .select("member_id, member_name, started_at")
+    .select(
+      "id, member_id, member_name, started_at, paused_at, paused_ms, focus_block",
+    )
     .eq("card_id", card.id);
+  trackRows("active_timers", actives);
 
   if (actives) {
     for (const active of actives) {
@@ -227,87 +745,390 @@ export async function getCardTimeData(t) {
           activeStart: null,
         };
       }
-      result[active.member_id].activeStart = new Date(
-        active.started_at,
-      ).getTime();
+      Object.assign(result[active.member_id], activeTiming(active), {
+        focusBlock: active.focus_block === true,
+      });
     }
   }
 
-  return result;
+  // Offline: keep showing the last data we got from Supabase
+  const readError = entriesError || activesError;
+  if (readError) {
+    const cached = lastCardData.get(card.id);
+    if (!cached || !isNetworkError(readError)) {
+      throwIfError(readError, "getCardTimeData");
+    }
+    return applyPendingOps(structuredClone(cached), card.id);
+  }
+  lastCardData.set(card.id, structuredClone(result));
+
+  return applyPendingOps(result, card.id);
+}
+
+// activeStart/pausedAt for an active_timers row: the start is moved forward
+// by the time already spent paused (see getActiveMs in time.js)
+function activeTiming(active) {
+  return {
+    activeStart:
+      new Date(active.started_at).getTime() + (Number(active.paused_ms) || 0),
+    pausedAt: active.paused_at ? new Date(active.paused_at).getTime() : null,
+  };
+}
+
+/**
+ * List every completed time entry for a card, newest first.
+ * Used by the per-entry log in the timer popup.
+ * @param {object} t
+ * @returns {Promise<Array<{ id, member_id, member_name, started_at, ended_at, duration_ms, note, billable, focus_block }>>}
+ */
+export async function getCardTimeEntries(t) {
+  const card = await t.card("id");
+
+  const { data, error } = await supabase
+    .from("time_entries")
+    .select(
+      "id, member_id, member_name, started_at, ended_at, duration_ms, note, billable, focus_block",
+    )
+    .eq("card_id", card.id)
+    .is("deleted_at", null)
+    .order("started_at", { ascending: false });
+
+  throwIfError(error, "getCardTimeEntries");
+  return data || [];
+}
+
+// ---------------------------------------------------------------------------
+// Entry-level edits
+// ---------------------------------------------------------------------------
+
+// Load an entry before changing it (for validation and the audit log) and
+// check that the current member may change it and its period is not locked
+async function fetchEntry(t, entryId, operation) {
+  const { data: entry, error } = await supabase
+    .from("time_entries")
+    .select("*")
+    .eq("id", entryId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  throwIfError(error, operation);
+  if (!entry) {
+    throw new StorageError("conflict", "Oppføringen finnes ikke lenger.", {
+      operation,
+    });
+  }
+  await assertPermission("editOthersTime", {
+    t,
+    memberIds: [entry.member_id],
+  });
+  await assertUnlocked([entrySpan(entry)], operation);
+  return entry;
+}
+
+function entrySpan(entry) {
+  return {
+    boardId: entry.board_id,
+    memberId: entry.member_id,
+    startedAt: entry.started_at,
+    endedAt: entry.ended_at,
+  };
+}
+
+function entryAudit(entry, action) {
+  return {
+    boardId: entry.board_id,
+    cardId: entry.card_id,
+    cardName: entry.card_name,
+    memberId: entry.member_id,
+    memberName: entry.member_name,
+    action,
+  };
+}
+
+function entrySnapshot(entry) {
+  return {
+    entryId: entry.id,
+    startedAt: entry.started_at,
+    endedAt: entry.ended_at,
+    durationMs: entry.duration_ms,
+    note: entry.note,
+    billable: entry.billable,
+  };
+}
+
+/**
+ * Change the start/end of a single completed entry.
+ * duration_ms is recalculated from the new times.
+ * @param {object} t
+ * @param {string} entryId
+ * @param {string} startedAt – ISO timestamp
+ * @param {string} endedAt – ISO timestamp (must be after startedAt)
+ * @returns {Promise<void>}
+ */
+export async function updateTimeEntry(t, entryId, startedAt, endedAt) {
+  const startMs = new Date(startedAt).getTime();
+  const endMs = new Date(endedAt).getTime();
+  if (!(endMs > startMs)) {
+    throw new StorageError("validation", "Slutt må være etter start.", {
+      operation: "updateTimeEntry",
+    });
+  }
+
+  const entry = await fetchEntry(t, entryId, "updateTimeEntry");
+  const changes = {
+    started_at: new Date(startMs).toISOString(),
+    ended_at: new Date(endMs).toISOString(),
+    duration_ms: endMs - startMs,
+  };
+  // Moving an entry into a locked period is refused too
+  await assertUnlocked(
+    [entrySpan({ ...entry, ...changes })],
+    "updateTimeEntry",
+  );
+  const { error } = await supabase
+    .from("time_entries")
+    .update(changes)
+    .eq("id", entryId);
+
+  throwIfError(error, "updateTimeEntry");
+  await recordAudit({
+    ...entryAudit(entry, "entry_update"),
+    before: entrySnapshot(entry),
+    after: entrySnapshot({ ...entry, ...changes }),
+  });
+}
+
+/**
+ * Split one completed entry into two at the given moment.
+ * The original row keeps the first part, a new row gets the rest.
+ * @param {object} t
+ * @param {string} entryId
+ * @param {string} splitAt – ISO timestamp strictly between start and end
+ * @returns {Promise<void>}
+ */
+export async function splitTimeEntry(t, entryId, splitAt) {
+  const entry = await fetchEntry(t, entryId, "splitTimeEntry");
+
+  const startMs = new Date(entry.started_at).getTime();
+  const endMs = new Date(entry.ended_at).getTime();
+  const splitMs = new Date(splitAt).getTime();
+  if (!(splitMs > startMs && splitMs < endMs)) {
+    throw new StorageError(
+      "validation",
+      "Delingstidspunktet må være mellom start og slutt.",
+      { operation: "splitTimeEntry" },
+    );
+  }
+
+  const splitIso = new Date(splitMs).toISOString();
+  const { id, created_at, ...rest } = entry;
+
+  const second = {
+    ...rest,
+    id: crypto.randomUUID(),
+    started_at: splitIso,
+    ended_at: entry.ended_at,
+    duration_ms: endMs - splitMs,
+  };
+  // Shorten the original first: if the insert then fails, the second half is
+  // missing for a moment instead of being counted twice
+  const firstChanges = { ended_at: splitIso, duration_ms: splitMs - startMs };
+  const { error: updateErr } = await supabase
+    .from("time_entries")
+    .update(firstChanges)
+    .eq("id", entryId);
+
+  throwIfError(updateErr, "splitTimeEntry");
+
+  const { error: insertErr } = await supabase
+    .from("time_entries")
+    .insert(second);
+
+  if (insertErr) {
+    const { error: revertErr } = await supabase
+      .from("time_entries")
+      .update({ ended_at: entry.ended_at, duration_ms: entry.duration_ms })
+      .eq("id", entryId);
+    if (revertErr) {
+      console.error("[TimeTracker] splitTimeEntry revert error:", revertErr);
+    }
+  }
+  throwIfError(insertErr, "splitTimeEntry");
+  await recordAudit({
+    ...entryAudit(entry, "entry_split"),
+    before: entrySnapshot(entry),
+    after: {
+      first: entrySnapshot({ ...entry, ...firstChanges }),
+      second: entrySnapshot(second),
+    },
+  });
+}
+
+/**
+ * Mark a single entry as billable or non-billable.
+ * @param {object} t
+ * @param {string} entryId
+ * @param {boolean} billable
+ */
+export async function setTimeEntryBillable(t, entryId, billable) {
+  const entry = await fetchEntry(t, entryId, "setTimeEntryBillable");
+  const { error } = await supabase
+    .from("time_entries")
+    .update({ billable })
+    .eq("id", entryId);
+
+  throwIfError(error, "setTimeEntryBillable");
+  await recordAudit({
+    ...entryAudit(entry, "entry_billable"),
+    before: { entryId, billable: entry.billable },
+    after: { entryId, billable },
+  });
+}
+
+/**
+ * Delete a single completed entry. The entry is moved to the trash and can
+ * be brought back with restoreDeletedBatch(batchId).
+ * @param {object} t
+ * @param {string} entryId
+ * @returns {Promise<{ batchId: string }>}
+ */
+export async function deleteTimeEntry(t, entryId) {
+  const entry = await fetchEntry(t, entryId, "deleteTimeEntry");
+  const batchId = crypto.randomUUID();
+  const { error } = await supabase
+    .from("time_entries")
+    .update(deletionMarker(batchId, "entry"))
+    .eq("id", entryId);
+
+  throwIfError(error, "deleteTimeEntry");
+  await recordAudit({
+    ...entryAudit(entry, "entry_delete"),
+    before: entrySnapshot(entry),
+    after: { batchId },
+  });
+  return { batchId };
 }
 
 // ---------------------------------------------------------------------------
 // Board-level report
 // ---------------------------------------------------------------------------
 
+// Days in report_daily_totals are bucketed in the user's time zone
+function getTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
 /**
  * Fetch time report for the entire board.
  * Supports optional date filtering.
  * Labels are fetched live from Trello (not from stored data) so changes are always reflected.
+ *
+ * Completed time is summed in the database (report_totals and
+ * report_daily_totals, see README) so only totals cross the wire. Grouping
+ * by label is done from the per-card totals, since labels are live. Each
+ * member's totals also carry focusBlocks, the focus-mode work blocks
+ * completed in the range.
+ *
+ * Filtering is overlap-based: a session that crosses from/to (or midnight,
+ * for the daily rows) only counts the part inside the range, the same way
+ * running timers are clipped below.
+ *
+ * `entries` places time on the calendar for the timesheet and time-series
+ * chart. It holds one row per card, member and day of completed time, plus
+ * one row per running timer:
+ *   { id, cardId, memberId, memberName, startedAt, endedAt, durationMs,
+ *     note, billable, activeStart, pausedAt, day }
+ * startedAt/endedAt are epoch ms (local midnight for day rows, which have
+ * day: true). Running timers in the current period have activeStart set and
+ * durationMs 0 – add getActiveMs(entry) (time.js) when rendering; paused
+ * timers also have pausedAt and do not tick. Individual
+ * sessions are read with getBoardTimeEntries().
  */
 export async function getBoardTimeReport(t, filters = {}) {
   const board = await t.board("id");
 
   // Fetch current card data from Trello for live labels and names
-  const trelloCards = await t.cards("id", "name", "idList", "labels");
-  const trelloLists = await t.lists("id", "name");
-  const listMap = Object.fromEntries(trelloLists.map((l) => [l.id, l.name]));
-  const cardInfoMap = Object.fromEntries(
-    trelloCards.map((c) => [
-      c.id,
-      {
-        name: c.name,
-        listName: listMap[c.idList] || "",
-        labels: c.labels || [],
-      },
-    ]),
-  );
-
-  let query = supabase
-    .from("time_entries")
-    .select(
-      "card_id, card_name, list_name, member_id, member_name, duration_ms, started_at",
-    )
-    .eq("board_id", board.id)
-    .order("started_at", { ascending: false });
-
-  if (filters.from) query = query.gte("started_at", filters.from);
-  if (filters.to) query = query.lte("started_at", filters.to);
+  const cardInfoMap = await getCardInfoMap(t);
 
-  const { data: entries, error } = await query;
-  if (error) throw error;
+  const range = {
+    p_board_id: board.id,
+    p_from: filters.from || null,
+    p_to: filters.to || null,
+  };
+  const [totals, days] = await Promise.all([
+    fetchAllRows(
+      (from, to) =>
+        supabase
+          .rpc("report_totals", range)
+          .order("card_id")
+          .order("member_id")
+          .range(from, to),
+      "getBoardTimeReport",
+    ),
+    fetchAllRows(
+      (from, to) =>
+        supabase
+          .rpc("report_daily_totals", { ...range, p_tz: getTimeZone() })
+          .order("day")
+          .order("card_id")
+          .order("member_id")
+          .range(from, to),
+      "getBoardTimeReport",
+    ),
+  ]);
 
   // Also get active timers (include id for stopping)
-  const { data: actives } = await supabase
+  const { data: actives, error: activesError } = await supabase
     .from("active_timers")
-    .select("id, card_id, member_id, member_name, started_at")
+    .select(
+      "id, card_id, member_id, member_name, started_at, paused_at, paused_ms",
+    )
     .eq("board_id", board.id);
+  throwIfError(activesError, "getBoardTimeReport");
+  trackRows("active_timers", actives);
 
   // Group by card
   const cardMap = new Map();
+  const entryList = [];
 
-  for (const entry of entries || []) {
-    if (!cardMap.has(entry.card_id)) {
+  for (const row of totals) {
+    if (!cardMap.has(row.card_id)) {
       // Use live Trello data if available, fall back to stored data
-      const live = cardInfoMap[entry.card_id];
-      cardMap.set(entry.card_id, {
-        cardId: entry.card_id,
-        cardName: live?.name || entry.card_name,
-        listName: live?.listName || entry.list_name,
+      const live = cardInfoMap[row.card_id];
+      cardMap.set(row.card_id, {
+        cardId: row.card_id,
+        cardName: live?.name || row.card_name,
+        listName: live?.listName || row.list_name,
         labels: live?.labels || [],
         timeData: {},
       });
     }
-    const card = cardMap.get(entry.card_id);
-    if (!card.timeData[entry.member_id]) {
-      card.timeData[entry.member_id] = {
-        name: entry.member_name,
-        totalMs: 0,
-        activeStart: null,
-        activeTimerId: null,
-      };
-    }
-    card.timeData[entry.member_id].totalMs += entry.duration_ms || 0;
+    cardMap.get(row.card_id).timeData[row.member_id] = {
+      name: row.member_name,
+      totalMs: Number(row.total_ms) || 0,
+      activeStart: null,
+      activeTimerId: null,
+      notes: row.notes || [],
+      billableMs: Number(row.billable_ms) || 0,
+      focusBlocks: Number(row.focus_blocks) || 0,
+    };
+  }
+
+  for (const row of days) {
+    const dayStart = new Date(row.day + "T00:00:00").getTime();
+    entryList.push({
+      id: `${row.day}:${row.card_id}:${row.member_id}`,
+      cardId: row.card_id,
+      memberId: row.member_id,
+      memberName: row.member_name,
+      startedAt: dayStart,
+      endedAt: dayStart,
+      durationMs: Number(row.total_ms) || 0,
+      note: null,
+      billable: Number(row.billable_ms) === Number(row.total_ms),
+      activeStart: null,
+      day: true,
+    });
   }
 
   // Determine if the filtered period includes the current moment.
@@ -346,59 +1167,330 @@ export async function getBoardTimeReport(t, filters = {}) {
         totalMs: 0,
         activeStart: null,
         activeTimerId: null,
+        notes: [],
+        billableMs: 0,
+        focusBlocks: 0,
       };
     }
 
+    const { activeStart, pausedAt } = activeTiming(active);
+    // Worked time inside the period so far, without time spent paused
+    const workedMs = getTimerWorkedMs(
+      active,
+      fromMs,
+      periodIncludesNow ? Infinity : toMs,
+      nowMs,
+    );
+    // Current period: show as active (green, ticking unless paused), with
+    // the start placed so the elapsed time is the worked time in the period
+    const clampedStart = (pausedAt ?? nowMs) - workedMs;
     if (periodIncludesNow) {
-      // Current period: show as active (green, ticking) with clamped start
-      card.timeData[active.member_id].activeStart = Math.max(
-        activeStartMs,
-        fromMs,
-      );
+      card.timeData[active.member_id].activeStart = clampedStart;
+      card.timeData[active.member_id].pausedAt = pausedAt;
       card.timeData[active.member_id].activeTimerId = active.id;
+      // Unclamped start (moved past pauses), used to detect sessions past
+      // the max length
+      card.timeData[active.member_id].activeTimerStartedAt = activeStart;
     } else {
-      // Past period: add the fixed time contribution, don't show as active
-      card.timeData[active.member_id].totalMs += overlapEnd - overlapStart;
+      // Past period: add the fixed time contribution, don't show as active.
+      // Running timers become billable entries by default.
+      card.timeData[active.member_id].totalMs += workedMs;
+      card.timeData[active.member_id].billableMs += workedMs;
     }
+
+    entryList.push({
+      id: active.id,
+      cardId: active.card_id,
+      memberId: active.member_id,
+      memberName: active.member_name,
+      startedAt: overlapStart,
+      endedAt: periodIncludesNow ? null : overlapEnd,
+      durationMs: periodIncludesNow ? 0 : workedMs,
+      note: null,
+      billable: true,
+      activeStart: periodIncludesNow ? clampedStart : null,
+      pausedAt: periodIncludesNow ? pausedAt : null,
+    });
   }
 
-  return { cards: Array.from(cardMap.values()), cardInfoMap };
+  return {
+    cards: Array.from(cardMap.values()),
+    cardInfoMap,
+    entries: entryList,
+  };
+}
+
+/**
+ * Fetch individual sessions on the board, newest first, one page at a time.
+ * Used where the report needs raw rows (timesheet drilldown) now that
+ * getBoardTimeReport only returns totals.
+ * @param {object} t
+ * @param {{ from?: string, to?: string, cardId?: string, memberId?: string }} [filters]
+ *   from/to are ISO strings; sessions overlapping the range are returned
+ *   with durationMs clipped to it
+ * @param {{ page?: number, pageSize?: number }} [paging]
+ * @returns {Promise<{ rows: Array, hasMore: boolean }>} rows in the
+ *   getBoardTimeReport entry shape
+ */
+export async function getBoardTimeEntries(t, filters = {}, paging) {
+  const board = await t.board("id");
+
+  const { rows, hasMore } = await fetchRowsPage(
+    (from, to) => {
+      let query = supabase
+        .from("time_entries")
+        .select(
+          "id, card_id, member_id, member_name, duration_ms, started_at, ended_at, note, billable",
+        )
+        .eq("board_id", board.id)
+        .is("deleted_at", null);
+      // Manual entries have ended_at = started_at, so this covers them too
+      if (filters.from) query = query.gte("ended_at", filters.from);
+      if (filters.to) query = query.lte("started_at", filters.to);
+      if (filters.cardId) query = query.eq("card_id", filters.cardId);
+      if (filters.memberId) query = query.eq("member_id", filters.memberId);
+      return query
+        .order("started_at", { ascending: false })
+        .order("id")
+        .range(from, to);
+    },
+    "getBoardTimeEntries",
+    paging,
+  );
+
+  const fromMs = filters.from ? new Date(filters.from).getTime() : -Infinity;
+  const toMs = filters.to ? new Date(filters.to).getTime() : Infinity;
+
+  return {
+    rows: rows.map((entry) => {
+      const startedAt = new Date(entry.started_at).getTime();
+      const endedAt = new Date(entry.ended_at || entry.started_at).getTime();
+      return {
+        id: entry.id,
+        cardId: entry.card_id,
+        memberId: entry.member_id,
+        memberName: entry.member_name,
+        startedAt,
+        endedAt,
+        durationMs: clipDurationMs(
+          startedAt,
+          endedAt,
+          entry.duration_ms || 0,
+          fromMs,
+          toMs,
+        ),
+        note: entry.note || null,
+        billable: entry.billable !== false,
+        activeStart: null,
+      };
+    }),
+    hasMore,
+  };
+}
+
+/**
+ * Every completed session on the board in a date range, oldest first, for the
+ * entry-level export. Sessions that cross from/to are cut at the edge: start,
+ * end and duration only cover the part inside the range, so the rows add up
+ * to the report's totals. Running timers are left out.
+ * @param {object} t
+ * @param {{ from?: string, to?: string, memberId?: string }} [filters]
+ *   from/to – ISO strings; memberId – only this member's sessions
+ * @returns {Promise<Array<{ id, cardId, cardName, listName, labels: string[],
+ *   memberId, memberName, startedAt: number, endedAt: number,
+ *   durationMs: number, manual: boolean, note, billable }>>}
+ */
+export async function getAllBoardTimeEntries(t, filters = {}) {
+  const board = await t.board("id");
+  const cardInfoMap = await getCardInfoMap(t);
+
+  const rows = await fetchAllRows((from, to) => {
+    let query = supabase
+      .from("time_entries")
+      .select(
+        "id, card_id, card_name, list_name, labels, member_id, member_name, duration_ms, started_at, ended_at, note, billable",
+      )
+      .eq("board_id", board.id)
+      .is("deleted_at", null);
+    if (filters.from) query = query.gte("ended_at", filters.from);
+    if (filters.to) query = query.lte("started_at", filters.to);
+    if (filters.memberId) query = query.eq("member_id", filters.memberId);
+    return query.order("started_at").order("id").range(from, to);
+  }, "getAllBoardTimeEntries");
+
+  const fromMs = filters.from ? new Date(filters.from).getTime() : -Infinity;
+  const toMs = filters.to ? new Date(filters.to).getTime() : Infinity;
+
+  return (
+    rows
+      .map((entry) => {
+        const startedAt = new Date(entry.started_at).getTime();
+        const endedAt = new Date(entry.ended_at || entry.started_at).getTime();
+        const manual = endedAt <= startedAt;
+        const live = cardInfoMap[entry.card_id];
+        return {
+          id: entry.id,
+          cardId: entry.card_id,
+          cardName: live?.name || entry.card_name || entry.card_id,
+          listName: live?.listName || entry.list_name || "",
+          labels: (live?.labels || entry.labels || []).map(
+            (l) => l.name || l.color,
+          ),
+          memberId: entry.member_id,
+          memberName: entry.member_name || entry.member_id,
+          startedAt: manual ? startedAt : Math.max(startedAt, fromMs),
+          endedAt: manual ? endedAt : Math.min(endedAt, toMs),
+          durationMs: clipDurationMs(
+            startedAt,
+            endedAt,
+            entry.duration_ms || 0,
+            fromMs,
+            toMs,
+          ),
+          manual,
+          note: entry.note || null,
+          billable: entry.billable !== false,
+        };
+      })
+      // Sessions that only touch the edge of the range
+      .filter((e) => e.manual || e.endedAt > e.startedAt)
+  );
+}
+
+/**
+ * Part of a session's duration inside [fromMs, toMs], matching
+ * entry_ms_between() in the README. Manual entries (no span) count in full.
+ */
+function clipDurationMs(startedAt, endedAt, durationMs, fromMs, toMs) {
+  if (endedAt <= startedAt) return durationMs;
+  const overlap = Math.min(endedAt, toMs) - Math.max(startedAt, fromMs);
+  if (overlap <= 0) return 0;
+  return Math.round((durationMs * overlap) / (endedAt - startedAt));
 }
 
 /**
  * Clear all time data for a card.
  */
 export async function clearCardTime(t) {
-  const card = await t.card("id");
-  await supabase.from("time_entries").delete().eq("card_id", card.id);
-  await supabase.from("active_timers").delete().eq("card_id", card.id);
+  const card = await t.card("id", "name");
+  return resetCardTimeById(t, card.id, { [card.id]: { name: card.name } });
+}
+
+// Columns that move entries to the trash, grouped by one delete operation
+function deletionMarker(batchId, kind) {
+  const claims = getAuthClaims();
+  return {
+    deleted_at: new Date().toISOString(),
+    deleted_by: claims?.memberId ?? null,
+    deleted_by_name: claims?.memberName ?? null,
+    delete_batch_id: batchId,
+    delete_kind: kind,
+  };
+}
+
+// One audit row per card and member, summing the entries a bulk operation
+// touched
+function auditByMember(rows, base, summaryKey) {
+  const byMember = new Map();
+  for (const row of rows) {
+    const key = `${row.card_id}:${row.member_id}`;
+    if (!byMember.has(key)) {
+      byMember.set(key, {
+        ...base,
+        boardId: row.board_id,
+        cardId: row.card_id ?? base.cardId,
+        cardName: row.card_name,
+        memberId: row.member_id,
+        memberName: row.member_name,
+        [summaryKey]: { ...base[summaryKey], totalMs: 0, entryCount: 0 },
+      });
+    }
+    const summary = byMember.get(key)[summaryKey];
+    summary.totalMs += row.duration_ms || 0;
+    summary.entryCount += 1;
+  }
+  return Array.from(byMember.values());
 }
 
 /**
  * Reset all time data for a card by card_id.
  * Works even if the card is archived/deleted in Trello.
+ * Running timers are stopped first, then every entry is moved to the trash;
+ * restoreDeletedBatch(batchId) undoes the reset.
+ * @param {object} t
  * @param {string} cardId
+ * @param {object} [cardInfoMap] – card_id -> { name, listName, labels }, used
+ *   for entries created from running timers
+ * @returns {Promise<{ batchId: string, entryCount: number }>}
  */
-export async function resetCardTimeById(cardId) {
-  const { error: e1 } = await supabase
-    .from("time_entries")
-    .delete()
-    .eq("card_id", cardId);
-  const { error: e2 } = await supabase
+export async function resetCardTimeById(t, cardId, cardInfoMap = {}) {
+  await assertPermission("resetCards", { t });
+
+  const { data: actives, error: e1 } = await supabase
     .from("active_timers")
-    .delete()
+    .select("*")
     .eq("card_id", cardId);
-  if (e1) console.error("[TimeTracker] resetCardTimeById entries error:", e1);
-  if (e2) console.error("[TimeTracker] resetCardTimeById timers error:", e2);
+  throwIfError(e1, "resetCardTimeById");
+  const current = await fetchAllRows(
+    (from, to) =>
+      supabase
+        .from("time_entries")
+        .select("id, board_id, member_id, started_at, ended_at")
+        .eq("card_id", cardId)
+        .is("deleted_at", null)
+        .order("id")
+        .range(from, to),
+    "resetCardTimeById",
+  );
+  await assertUnlocked(
+    [
+      ...current.map(entrySpan),
+      ...(actives || []).map((a) =>
+        entrySpan({ ...a, ended_at: new Date().toISOString() }),
+      ),
+    ],
+    "resetCardTimeById",
+  );
+  // Part of the reset, so stopping other members' timers needs no
+  // editOthersTime permission
+  if (actives?.length) await stopActives(actives, cardInfoMap);
+
+  const batchId = crypto.randomUUID();
+  const { data: entries, error: e2 } = await supabase
+    .from("time_entries")
+    .update(deletionMarker(batchId, "reset"))
+    .eq("card_id", cardId)
+    .is("deleted_at", null)
+    .select("board_id, card_name, member_id, member_name, duration_ms");
+  throwIfError(e2, "resetCardTimeById");
+
+  await recordAudit(
+    auditByMember(
+      entries || [],
+      { cardId, action: "card_reset", after: { totalMs: 0, batchId } },
+      "before",
+    ),
+  );
+  return { batchId, entryCount: entries?.length || 0 };
 }
 
 /**
  * Stop active timers by their IDs.
  * Converts each active timer into a completed time_entry, then deletes it.
+ * @param {object} t
  * @param {string[]} timerIds – IDs from the active_timers table
  * @param {object} [cardInfoMap] – Optional map of card_id -> { name, listName, labels }
+ * @param {string} [note] – Optional note stored on every resulting entry
+ * @param {number|null} [maxSessionMs] – If set, sessions with more worked
+ *   time than this are recorded as ending there (overflow discarded)
  */
-export async function stopActiveTimersByIds(timerIds, cardInfoMap = {}) {
+export async function stopActiveTimersByIds(
+  t,
+  timerIds,
+  cardInfoMap = {},
+  note,
+  maxSessionMs = null,
+) {
   if (!timerIds.length) return;
 
   // Fetch the active timers
@@ -407,14 +1499,33 @@ export async function stopActiveTimersByIds(timerIds, cardInfoMap = {}) {
     .select("*")
     .in("id", timerIds);
 
-  if (fetchErr || !actives?.length) {
-    console.error("[TimeTracker] stopActiveTimersByIds fetch error:", fetchErr);
-    return;
-  }
+  throwIfError(fetchErr, "stopActiveTimersByIds");
+  // Already stopped elsewhere
+  if (!actives?.length) return;
 
-  const endedAt = new Date();
+  await assertPermission("editOthersTime", {
+    t,
+    memberIds: actives.map((a) => a.member_id),
+  });
+  await stopActives(actives, cardInfoMap, note, maxSessionMs);
+}
+
+// Turn fetched active_timers rows into time entries and remove them
+async function stopActives(actives, cardInfoMap, note, maxSessionMs = null) {
+  const nowMs = Date.now();
   const entries = actives.map((a) => {
-    const startedAt = new Date(a.started_at);
+    // The max length applies to worked time, so paused time extends it
+    const { endedMs, durationMs } = stoppedSpan(
+      a,
+      maxSessionMs
+        ? Math.min(
+            nowMs,
+            new Date(a.started_at).getTime() +
+              (Number(a.paused_ms) || 0) +
+              maxSessionMs,
+          )
+        : nowMs,
+    );
     const info = cardInfoMap[a.card_id] || {};
     return {
       board_id: a.board_id,
@@ -424,31 +1535,395 @@ export async function stopActiveTimersByIds(timerIds, cardInfoMap = {}) {
       member_id: a.member_id,
       member_name: a.member_name,
       started_at: a.started_at,
-      ended_at: endedAt.toISOString(),
-      duration_ms: endedAt.getTime() - startedAt.getTime(),
+      ended_at: new Date(endedMs).toISOString(),
+      duration_ms: durationMs,
       labels: info.labels || [],
+      note: note?.trim() || null,
     };
   });
 
   const { error: insertErr } = await supabase
     .from("time_entries")
     .insert(entries);
-  if (insertErr) {
-    console.error(
-      "[TimeTracker] stopActiveTimersByIds insert error:",
-      insertErr,
-    );
-    return;
-  }
+  throwIfError(insertErr, "stopActiveTimersByIds");
 
   const { error: deleteErr } = await supabase
     .from("active_timers")
     .delete()
-    .in("id", timerIds);
+    .in(
+      "id",
+      actives.map((a) => a.id),
+    );
+
+  throwIfError(deleteErr, "stopActiveTimersByIds");
+  await recordAudit(
+    entries.map((e) => ({
+      boardId: e.board_id,
+      cardId: e.card_id,
+      cardName: e.card_name,
+      memberId: e.member_id,
+      memberName: e.member_name,
+      action: "timer_stop",
+      after: {
+        startedAt: e.started_at,
+        endedAt: e.ended_at,
+        durationMs: e.duration_ms,
+        note: e.note,
+      },
+    })),
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Trash (soft-deleted time)
+// ---------------------------------------------------------------------------
+
+/**
+ * Deleted time on the board, one item per delete operation (a card reset, a
+ * single entry deletion or a rolled back import), newest first.
+ * @param {object} t
+ * @returns {Promise<Array<{ batchId, kind: "reset"|"entry"|"import", cardId,
+ *   cardName, multipleCards, deletedAt, deletedBy, deletedByName, totalMs,
+ *   entryCount, memberNames }>>}
+ */
+export async function getDeletedBatches(t) {
+  const board = await t.board("id");
+  const cardInfoMap = await getCardInfoMap(t);
+
+  const rows = await fetchAllRows(
+    (from, to) =>
+      supabase
+        .from("time_entries")
+        .select(
+          "id, card_id, card_name, member_name, duration_ms, deleted_at, deleted_by, deleted_by_name, delete_batch_id, delete_kind",
+        )
+        .eq("board_id", board.id)
+        .not("deleted_at", "is", null)
+        .order("deleted_at", { ascending: false })
+        .order("id")
+        .range(from, to),
+    "getDeletedBatches",
+  );
+  trackRows("time_entries", rows);
+
+  const batches = new Map();
+  for (const row of rows) {
+    const key = row.delete_batch_id || row.id;
+    if (!batches.has(key)) {
+      batches.set(key, {
+        batchId: key,
+        kind: row.delete_kind || "reset",
+        cardId: row.card_id,
+        cardName: cardInfoMap[row.card_id]?.name || row.card_name,
+        multipleCards: false,
+        deletedAt: row.deleted_at,
+        deletedBy: row.deleted_by,
+        deletedByName: row.deleted_by_name,
+        totalMs: 0,
+        entryCount: 0,
+        memberNames: [],
+      });
+    }
+    const batch = batches.get(key);
+    if (row.card_id !== batch.cardId) batch.multipleCards = true;
+    batch.totalMs += row.duration_ms || 0;
+    batch.entryCount += 1;
+    if (row.member_name && !batch.memberNames.includes(row.member_name)) {
+      batch.memberNames.push(row.member_name);
+    }
+  }
+  return Array.from(batches.values());
+}
+
+/**
+ * Bring back the entries of one delete operation ("Angre" and the trash).
+ * Board admins can restore anything; other members only what they deleted.
+ * @param {string} batchId
+ */
+export async function restoreDeletedBatch(batchId) {
+  const { data: deleted, error: fetchErr } = await supabase
+    .from("time_entries")
+    .select("board_id, member_id, started_at, ended_at, deleted_by")
+    .eq("delete_batch_id", batchId)
+    .not("deleted_at", "is", null);
+  throwIfError(fetchErr, "restoreDeletedBatch");
+  if (!deleted?.length) {
+    throw new StorageError("conflict", "Finnes ikke lenger i papirkurven.", {
+      operation: "restoreDeletedBatch",
+    });
+  }
+  if (!isBoardAdmin() && deleted[0].deleted_by !== getAuthClaims()?.memberId) {
+    throw new StorageError(
+      "permission",
+      "Bare tavleadministratorer kan gjenopprette tid som andre har slettet.",
+      { operation: "restoreDeletedBatch" },
+    );
+  }
+  await assertUnlocked(deleted.map(entrySpan), "restoreDeletedBatch");
+
+  const { data: restored, error } = await supabase
+    .from("time_entries")
+    .update({
+      deleted_at: null,
+      deleted_by: null,
+      deleted_by_name: null,
+      delete_batch_id: null,
+      delete_kind: null,
+    })
+    .eq("delete_batch_id", batchId)
+    .select(
+      "board_id, card_id, card_name, member_id, member_name, duration_ms",
+    );
+  throwIfError(error, "restoreDeletedBatch");
+
+  await recordAudit(
+    auditByMember(
+      restored || [],
+      { action: "time_restore", before: { batchId } },
+      "after",
+    ),
+  );
+}
+
+/**
+ * Permanently delete the entries of one delete operation. Board admins only
+ * (also enforced by the delete policy on time_entries).
+ * @param {string} batchId
+ */
+export async function purgeDeletedBatch(batchId) {
+  if (!isBoardAdmin()) {
+    throw new StorageError(
+      "permission",
+      "Bare tavleadministratorer kan tømme papirkurven.",
+      { operation: "purgeDeletedBatch" },
+    );
+  }
+
+  const { data: purged, error } = await supabase
+    .from("time_entries")
+    .delete()
+    .eq("delete_batch_id", batchId)
+    .not("deleted_at", "is", null)
+    .select(
+      "board_id, card_id, card_name, member_id, member_name, duration_ms",
+    );
+  throwIfError(error, "purgeDeletedBatch");
+
+  await recordAudit(
+    auditByMember(
+      purged || [],
+      { action: "time_purge", after: null },
+      "before",
+    ),
+  );
+}
+
+// ---------------------------------------------------------------------------
+// CSV import
+// ---------------------------------------------------------------------------
+
+// Rows per insert request
+const IMPORT_CHUNK_SIZE = 500;
 
-  if (deleteErr)
-    console.error(
-      "[TimeTracker] stopActiveTimersByIds delete error:",
-      deleteErr,
+/**
+ * Add imported sessions (from prepareImportRows in csvImport.js) to the
+ * board. Every row gets the same import_batch_id; rollbackImport(batchId)
+ * moves them to the trash again. Importing for other members needs the
+ * editOthersTime permission, and no row may touch a locked period.
+ * If a later chunk fails, the rows already written keep the batch id and
+ * show up under getImportBatches, so they can be rolled back.
+ * @param {object} t
+ * @param {Array<{ cardId, cardName, memberId, memberName, startedAt: number,
+ *   endedAt: number, durationMs: number, note, billable }>} rows
+ * @param {string} [fileName] – for the change log
+ * @returns {Promise<{ batchId: string, entryCount: number }>}
+ */
+export async function importTimeEntries(t, rows, fileName) {
+  if (rows.length === 0) {
+    throw new StorageError("validation", "Ingen rader å importere.", {
+      operation: "importTimeEntries",
+    });
+  }
+  await assertPermission("editOthersTime", {
+    t,
+    memberIds: [...new Set(rows.map((r) => r.memberId))],
+  });
+  const board = await t.board("id");
+  const cardInfoMap = await getCardInfoMap(t);
+
+  const batchId = crypto.randomUUID();
+  const inserts = rows.map((r) => {
+    const info = cardInfoMap[r.cardId];
+    return {
+      board_id: board.id,
+      card_id: r.cardId,
+      card_name: info?.name || r.cardName,
+      list_name: info?.listName || null,
+      labels: info?.labels || [],
+      member_id: r.memberId,
+      member_name: r.memberName,
+      started_at: new Date(r.startedAt).toISOString(),
+      ended_at: new Date(r.endedAt).toISOString(),
+      duration_ms: r.durationMs,
+      note: r.note || null,
+      billable: r.billable !== false,
+      import_batch_id: batchId,
+    };
+  });
+  await assertUnlocked(inserts.map(entrySpan), "importTimeEntries");
+
+  for (let i = 0; i < inserts.length; i += IMPORT_CHUNK_SIZE) {
+    const { error } = await supabase
+      .from("time_entries")
+      .insert(inserts.slice(i, i + IMPORT_CHUNK_SIZE));
+    throwIfError(error, "importTimeEntries");
+  }
+
+  await recordAudit(
+    auditByMember(
+      inserts,
+      { action: "time_import", after: { batchId, fileName } },
+      "after",
+    ),
+  );
+  return { batchId, entryCount: inserts.length };
+}
+
+/**
+ * Sessions on the board that import rows would repeat, for the preview: the
+ * same member, start and end, not in the trash.
+ * @param {object} t
+ * @param {Array<{ memberId: string, startedAt: number, endedAt: number }>} rows
+ * @returns {Promise<Map<string, { imported: boolean }>>} keyed by sessionKey
+ *   (csvImport.js); `imported` if the entry came from an earlier import
+ */
+export async function findExistingSessions(t, rows) {
+  const existing = new Map();
+  if (rows.length === 0) return existing;
+  const board = await t.board("id");
+  const from = rows.reduce((min, r) => Math.min(min, r.startedAt), Infinity);
+  const to = rows.reduce((max, r) => Math.max(max, r.startedAt), -Infinity);
+
+  const entries = await fetchAllRows(
+    (rangeFrom, rangeTo) =>
+      supabase
+        .from("time_entries")
+        .select("id, member_id, started_at, ended_at, import_batch_id")
+        .eq("board_id", board.id)
+        .in("member_id", [...new Set(rows.map((r) => r.memberId))])
+        .gte("started_at", new Date(from).toISOString())
+        .lte("started_at", new Date(to).toISOString())
+        .is("deleted_at", null)
+        .order("id")
+        .range(rangeFrom, rangeTo),
+    "findExistingSessions",
+  );
+  for (const e of entries) {
+    existing.set(sessionKey(e.member_id, e.started_at, e.ended_at), {
+      imported: Boolean(e.import_batch_id),
+    });
+  }
+  return existing;
+}
+
+/**
+ * Imports on the board that still have entries, newest first.
+ * @param {object} t
+ * @returns {Promise<Array<{ batchId, importedAt, firstAt, lastAt, totalMs,
+ *   entryCount, memberNames: string[] }>>}
+ */
+export async function getImportBatches(t) {
+  const board = await t.board("id");
+
+  const rows = await fetchAllRows(
+    (from, to) =>
+      supabase
+        .from("time_entries")
+        .select(
+          "id, member_name, duration_ms, started_at, created_at, import_batch_id",
+        )
+        .eq("board_id", board.id)
+        .not("import_batch_id", "is", null)
+        .is("deleted_at", null)
+        .order("created_at", { ascending: false })
+        .order("id")
+        .range(from, to),
+    "getImportBatches",
+  );
+
+  const batches = new Map();
+  for (const row of rows) {
+    if (!batches.has(row.import_batch_id)) {
+      batches.set(row.import_batch_id, {
+        batchId: row.import_batch_id,
+        importedAt: row.created_at,
+        firstAt: row.started_at,
+        lastAt: row.started_at,
+        totalMs: 0,
+        entryCount: 0,
+        memberNames: [],
+      });
+    }
+    const batch = batches.get(row.import_batch_id);
+    batch.totalMs += row.duration_ms || 0;
+    batch.entryCount += 1;
+    if (row.started_at < batch.firstAt) batch.firstAt = row.started_at;
+    if (row.started_at > batch.lastAt) batch.lastAt = row.started_at;
+    if (row.member_name && !batch.memberNames.includes(row.member_name)) {
+      batch.memberNames.push(row.member_name);
+    }
+  }
+  return Array.from(batches.values());
+}
+
+/**
+ * Undo an import: its remaining entries go to the trash as one delete
+ * operation, so restoreDeletedBatch(batchId) brings them back.
+ * @param {object} t
+ * @param {string} importBatchId
+ * @returns {Promise<{ batchId: string, entryCount: number }>} batchId of the
+ *   delete operation
+ */
+export async function rollbackImport(t, importBatchId) {
+  const current = await fetchAllRows(
+    (from, to) =>
+      supabase
+        .from("time_entries")
+        .select("id, board_id, member_id, started_at, ended_at")
+        .eq("import_batch_id", importBatchId)
+        .is("deleted_at", null)
+        .order("id")
+        .range(from, to),
+    "rollbackImport",
+  );
+  if (current.length === 0) {
+    throw new StorageError("conflict", "Importen er allerede rullet tilbake.", {
+      operation: "rollbackImport",
+    });
+  }
+  await assertPermission("editOthersTime", {
+    t,
+    memberIds: [...new Set(current.map((e) => e.member_id))],
+  });
+  await assertUnlocked(current.map(entrySpan), "rollbackImport");
+
+  const batchId = crypto.randomUUID();
+  const { data: entries, error } = await supabase
+    .from("time_entries")
+    .update(deletionMarker(batchId, "import"))
+    .eq("import_batch_id", importBatchId)
+    .is("deleted_at", null)
+    .select(
+      "board_id, card_id, card_name, member_id, member_name, duration_ms",
     );
+  throwIfError(error, "rollbackImport");
+
+  await recordAudit(
+    auditByMember(
+      entries || [],
+      { action: "import_rollback", after: { totalMs: 0, batchId } },
+      "before",
+    ),
+  );
+  return { batchId, entryCount: entries?.length || 0 };
 }
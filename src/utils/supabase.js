@@ -3,15 +3,17 @@
  *
  * Uses Vite environment variables (prefixed with VITE_).
  * These are embedded at build time, so they're safe for frontend use.
- * The anon key is public in the client bundle. RLS policies are currently
- * open (using (true)), so access control relies on each team hosting their
- * own Supabase instance rather than database-level restrictions.
+ * The anon key is public in the client bundle; it only identifies the
+ * project. Rows are protected by RLS policies that require a board-scoped
+ * JWT, which auth.js obtains and hands to the client through
+ * setAccessTokenProvider(). Without one, requests go out with the anon key
+ * and see no data.
  */
 
 import { createClient } from "@supabase/supabase-js";
 
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
+export const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
+export const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
 if (!supabaseUrl || !supabaseKey) {
   console.error(
@@ -19,4 +21,19 @@ if (!supabaseUrl || !supabaseKey) {
   );
 }
 
-export const supabase = createClient(supabaseUrl || "", supabaseKey || "");
+// Set by auth.js once the iframe knows its board
+let tokenProvider = null;
+
+/**
+ * Register the function that returns the JWT sent with every request
+ * (REST, RPC and Realtime). It should resolve to null when no token is
+ * available, in which case the anon key is used.
+ * @param {() => Promise<string|null>} provider
+ */
+export function setAccessTokenProvider(provider) {
+  tokenProvider = provider;
+}
+
+export const supabase = createClient(supabaseUrl || "", supabaseKey || "", {
+  accessToken: async () => (tokenProvider ? tokenProvider() : null),
+});
@@ -64,15 +64,202 @@ export function parseDuration(str) {
 
 /**
  * Calculate total tracked time for a member from their time data.
- * Includes elapsed time from any active (running) session.
- * @param {{ totalMs: number, activeStart: number|null }} memberData
+ * Includes elapsed time from any active (running or paused) session.
+ * @param {{ totalMs: number, activeStart: number|null, pausedAt?: number|null }} memberData
  * @returns {number} total milliseconds
  */
 export function getTotalWithActive(memberData) {
   if (!memberData) return 0;
-  let total = memberData.totalMs || 0;
-  if (memberData.activeStart) {
-    total += Date.now() - memberData.activeStart;
+  return (memberData.totalMs || 0) + getActiveMs(memberData);
+}
+
+/**
+ * Worked time of a running or paused timer. activeStart is the start moved
+ * forward by the time spent paused, and a paused timer (pausedAt set) stops
+ * counting at pausedAt.
+ * @param {{ activeStart: number|null, pausedAt?: number|null }} data
+ * @param {number} [now]
+ * @returns {number} milliseconds, 0 if no timer is running
+ */
+export function getActiveMs(data, now = Date.now()) {
+  if (!data?.activeStart) return 0;
+  return Math.max(0, (data.pausedAt ?? now) - data.activeStart);
+}
+
+/**
+ * Worked time of an active_timers row inside [fromMs, toMs]. Paused time is
+ * left out, and the rest is clipped proportionally like a stopped session
+ * (see entry_ms_between() in the README).
+ * @param {{ started_at: string, paused_at?: string|null, paused_ms?: number }} active
+ * @returns {number} milliseconds
+ */
+export function getTimerWorkedMs(
+  active,
+  fromMs = -Infinity,
+  toMs = Infinity,
+  nowMs = Date.now(),
+) {
+  const startMs = new Date(active.started_at).getTime();
+  const endMs = active.paused_at ? new Date(active.paused_at).getTime() : nowMs;
+  const workedMs = Math.max(
+    0,
+    endMs - startMs - (Number(active.paused_ms) || 0),
+  );
+  const overlap = Math.min(endMs, toMs) - Math.max(startMs, fromMs);
+  if (endMs <= startMs || overlap <= 0) return 0;
+  return Math.round((workedMs * overlap) / (endMs - startMs));
+}
+
+/**
+ * Format an ISO timestamp as a short local date/time, e.g. "14.03 09:05".
+ * @param {string} isoString
+ * @returns {string}
+ */
+export function formatDateTime(isoString) {
+  if (!isoString) return "";
+  const d = new Date(isoString);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(d.getDate())}.${pad(d.getMonth() + 1)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Convert an ISO timestamp to the value format of <input type="datetime-local">.
+ * @param {string} isoString
+ * @returns {string} YYYY-MM-DDTHH:MM in local time
+ */
+export function toDateTimeInput(isoString) {
+  if (!isoString) return "";
+  const d = new Date(isoString);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Local calendar day of a timestamp as "YYYY-MM-DD".
+ * @param {number|Date} value – epoch ms or Date
+ * @returns {string}
+ */
+export function toDateKey(value) {
+  const d = new Date(value);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * ISO 8601 week of a timestamp (weeks start on Monday, week 1 holds Jan 4th).
+ * @param {number|Date} value
+ * @returns {{ year: number, week: number, key: string }} key like "2024-W07"
+ */
+export function getIsoWeek(value) {
+  const d = new Date(value);
+  const date = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  // Thursday of this week decides the ISO year
+  date.setDate(date.getDate() + 3 - ((date.getDay() + 6) % 7));
+  const year = date.getFullYear();
+  const jan4 = new Date(year, 0, 4);
+  const week =
+    1 +
+    Math.round(((date - jan4) / 86400000 - 3 + ((jan4.getDay() + 6) % 7)) / 7);
+  return { year, week, key: `${year}-W${String(week).padStart(2, "0")}` };
+}
+
+/**
+ * Local midnight of the Monday starting the week of a timestamp.
+ * @param {number|Date} value
+ * @returns {Date}
+ */
+export function startOfWeek(value) {
+  const d = new Date(value);
+  const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+  return monday;
+}
+
+const WEEKDAYS = ["sø", "ma", "ti", "on", "to", "fr", "lø"];
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "mai",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "okt",
+  "nov",
+  "des",
+];
+
+/**
+ * Bucket key of a timestamp for the given period size.
+ * @param {number} ms
+ * @param {'day'|'week'|'month'} period
+ * @returns {string} "YYYY-MM-DD", "YYYY-Www" or "YYYY-MM"
+ */
+export function periodKey(ms, period) {
+  if (period === "week") return getIsoWeek(ms).key;
+  if (period === "month") return toDateKey(ms).slice(0, 7);
+  return toDateKey(ms);
+}
+
+/**
+ * List consecutive periods covering [fromMs, toMs].
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @param {'day'|'week'|'month'} period
+ * @returns {Array<{ key: string, label: string, start: number, weekend: boolean }>}
+ */
+export function listPeriods(fromMs, toMs, period) {
+  const result = [];
+  const first = new Date(fromMs);
+  const cursor =
+    period === "week"
+      ? startOfWeek(fromMs)
+      : period === "month"
+        ? new Date(first.getFullYear(), first.getMonth(), 1)
+        : new Date(first.getFullYear(), first.getMonth(), first.getDate());
+
+  while (cursor.getTime() <= toMs) {
+    const start = cursor.getTime();
+    const day = cursor.getDay();
+    let label;
+    if (period === "week") {
+      label = `U${getIsoWeek(start).week}`;
+    } else if (period === "month") {
+      label = `${MONTHS[cursor.getMonth()]} ${cursor.getFullYear()}`;
+    } else {
+      label = `${WEEKDAYS[day]} ${cursor.getDate()}.${cursor.getMonth() + 1}`;
+    }
+    result.push({
+      key: periodKey(start, period),
+      label,
+      start,
+      weekend: period === "day" && (day === 0 || day === 6),
+    });
+
+    if (period === "week") cursor.setDate(cursor.getDate() + 7);
+    else if (period === "month") cursor.setMonth(cursor.getMonth() + 1);
+    else cursor.setDate(cursor.getDate() + 1);
   }
-  return total;
+  return result;
+}
+
+/**
+ * Resolve the span to chart/tabulate for a report filter.
+ * Open ends fall back to the data itself; the end never goes past now.
+ * @param {string|null} from – ISO start (inclusive)
+ * @param {string|null} to – ISO end (exclusive)
+ * @param {number[]} timestamps – entry start times (epoch ms)
+ * @param {number} now
+ * @returns {{ fromMs: number, toMs: number }}
+ */
+export function getPeriodRange(from, to, timestamps, now) {
+  const fromMs = from
+    ? new Date(from).getTime()
+    : timestamps.length
+      ? timestamps.reduce((min, ms) => Math.min(min, ms), now)
+      : now;
+  const toMs = to ? Math.min(new Date(to).getTime() - 1, now) : now;
+  return { fromMs, toMs: Math.max(fromMs, toMs) };
 }
@@ -0,0 +1,390 @@
+/**
+ * xlsx.js – Minimal .xlsx writer for the Excel exports (see export.js).
+ *
+ * Writes just enough SpreadsheetML for Excel, LibreOffice and Google Sheets:
+ * one worksheet per sheet, a bold frozen header row, column widths, an
+ * optional "Sum" row with SUM formulas, and typed cells so durations, hours,
+ * amounts and dates are numbers rather than text. The zip is stored without
+ * compression, which keeps this free of dependencies.
+ *
+ * Column types and the value each expects:
+ *   text     – anything, written as a string
+ *   number   – plain number (0.00)
+ *   hours    – decimal hours (0.00)
+ *   duration – milliseconds, written as an Excel time value shown as [h]:mm
+ *   date     – timestamp (ms), shown as yyyy-mm-dd in local time
+ *   datetime – timestamp (ms), shown as yyyy-mm-dd hh:mm in local time
+ *   percent  – fraction (0.25 = 25 %)
+ *   integer  – whole number
+ * null, undefined and "" leave the cell empty; a string in a numeric column
+ * is written as text.
+ *
+ * The workbook uses the 1904 date system, which is the only one where Excel
+ * shows negative durations (subtracted time, deviations) instead of #####.
+ */
+
+// Style index per column type, matching cellXfs in STYLES_XML
+const TYPE_STYLES = {
+  text: 0,
+  number: 2,
+  hours: 2,
+  duration: 3,
+  date: 4,
+  datetime: 5,
+  percent: 6,
+  integer: 7,
+};
+const HEADER_STYLE = 1;
+// Sum row: bold, in the column's own format
+const TOTAL_STYLES = {
+  text: 1,
+  number: 8,
+  hours: 8,
+  duration: 9,
+  integer: 10,
+};
+
+const MS_PER_DAY = 86400000;
+// 1970-01-01 as a date value in the 1904 date system
+const UNIX_EPOCH_SERIAL = 24107;
+
+/**
+ * Build an .xlsx file.
+ * @param {Array<{
+ *   name: string,                 // sheet tab, max 31 characters
+ *   columns: Array<{ header: string, type?: keyof TYPE_STYLES,
+ *     width?: number, total?: boolean }>,
+ *   rows: Array<Array<*>>,        // one value per column
+ * }>} sheets
+ * @returns {Uint8Array}
+ */
+export function buildWorkbook(sheets) {
+  const names = sheets.map((s, i) => sheetName(s.name, i));
+  const files = [
+    ["[Content_Types].xml", contentTypesXml(sheets.length)],
+    ["_rels/.rels", ROOT_RELS_XML],
+    ["xl/workbook.xml", workbookXml(names)],
+    ["xl/_rels/workbook.xml.rels", workbookRelsXml(sheets.length)],
+    ["xl/styles.xml", STYLES_XML],
+    ...sheets.map((sheet, i) => [
+      `xl/worksheets/sheet${i + 1}.xml`,
+      worksheetXml(sheet),
+    ]),
+  ];
+  return zipStore(files);
+}
+
+// ---------------------------------------------------------------------------
+// SpreadsheetML
+// ---------------------------------------------------------------------------
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const NS_REL =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+const ROOT_RELS_XML =
+  XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>` +
+  "</Relationships>";
+
+const STYLES_XML =
+  XML_HEADER +
+  `<styleSheet xmlns="${NS_MAIN}">` +
+  '<numFmts count="3">' +
+  '<numFmt numFmtId="164" formatCode="[h]:mm"/>' +
+  '<numFmt numFmtId="165" formatCode="yyyy-mm-dd"/>' +
+  '<numFmt numFmtId="166" formatCode="yyyy-mm-dd hh:mm"/>' +
+  "</numFmts>" +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+  '<fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="11">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="2" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="166" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="9" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="2" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  '<xf numFmtId="1" fontId="1" fillId="0" borderId="0" xfId="0" applyNumberFormat="1" applyFont="1"/>' +
+  "</cellXfs>" +
+  '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+  "</styleSheet>";
+
+function contentTypesXml(sheetCount) {
+  const sheets = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+  ).join("");
+  return (
+    XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets +
+    "</Types>"
+  );
+}
+
+function workbookXml(names) {
+  const sheets = names
+    .map(
+      (name, i) =>
+        `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`,
+    )
+    .join("");
+  return (
+    XML_HEADER +
+    `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">` +
+    '<workbookPr date1904="1"/>' +
+    `<sheets>${sheets}</sheets>` +
+    // The Sum row has formulas without cached values
+    '<calcPr fullCalcOnLoad="1"/>' +
+    "</workbook>"
+  );
+}
+
+function workbookRelsXml(sheetCount) {
+  const rels = Array.from(
+    { length: sheetCount },
+    (_, i) =>
+      `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`,
+  );
+  rels.push(
+    `<Relationship Id="rId${sheetCount + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>`,
+  );
+  return (
+    XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    rels.join("") +
+    "</Relationships>"
+  );
+}
+
+function worksheetXml({ columns, rows }) {
+  const cols = columns
+    .map(
+      (col, i) =>
+        `<col min="${i + 1}" max="${i + 1}" width="${col.width || defaultWidth(col)}" customWidth="1"/>`,
+    )
+    .join("");
+
+  const lines = [
+    rowXml(
+      1,
+      columns.map((col, i) =>
+        textCell(cellRef(i, 1), col.header, HEADER_STYLE),
+      ),
+    ),
+    ...rows.map((row, r) =>
+      rowXml(
+        r + 2,
+        columns.map((col, i) => valueCell(cellRef(i, r + 2), row[i], col)),
+      ),
+    ),
+  ];
+
+  if (rows.length > 0 && columns.some((col) => col.total)) {
+    const sumRow = rows.length + 2;
+    lines.push(
+      rowXml(
+        sumRow,
+        columns.map((col, i) => {
+          const ref = cellRef(i, sumRow);
+          if (i === 0) return textCell(ref, "Sum", HEADER_STYLE);
+          if (!col.total) return "";
+          const range = `${cellRef(i, 2)}:${cellRef(i, sumRow - 1)}`;
+          const style = TOTAL_STYLES[col.type] ?? TOTAL_STYLES.number;
+          return `<c r="${ref}" s="${style}"><f>SUM(${range})</f></c>`;
+        }),
+      ),
+    );
+  }
+
+  return (
+    XML_HEADER +
+    `<worksheet xmlns="${NS_MAIN}">` +
+    '<sheetViews><sheetView workbookViewId="0">' +
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    "</sheetView></sheetViews>" +
+    `<cols>${cols}</cols>` +
+    `<sheetData>${lines.join("")}</sheetData>` +
+    "</worksheet>"
+  );
+}
+
+function rowXml(index, cells) {
+  return `<row r="${index}">${cells.join("")}</row>`;
+}
+
+function valueCell(ref, value, col) {
+  if (value === null || value === undefined || value === "") return "";
+  const type = col.type || "text";
+  const style = TYPE_STYLES[type] ?? 0;
+  if (type === "text" || typeof value !== "number") {
+    return textCell(ref, value, 0);
+  }
+  if (!Number.isFinite(value)) return "";
+  return `<c r="${ref}" s="${style}"><v>${toCellNumber(value, type)}</v></c>`;
+}
+
+function textCell(ref, value, style) {
+  const str = escapeXml(String(value));
+  // xml:space keeps leading/trailing spaces
+  return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${str}</t></is></c>`;
+}
+
+function toCellNumber(value, type) {
+  if (type === "duration") return value / MS_PER_DAY;
+  if (type === "date" || type === "datetime") {
+    // Excel dates have no time zone: write the local wall-clock time
+    const offsetMs = new Date(value).getTimezoneOffset() * 60000;
+    return (value - offsetMs) / MS_PER_DAY + UNIX_EPOCH_SERIAL;
+  }
+  return value;
+}
+
+function defaultWidth(col) {
+  if (col.type === "datetime") return 17;
+  if (col.type === "date") return 11;
+  if (col.type && col.type !== "text") return 12;
+  return Math.max(12, Math.min(40, col.header.length + 2));
+}
+
+// A1-style reference for a zero-based column and one-based row
+function cellRef(colIndex, rowIndex) {
+  let letters = "";
+  let n = colIndex + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return `${letters}${rowIndex}`;
+}
+
+// Excel rejects sheet names over 31 characters or with []:*?/\
+function sheetName(name, index) {
+  const clean = String(name || "")
+    .replace(/[[\]:*?/\\]/g, " ")
+    .trim()
+    .slice(0, 31);
+  return clean || `Ark${index + 1}`;
+}
+
+function escapeXml(str) {
+  return (
+    str
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+  );
+}
+
+// ---------------------------------------------------------------------------
+// Zip (stored, no compression)
+// ---------------------------------------------------------------------------
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {Array<[string, string]>} files – [path, content]
+ * @returns {Uint8Array}
+ */
+function zipStore(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(([path, content]) => {
+    const name = encoder.encode(path);
+    const data = encoder.encode(content);
+    return { name, data, crc: crc32(data) };
+  });
+
+  const localSize = entries.reduce(
+    (s, e) => s + 30 + e.name.length + e.data.length,
+    0,
+  );
+  const centralSize = entries.reduce((s, e) => s + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  // 1980-01-01 00:00, the earliest date a zip can hold
+  const dosTime = 0;
+  const dosDate = (1 << 5) | 1;
+
+  let offset = 0;
+  const offsets = [];
+  for (const e of entries) {
+    offsets.push(offset);
+    view.setUint32(offset, 0x04034b50, true);
+    view.setUint16(offset + 4, 20, true); // version needed
+    view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+    view.setUint16(offset + 8, 0, true); // stored
+    view.setUint16(offset + 10, dosTime, true);
+    view.setUint16(offset + 12, dosDate, true);
+    view.setUint32(offset + 14, e.crc, true);
+    view.setUint32(offset + 18, e.data.length, true);
+    view.setUint32(offset + 22, e.data.length, true);
+    view.setUint16(offset + 26, e.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    out.set(e.name, offset + 30);
+    out.set(e.data, offset + 30 + e.name.length);
+    offset += 30 + e.name.length + e.data.length;
+  }
+
+  const centralStart = offset;
+  entries.forEach((e, i) => {
+    view.setUint32(offset, 0x02014b50, true);
+    view.setUint16(offset + 4, 20, true); // version made by
+    view.setUint16(offset + 6, 20, true);
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, dosTime, true);
+    view.setUint16(offset + 14, dosDate, true);
+    view.setUint32(offset + 16, e.crc, true);
+    view.setUint32(offset + 20, e.data.length, true);
+    view.setUint32(offset + 24, e.data.length, true);
+    view.setUint16(offset + 28, e.name.length, true);
+    // extra, comment, disk, internal and external attributes stay 0
+    view.setUint32(offset + 42, offsets[i], true);
+    out.set(e.name, offset + 46);
+    offset += 46 + e.name.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return out;
+}
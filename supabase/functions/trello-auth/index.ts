@@ -0,0 +1,110 @@
+/**
+ * trello-auth – Exchanges a Trello member token for a board-scoped Supabase JWT.
+ *
+ * POST { boardId, trelloToken }
+ *   200 { token, expiresAt }           – JWT for the RLS policies (see README)
+ *   400 { error: "bad_request" }
+ *   401 { error: "trello_token_invalid" } – token revoked or expired
+ *   403 { error: "not_board_member" }
+ *
+ * The Trello token is only used here to ask Trello who the member is and
+ * whether they belong to the board; it is never stored.
+ *
+ * Observers get a token as well, with board_role "observer". The RLS write
+ * policies only accept "admin" and "normal" (see tt_can_write in the README),
+ * so an observer can read the board's time but not change it.
+ *
+ * Secrets (supabase secrets set ...):
+ *   TRELLO_API_KEY – the Power-Up's Trello API key (same as VITE_TRELLO_APP_KEY)
+ *   TT_JWT_SECRET  – the project's JWT secret (Project Settings → API)
+ */
+
+import { SignJWT } from "npm:jose@5";
+
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+// Membership types that may write; anything else is issued as "observer"
+const WRITER_ROLES = ["admin", "normal"];
+
+interface TrelloMember {
+  id: string;
+  fullName: string;
+}
+
+interface TrelloMembership {
+  idMember: string;
+  memberType: string;
+  deactivated?: boolean;
+}
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers":
+    "authorization, x-client-info, apikey, content-type",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+};
+
+function json(status: number, body: Record<string, unknown>): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, "Content-Type": "application/json" },
+  });
+}
+
+function trelloGet(path: string, trelloToken: string): Promise<Response> {
+  const url = new URL(`https://api.trello.com/1/${path}`);
+  url.searchParams.set("key", Deno.env.get("TRELLO_API_KEY") ?? "");
+  url.searchParams.set("token", trelloToken);
+  return fetch(url);
+}
+
+Deno.serve(async (req: Request): Promise<Response> => {
+  if (req.method === "OPTIONS") {
+    return new Response("ok", { headers: CORS_HEADERS });
+  }
+  if (req.method !== "POST") return json(405, { error: "method_not_allowed" });
+
+  const { boardId, trelloToken }: { boardId?: unknown; trelloToken?: unknown } =
+    await req.json().catch(() => ({}));
+  if (typeof boardId !== "string" || typeof trelloToken !== "string") {
+    return json(400, { error: "bad_request" });
+  }
+
+  const meRes = await trelloGet("members/me?fields=id,fullName", trelloToken);
+  if (meRes.status === 401) return json(401, { error: "trello_token_invalid" });
+  if (!meRes.ok) return json(502, { error: "trello_unavailable" });
+  const me: TrelloMember = await meRes.json();
+
+  const membersRes = await trelloGet(
+    `boards/${encodeURIComponent(boardId)}/memberships?member=false`,
+    trelloToken,
+  );
+  if (membersRes.status === 401 || membersRes.status === 404) {
+    return json(403, { error: "not_board_member" });
+  }
+  if (!membersRes.ok) return json(502, { error: "trello_unavailable" });
+  const memberships: TrelloMembership[] = await membersRes.json();
+  const membership = memberships.find(
+    (m) => m.idMember === me.id && !m.deactivated,
+  );
+  if (!membership) return json(403, { error: "not_board_member" });
+  const boardRole = WRITER_ROLES.includes(membership.memberType)
+    ? membership.memberType
+    : "observer";
+
+  const expiresAt = Date.now() + TOKEN_TTL_SECONDS * 1000;
+  const token = await new SignJWT({
+    role: "authenticated",
+    board_id: boardId,
+    board_role: boardRole,
+    member_name: me.fullName,
+  })
+    .setProtectedHeader({ alg: "HS256", typ: "JWT" })
+    .setSubject(me.id)
+    .setAudience("authenticated")
+    .setIssuedAt()
+    .setExpirationTime(Math.floor(expiresAt / 1000))
+    .sign(new TextEncoder().encode(Deno.env.get("TT_JWT_SECRET")));
+
+  return json(200, { token, expiresAt });
+});
@@ -6,7 +6,8 @@ import basicSsl from "@vitejs/plugin-basic-ssl";
 
 /**
  * Custom plugin: injects VITE_ env vars into public/connector.js
- * by replacing %%VITE_SUPABASE_URL%% and %%VITE_SUPABASE_ANON_KEY%% placeholders.
+ * by replacing %%VITE_SUPABASE_URL%%, %%VITE_SUPABASE_ANON_KEY%% and
+ * %%VITE_TRELLO_APP_KEY%% placeholders.
  */
 function injectEnvPlugin() {
   let env;
@@ -24,7 +25,8 @@ function injectEnvPlugin() {
           .replace(
             "%%VITE_SUPABASE_ANON_KEY%%",
             env.VITE_SUPABASE_ANON_KEY || "",
-          );
+          )
+          .replace("%%VITE_TRELLO_APP_KEY%%", env.VITE_TRELLO_APP_KEY || "");
         res.setHeader("Content-Type", "application/javascript");
         res.end(replaced);
       });
@@ -39,7 +41,8 @@ function injectEnvPlugin() {
           .replace(
             "%%VITE_SUPABASE_ANON_KEY%%",
             env.VITE_SUPABASE_ANON_KEY || "",
-          );
+          )
+          .replace("%%VITE_TRELLO_APP_KEY%%", env.VITE_TRELLO_APP_KEY || "");
         writeFileSync(distPath, replaced);
         console.log("[inject-env] Replaced Supabase env vars in connector.js");
       } catch (e) {